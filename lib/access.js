@@ -0,0 +1,139 @@
+// Access control for the nudge endpoints: per-study API keys, origin allowlist and rate limits
+const crypto = require('crypto');
+
+function parseList(value) {
+  return (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+// STUDY_API_KEYS="pilot:k3y-1,main:k3y-2"; ALLOWED_ORIGINS="https://*.qualtrics.com,https://example.edu"
+function loadAccessConfig(env = process.env) {
+  const keys = parseList(env.STUDY_API_KEYS).map((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`STUDY_API_KEYS entry "${entry}" must be study:key`);
+    }
+    return { study: entry.slice(0, separator), key: entry.slice(separator + 1) };
+  });
+  return {
+    keys,
+    allowedOrigins: parseList(env.ALLOWED_ORIGINS),
+    keyLimit: Number(env.RATE_LIMIT_PER_KEY || 600),
+    participantLimit: Number(env.RATE_LIMIT_PER_PARTICIPANT || 30),
+    windowMs: Number(env.RATE_LIMIT_WINDOW_MS || 60000)
+  };
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// "https://*.qualtrics.com" matches any subdomain; everything else must match exactly
+function originMatcher(patterns) {
+  const regexes = patterns.map((pattern) => new RegExp(
+    `^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`, 'i'
+  ));
+  return (origin) => regexes.some((regex) => regex.test(origin));
+}
+
+// Fixed-window counter per key
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  function hit(key) {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    // Drop expired windows now and then so idle participants don't accumulate
+    if (windows.size > 10000) {
+      for (const [k, e] of windows) if (now >= e.resetAt) windows.delete(k);
+    }
+    return { allowed: entry.count <= limit, limit, remaining: Math.max(0, limit - entry.count), resetAt: entry.resetAt };
+  }
+
+  return { hit };
+}
+
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-study-key', 'x-api-key', 'proxy-authorization'];
+
+// Header copy safe for logs: credentials are masked, everything else kept
+function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    SENSITIVE_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value
+  ]));
+}
+
+function createAccessControl(config = loadAccessConfig()) {
+  const studiesByKeyHash = new Map(config.keys.map(({ study, key }) => [hashKey(key), study]));
+  const isAllowedOrigin = config.allowedOrigins.length > 0 ? originMatcher(config.allowedOrigins) : () => true;
+  const keyLimiter = createRateLimiter({ limit: config.keyLimit, windowMs: config.windowMs });
+  const participantLimiter = createRateLimiter({ limit: config.participantLimit, windowMs: config.windowMs });
+
+  // Options for the cors() middleware: only allowlisted origins get CORS headers
+  const corsOptions = {
+    origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+    credentials: false
+  };
+
+  // Browsers from other origins are refused outright, not just denied CORS headers
+  function checkOrigin(req, res, next) {
+    const origin = req.get('origin');
+    if (origin && !isAllowedOrigin(origin)) {
+      return res.status(403).json({ error: 'Origin not allowed', origin });
+    }
+    next();
+  }
+
+  // X-Study-Key header identifies the study; open when STUDY_API_KEYS is unset (local development)
+  function requireStudyKey(req, res, next) {
+    if (studiesByKeyHash.size === 0) {
+      req.study = null;
+      return next();
+    }
+    const key = req.get('x-study-key');
+    const study = key ? studiesByKeyHash.get(hashKey(key)) : null;
+    if (!study) {
+      return res.status(401).json({ error: key ? 'Invalid study key' : 'Missing X-Study-Key header' });
+    }
+    req.study = study;
+    next();
+  }
+
+  function tooMany(res, scope, result) {
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Rate limit exceeded',
+      scope,
+      limit: result.limit,
+      window_ms: config.windowMs,
+      retry_after_s: retryAfter
+    });
+  }
+
+  // Per study key, then per participant (falling back to the client IP)
+  function rateLimit(req, res, next) {
+    const keyResult = keyLimiter.hit(req.study || 'open');
+    if (!keyResult.allowed) return tooMany(res, 'key', keyResult);
+
+    const participant = req.body?.participant_id;
+    const participantResult = participantLimiter.hit(`${req.study || 'open'}:${participant ? `p:${participant}` : `ip:${req.ip}`}`);
+    if (!participantResult.allowed) return tooMany(res, 'participant', participantResult);
+
+    res.set('X-RateLimit-Limit', String(participantResult.limit));
+    res.set('X-RateLimit-Remaining', String(participantResult.remaining));
+    next();
+  }
+
+  return {
+    config,
+    enabled: studiesByKeyHash.size > 0,
+    corsOptions,
+    isAllowedOrigin,
+    middleware: [checkOrigin, requireStudyKey, rateLimit]
+  };
+}
+
+module.exports = { loadAccessConfig, createRateLimiter, redactHeaders, createAccessControl };
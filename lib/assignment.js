@@ -0,0 +1,123 @@
+// Server-side treatment arm assignment with seeded (stratified) block randomization
+// Assignments are sticky: a participant keeps their first arm, persisted to ASSIGNMENT_PATH.
+const path = require('path');
+const crypto = require('crypto');
+const { buildCCTProfile } = require('./cct');
+const { createJsonWriter, readJson } = require('./json-file');
+
+const ARM_TYPES = ['none', 'generic', 'enhanced', 'rule-based'];
+
+// STUDY_ARMS="control,generic,enhanced" or "name:type" pairs, e.g. "control:none,rules:rule-based"
+function parseArms(spec) {
+  return spec.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [name, explicitType] = entry.split(':').map((part) => part.trim());
+    const type = explicitType || (name === 'control' ? 'none' : name);
+    if (!ARM_TYPES.includes(type)) {
+      throw new Error(`Arm "${name}" has unknown type "${type}" (expected one of ${ARM_TYPES.join(', ')})`);
+    }
+    return { name, type };
+  });
+}
+
+function loadAssignmentConfig(env = process.env) {
+  const arms = parseArms(env.STUDY_ARMS || 'control,generic,enhanced');
+  const blockSize = Number(env.ASSIGNMENT_BLOCK_SIZE || arms.length * 2);
+  if (!Number.isInteger(blockSize) || blockSize % arms.length !== 0) {
+    throw new Error(`ASSIGNMENT_BLOCK_SIZE must be a multiple of the number of arms (${arms.length})`);
+  }
+  return {
+    arms,
+    blockSize,
+    seed: env.ASSIGNMENT_SEED || 'nudge-study',
+    stratifyBy: env.ASSIGNMENT_STRATIFY_BY || 'none',
+    filePath: env.ASSIGNMENT_PATH || path.join(__dirname, '..', 'data', 'assignments.json')
+  };
+}
+
+// mulberry32 seeded from a sha256 of the seed string
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffledBlock(arms, blockSize, seed) {
+  const block = [];
+  for (let i = 0; i < blockSize; i++) block.push(arms[i % arms.length].name);
+  const random = seededRandom(seed);
+  for (let i = block.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [block[i], block[j]] = [block[j], block[i]];
+  }
+  return block;
+}
+
+// Stratum key for a request; only CCT bucket stratification is supported
+function stratumFor(body, stratifyBy) {
+  if (stratifyBy !== 'cct_bucket') return 'all';
+  return body.cct_bucket || buildCCTProfile(body.profile).bucket;
+}
+
+// Assignment state for one ASSIGNMENT_PATH. Assignment happens in memory; the file is rewritten at
+// most once per burst of new participants.
+function createAssignmentStore(filePath) {
+  const state = readJson(filePath, { participants: {}, strata: {} });
+  const writer = createJsonWriter(filePath, () => state);
+
+  // Drops assignments made before `cutoff` (retention); returns how many were removed. Block
+  // positions are kept, so later participants still fill the blocks in order.
+  function purgeBefore(cutoff) {
+    const limit = new Date(cutoff).getTime();
+    const stale = Object.keys(state.participants).filter((id) => new Date(state.participants[id].assigned_at).getTime() < limit);
+    stale.forEach((id) => delete state.participants[id]);
+    if (stale.length > 0) writer.schedule();
+    return stale.length;
+  }
+
+  return { state, save: writer.schedule, flush: writer.flush, purgeBefore };
+}
+
+// `store` lets a reconfigured assigner continue from state that may not be on disk yet
+function createAssigner(config = loadAssignmentConfig(), store = createAssignmentStore(config.filePath)) {
+  const { state } = store;
+
+  function get(participantId) {
+    return state.participants[participantId] || null;
+  }
+
+  // Synchronous so concurrent requests cannot take the same block slot
+  function assign(participantId, body = {}) {
+    const existing = get(participantId);
+    if (existing) return { ...existing, sticky: true };
+
+    const stratum = stratumFor(body, config.stratifyBy);
+    const position = state.strata[stratum]?.count || 0;
+    const blockIndex = Math.floor(position / config.blockSize);
+    const block = shuffledBlock(config.arms, config.blockSize, `${config.seed}:${stratum}:${blockIndex}`);
+
+    const assignment = {
+      participant_id: participantId,
+      arm: block[position % config.blockSize],
+      stratum,
+      block: blockIndex,
+      position,
+      assigned_at: new Date().toISOString()
+    };
+    state.participants[participantId] = assignment;
+    state.strata[stratum] = { count: position + 1 };
+    store.save();
+    return { ...assignment, sticky: false };
+  }
+
+  function armType(armName) {
+    return config.arms.find((arm) => arm.name === armName)?.type || null;
+  }
+
+  return { config, assign, get, armType, flush: store.flush };
+}
+
+module.exports = { ARM_TYPES, parseArms, loadAssignmentConfig, createAssignmentStore, createAssigner };
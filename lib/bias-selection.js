@@ -0,0 +1,99 @@
+// Bias selection: the CCT "bias awareness mapping" run as code before text generation
+// Each fired rule votes for its primary (weight 2) and secondary (weight 1) bias.
+const { extractFeatures, selectCategory } = require('./rule-engine');
+const { buildCCTProfile } = require('./cct');
+const { toNumber } = require('./market-features');
+
+const HIGH_LEVELS = ['high', 'very_high'];
+const LOW_LEVELS = ['low', 'very_low'];
+
+// Rule inputs from the canonical CCT profile
+function cctSignals(profile) {
+  const cct = buildCCTProfile(profile);
+  return {
+    riskLevel: cct.risk_level,
+    riskConsistency: cct.risk_consistency,
+    riskPreference: cct.risk_preference,
+    gainSensitivity: cct.gain_sensitivity,
+    lossAversion: cct.loss_aversion
+  };
+}
+
+const BIAS_RULES = [
+  {
+    rule: 'high_risk_high_loss_aversion',
+    biases: ['loss_aversion', 'cct_risk_awareness'],
+    test: (s) => HIGH_LEVELS.includes(s.riskLevel) && s.lossAversion === 'high'
+  },
+  {
+    rule: 'low_risk_high_gain_sensitivity',
+    biases: ['fomo', 'present_bias'],
+    test: (s) => LOW_LEVELS.includes(s.riskLevel) && s.gainSensitivity === 'high'
+  },
+  {
+    rule: 'inconsistent_risk',
+    biases: ['decision_fatigue', 'confirmation_bias'],
+    test: (s) => ['inconsistent', 'highly_inconsistent'].includes(s.riskConsistency)
+  },
+  {
+    rule: 'high_risk_high_hot_score',
+    biases: ['overtrading', 'status_quo_bias'],
+    test: (s) => HIGH_LEVELS.includes(s.riskLevel) && ['hot_preference', 'strong_hot_preference'].includes(s.riskPreference)
+  },
+  {
+    rule: 'low_risk_high_cold_score',
+    biases: ['disposition_effect', 'base_rate_neglect'],
+    test: (s) => LOW_LEVELS.includes(s.riskLevel) && ['cold_preference', 'strong_cold_preference'].includes(s.riskPreference)
+  },
+  {
+    rule: 'significant_drawdown',
+    biases: ['loss_aversion', 'portfolio_risk'],
+    test: (s) => s.drawdownPct != null && s.drawdownPct > 5
+  },
+  {
+    rule: 'moderate_drawdown',
+    biases: ['portfolio_risk'],
+    test: (s) => s.drawdownPct != null && s.drawdownPct > 2 && s.drawdownPct <= 5
+  }
+];
+
+// Returns { bias, rule, candidates, rotated } where candidates are ranked by score (ties keep rule order).
+// When no CCT/portfolio rule fires, the market rules of the rule-based engine pick the bias.
+// `recent` (session memory, most recent first) lists biases to avoid repeating: the best candidate
+// outside it wins, then the market bias; if every option is recent the least recently used is kept.
+// `categories` (a study's enabled categories) drops every other bias from the candidates.
+function selectBias(scenario, { recent = [], categories = null } = {}) {
+  const signals = {
+    ...cctSignals(scenario.profile),
+    drawdownPct: toNumber(scenario.portfolio?.currentDrawdownPct)
+  };
+
+  const scores = new Map();
+  for (const { rule, biases, test } of BIAS_RULES) {
+    if (!test(signals)) continue;
+    biases.forEach((bias, i) => {
+      if (categories && !categories.includes(bias)) return;
+      const entry = scores.get(bias) || { bias, score: 0, rules: [] };
+      entry.score += i === 0 ? 2 : 1;
+      entry.rules.push(rule);
+      scores.set(bias, entry);
+    });
+  }
+
+  const market = selectCategory(extractFeatures(scenario, null), { personalized: false, categories });
+  const marketCandidate = { bias: market.category, score: 0, rules: [`market:${market.rule}`] };
+  const candidates = [...scores.values()].sort((a, b) => b.score - a.score);
+  const ranked = candidates.length > 0 ? candidates : [marketCandidate];
+  const pick = (candidate, rotated) => ({ bias: candidate.bias, rule: candidate.rules[0], candidates: ranked, rotated });
+
+  if (recent.length === 0) return pick(ranked[0], false);
+
+  const fresh = ranked.find((c) => !recent.includes(c.bias));
+  if (fresh) return pick(fresh, fresh !== ranked[0]);
+  if (!recent.includes(marketCandidate.bias)) return pick(marketCandidate, true);
+
+  const leastRecent = [...ranked].sort((a, b) => recent.indexOf(b.bias) - recent.indexOf(a.bias))[0];
+  return pick(leastRecent, leastRecent !== ranked[0]);
+}
+
+module.exports = { BIAS_RULES, cctSignals, selectBias };
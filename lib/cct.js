@@ -0,0 +1,107 @@
+// CCT (Columbia Card Task) profiling: one canonical profile for prompting and rule-based selection
+// Scores are on the total-score scale (0–300+); thresholds follow the README's risk profiling tables.
+const { toNumber } = require('./market-features');
+
+const RISK_LEVELS = [
+  { level: 'very_low', type: 'very_conservative', below: 50 },
+  { level: 'low', type: 'conservative', below: 100 },
+  { level: 'moderate', type: 'balanced', below: 200 },
+  { level: 'high', type: 'moderate_aggressive', below: 300 },
+  { level: 'very_high', type: 'aggressive', below: Infinity }
+];
+
+const ADVICE = {
+  very_low: 'careful position sizing',
+  low: 'careful position sizing',
+  moderate: 'balanced risk management',
+  high: 'a conservative approach to position size',
+  very_high: 'a conservative approach to position size',
+  unknown: 'standard risk assessment'
+};
+
+// Legacy clients sent cct_score / cct_hot_score / cct_cold_score as a 0–1 fraction of the maximum
+const LEGACY_SCALE = 300;
+
+function fromLegacy(value) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  return n <= 1 ? n * LEGACY_SCALE : n;
+}
+
+// Legacy hot/cold differences follow the same 0–1 convention, but can be negative
+function fromLegacySigned(value) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  return Math.abs(n) <= 1 ? n * LEGACY_SCALE : n;
+}
+
+function riskLevelFor(totalScore) {
+  const entry = RISK_LEVELS.find((r) => totalScore < r.below);
+  return { level: entry.level, type: entry.type };
+}
+
+function riskConsistencyFor(diff) {
+  const abs = Math.abs(diff);
+  if (abs < 50) return 'consistent';
+  if (abs <= 100) return 'inconsistent';
+  return 'highly_inconsistent';
+}
+
+function riskPreferenceFor(hotScore, coldScore) {
+  if (hotScore > coldScore + 50) return 'strong_hot_preference';
+  if (coldScore > hotScore + 50) return 'strong_cold_preference';
+  if (hotScore > coldScore) return 'hot_preference';
+  if (coldScore > hotScore) return 'cold_preference';
+  return 'neutral';
+}
+
+// Accepts profile.cct.{total_score,hot_score,cold_score} or the legacy profile.cct_* fields.
+// Raw scores win over client-computed labels; labels are only used when no score was sent.
+function buildCCTProfile(profile) {
+  const cct = profile?.cct || {};
+  const labels = { ...(cct.risk_profile || {}), ...cct };
+  const label = (key) => labels[key] ?? null;
+
+  let totalScore = toNumber(cct.total_score);
+  let hotScore = toNumber(cct.hot_score);
+  let coldScore = toNumber(cct.cold_score);
+  let source = totalScore !== null ? 'total_score' : null;
+
+  if (totalScore === null && toNumber(profile?.cct_score) !== null) {
+    totalScore = fromLegacy(profile.cct_score);
+    source = 'legacy_cct_score';
+  }
+  if (hotScore === null) hotScore = fromLegacy(profile?.cct_hot_score);
+  if (coldScore === null) coldScore = fromLegacy(profile?.cct_cold_score);
+
+  let hotColdDiff = hotScore !== null && coldScore !== null ? hotScore - coldScore : null;
+  if (hotColdDiff === null) {
+    hotColdDiff = toNumber(cct.hot_cold_diff) ?? fromLegacySigned(profile?.cct_hot_cold_diff);
+  }
+
+  let riskLevel = label('risk_level');
+  let riskType = label('risk_type');
+  if (totalScore !== null) {
+    ({ level: riskLevel, type: riskType } = riskLevelFor(totalScore));
+  }
+  if (!source && riskLevel) source = 'client_labels';
+
+  return {
+    source: source || 'none',
+    total_score: totalScore,
+    hot_score: hotScore,
+    cold_score: coldScore,
+    hot_cold_diff: hotColdDiff,
+    risk_level: riskLevel || 'unknown',
+    risk_type: riskType || 'unknown',
+    risk_score: toNumber(label('risk_score')),
+    risk_consistency: hotColdDiff !== null ? riskConsistencyFor(hotColdDiff) : (label('risk_consistency') || 'unknown'),
+    risk_preference: hotScore !== null && coldScore !== null ? riskPreferenceFor(hotScore, coldScore) : (label('risk_preference') || 'unknown'),
+    gain_sensitivity: label('gain_sensitivity'),
+    loss_aversion: label('loss_aversion'),
+    bucket: (totalScore !== null ? riskLevel : cct.bucket || riskLevel) || 'unknown',
+    advice: ADVICE[riskLevel] || ADVICE.unknown
+  };
+}
+
+module.exports = { RISK_LEVELS, ADVICE, buildCCTProfile, riskLevelFor, riskConsistencyFor, riskPreferenceFor };
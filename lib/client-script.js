@@ -0,0 +1,39 @@
+// Drop-in Qualtrics client served at GET /client.js (public/nudge-client.js). The route table and
+// payload field list are filled in from lib/openapi.js and lib/schema.js when the server starts, so
+// the script sends exactly what the running server validates.
+const fs = require('fs');
+const path = require('path');
+const { SCHEMAS } = require('./schema');
+const { NUDGE_ROUTES } = require('./openapi');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'public', 'nudge-client.js');
+
+// Declared payload paths: objects with declared fields are expanded, free-form objects and arrays
+// are single JSON-valued fields
+function payloadFields(fields, prefix = '') {
+  return Object.entries(fields).flatMap(([key, spec]) => {
+    const fieldPath = `${prefix}${key}`;
+    if (spec.type === 'object' && spec.fields) return payloadFields(spec.fields, `${fieldPath}.`);
+    return [{ path: fieldPath, json: spec.type === 'object' || spec.type === 'array' }];
+  });
+}
+
+// Routes the client can render: JSON nudge responses with a request schema
+function clientRoutes() {
+  return NUDGE_ROUTES.filter((route) => route.schema && route.response === 'Nudge' && !route.stream);
+}
+
+function createClientScript({ version, templatePath = TEMPLATE_PATH } = {}) {
+  const routes = clientRoutes();
+  const schemaNames = [...new Set(routes.map((route) => route.schema))];
+  const fields = Object.fromEntries(schemaNames.map((name) => [name, payloadFields(SCHEMAS[name].fields)]));
+
+  const source = fs.readFileSync(templatePath, 'utf8')
+    .replace('__CLIENT_VERSION__', version)
+    .replace('/*__ROUTE_SCHEMAS__*/ {}', JSON.stringify(Object.fromEntries(routes.map((route) => [route.path, route.schema]))))
+    .replace('/*__SCHEMA_FIELDS__*/ {}', JSON.stringify(fields));
+
+  return { version, source };
+}
+
+module.exports = { payloadFields, createClientScript };
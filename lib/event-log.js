@@ -0,0 +1,110 @@
+// Append-only JSONL log of nudge requests for research analysis
+// One JSON object per line; survives restarts as long as the path is on a persistent volume.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+const CSV_COLUMNS = [
+  'event_id', 'timestamp', 'route', 'arm', 'study', 'participant_id', 'session_id', 'client_version',
+  'provider', 'model', 'prompt_version', 'prompt_hash', 'fallback', 'error',
+  'prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms', 'llm_latency_ms',
+  'output', 'prompt', 'meta'
+];
+
+function createEventLog({ filePath = process.env.NUDGE_LOG_PATH || path.join(__dirname, '..', 'data', 'nudge-events.jsonl') } = {}) {
+  let writeQueue = Promise.resolve();
+  let dirReady = false;
+
+  // Writes are serialized so lines never interleave
+  function record(event) {
+    const entry = {
+      event_id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...event
+    };
+    writeQueue = writeQueue
+      .then(async () => {
+        if (!dirReady) {
+          await fsp.mkdir(path.dirname(filePath), { recursive: true });
+          dirReady = true;
+        }
+        await fsp.appendFile(filePath, JSON.stringify(entry) + '\n');
+      })
+      .catch((error) => console.error('Event log write error:', error.message));
+    return entry;
+  }
+
+  // Resolves once every queued write has reached the file
+  function flush() {
+    return writeQueue;
+  }
+
+  // Async iterator over logged events matching { from, to, session_id, arm }
+  async function* read(filters = {}) {
+    await flush();
+    if (!fs.existsSync(filePath)) return;
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const ts = new Date(event.timestamp).getTime();
+      if (from != null && ts < from) continue;
+      if (to != null && ts > to) continue;
+      if (filters.session_id && event.session_id !== filters.session_id) continue;
+      if (filters.arm && event.arm !== filters.arm) continue;
+      yield event;
+    }
+  }
+
+  // Rewrites the log without events older than `cutoff`; queued behind pending appends
+  function purgeBefore(cutoff) {
+    const limit = new Date(cutoff).getTime();
+    const purge = writeQueue.then(async () => {
+      if (!fs.existsSync(filePath)) return 0;
+      const lines = (await fsp.readFile(filePath, 'utf8')).split('\n').filter((line) => line.trim());
+      const kept = lines.filter((line) => {
+        try {
+          return new Date(JSON.parse(line).timestamp).getTime() >= limit;
+        } catch (error) {
+          return false;
+        }
+      });
+      const tmp = `${filePath}.tmp`;
+      await fsp.writeFile(tmp, kept.map((line) => line + '\n').join(''));
+      await fsp.rename(tmp, filePath);
+      return lines.length - kept.length;
+    });
+    writeQueue = purge.catch((error) => console.error('Event log purge error:', error.message));
+    return purge;
+  }
+
+  return { filePath, record, flush, read, purgeBefore };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(event) {
+  const flat = {
+    ...event,
+    prompt_tokens: event.usage?.prompt_tokens,
+    completion_tokens: event.usage?.completion_tokens,
+    total_tokens: event.usage?.total_tokens
+  };
+  return CSV_COLUMNS.map((column) => csvCell(flat[column])).join(',');
+}
+
+module.exports = { CSV_COLUMNS, createEventLog, toCsvRow };
@@ -0,0 +1,76 @@
+// Output guardrails for generated nudges: word limit, directive advice, banned terms, character set
+// A nudge that fails any check is out of protocol and must not be shown to a participant.
+
+// Directive buy/sell phrasing the prompt forbids
+const DIRECTIVE_PATTERNS = [
+  /\byou (should|must|need to|ought to) (definitely )?(buy|sell|hold|short)\b/i,
+  /\b(buy|sell|short) (now|immediately|today|right away)\b/i,
+  /\bi (would )?(recommend|suggest|advise) (that you )?(buying|selling|you buy|you sell|to buy|to sell)\b/i,
+  /\b(strong|clear) (buy|sell)( signal| recommendation)?\b/i,
+  /\b(do not|don't) (buy|sell)\b/i,
+  /\bgo (long|short)\b/i
+];
+
+// Academic and study vocabulary participants must not see (GUARDRAIL_BANNED_TERMS adds more)
+const DEFAULT_BANNED_TERMS = [
+  'bias', 'biases', 'biased', 'experiment', 'experimental', 'cct', 'columbia card',
+  'participant', 'psychology', 'psychological', 'heuristic', 'cognitive', 'nudge'
+];
+
+// Letters/digits in any script, whitespace, punctuation and the trading symbols the prompt asks for
+const ALLOWED_CHARS = /[\p{L}\p{M}\p{N}\s.,;:!?'"’‘“”()\-–—$%/+&@=~×↑↓⚠️]/u;
+
+function loadGuardrailConfig(env = process.env) {
+  const extra = (env.GUARDRAIL_BANNED_TERMS || '').split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+  return {
+    maxRetries: Number(env.GUARDRAIL_MAX_RETRIES ?? 2),
+    bannedTerms: [...DEFAULT_BANNED_TERMS, ...extra]
+  };
+}
+
+// Words are tokens containing at least one letter or digit (symbols like ↑ or ⚠️ don't count)
+function countWords(text) {
+  return text.split(/\s+/).filter((token) => /[\p{L}\p{N}]/u.test(token)).length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns { passed, word_count, failures: [{ check, detail }] }
+// directivePatterns adds phrasings for other output languages to the English ones
+function checkNudge(text, { maxWords = 80, bannedTerms = DEFAULT_BANNED_TERMS, directivePatterns = [] } = {}) {
+  const failures = [];
+  const wordCount = countWords(text);
+
+  if (!text.trim()) failures.push({ check: 'empty', detail: 'no text generated' });
+  if (wordCount > maxWords) failures.push({ check: 'word_limit', detail: `${wordCount} words (max ${maxWords})` });
+
+  const directive = [...DIRECTIVE_PATTERNS, ...directivePatterns].map((pattern) => text.match(pattern)).find(Boolean);
+  if (directive) failures.push({ check: 'directive_advice', detail: directive[0] });
+
+  const banned = bannedTerms.filter((term) => new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i').test(text));
+  if (banned.length > 0) failures.push({ check: 'banned_terms', detail: banned.join(', ') });
+
+  const disallowed = [...new Set([...text].filter((ch) => !ALLOWED_CHARS.test(ch)))];
+  if (disallowed.length > 0) failures.push({ check: 'character_set', detail: disallowed.join(' ') });
+
+  return { passed: failures.length === 0, word_count: wordCount, failures };
+}
+
+// Follow-up instruction sent after a failed attempt
+function correctiveInstruction(failures, { maxWords = 80, bannedTerms = DEFAULT_BANNED_TERMS } = {}) {
+  const problems = failures.map((f) => `${f.check} (${f.detail})`).join('; ');
+  return `Your previous response broke the output rules: ${problems}. Rewrite it as plain text in at most ${maxWords} words. ` +
+    'Do not tell the investor to buy, sell or hold. ' +
+    `Do not use these words: ${bannedTerms.join(', ')}. ` +
+    'Use only ordinary punctuation and the symbols $, %, ↑, ↓, ⚠️ — no HTML, markdown or code.';
+}
+
+module.exports = {
+  DEFAULT_BANNED_TERMS,
+  loadGuardrailConfig,
+  countWords,
+  checkNudge,
+  correctiveInstruction
+};
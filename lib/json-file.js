@@ -0,0 +1,44 @@
+// Debounced JSON snapshots for the in-memory stores (sessions, assignments)
+// A burst of changes is written once, asynchronously and off the request path, through a temp file
+// and a rename so a crash mid-write leaves the previous snapshot intact.
+const fs = require('fs');
+const path = require('path');
+
+// `snapshot()` returns the state to write; it is called when the write runs, not when it's scheduled
+function createJsonWriter(filePath, snapshot, { delayMs = 200 } = {}) {
+  let timer = null;
+  let writes = Promise.resolve();
+
+  async function write() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot()));
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  function start() {
+    timer = null;
+    writes = writes.then(write).catch((error) => console.error(`Write error (${path.basename(filePath)}):`, error.message));
+  }
+
+  function schedule() {
+    if (!timer) timer = setTimeout(start, delayMs);
+  }
+
+  // Writes a pending change now; resolves once everything scheduled so far is on disk
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      start();
+    }
+    return writes;
+  }
+
+  return { schedule, flush };
+}
+
+function readJson(filePath, fallback) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+module.exports = { createJsonWriter, readJson };
@@ -0,0 +1,172 @@
+// LLM provider layer: OpenAI, any OpenAI-compatible endpoint, or an offline stub
+// Every provider exposes complete({ messages, maxTokens, temperature, model? }) -> { text, usage, provider, model }
+// and stream({ ..., signal }) -> async iterable of { text } deltas ending with { done, usage, provider, model }
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Canned neutral nudges the stub picks from when no fixed text is configured
+const STUB_NUDGES = [
+  'Consider the spread and execution cost relative to the expected price movement. How does this order fit your plan?',
+  'Evaluate the gap between the current price and the fair value estimate. What would change your view on this trade?',
+  'Assess how this position size affects your overall portfolio exposure. Is the risk in line with your limits?',
+  'Consider whether recent market activity reflects your own analysis. What independent signals support this order?'
+];
+
+function loadProviderConfig(env = process.env) {
+  return {
+    provider: env.LLM_PROVIDER || 'openai',
+    model: env.LLM_MODEL || DEFAULT_MODEL,
+    baseURL: env.LLM_BASE_URL || null,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || null,
+    stubText: env.LLM_STUB_TEXT || null,
+    stubDelayMs: Number(env.LLM_STUB_DELAY_MS || 0),
+    seed: env.LLM_SEED || null
+  };
+}
+
+function normalizeUsage(usage) {
+  return {
+    prompt_tokens: usage?.prompt_tokens || 0,
+    completion_tokens: usage?.completion_tokens || 0,
+    total_tokens: usage?.total_tokens || 0
+  };
+}
+
+// `client` injects a ready OpenAI client (tests); otherwise one is built from the config.
+// An integer `seed` is sent with every request for best-effort reproducible sampling.
+function createOpenAIProvider({ provider, model, baseURL, apiKey, seed = null, client: injectedClient = null }) {
+  // The SDK throws on construction without a key, so build the client lazily and fail per request instead
+  let client = injectedClient;
+  const getClient = () => {
+    if (client) return client;
+    if (!apiKey && provider === 'openai') throw new Error('OpenAI API key not configured');
+    // Retries and timeouts are handled by lib/resilience.js, not the SDK
+    client = new OpenAI({ apiKey: apiKey || 'not-needed', maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+    return client;
+  };
+
+  const seedParam = seed !== null && Number.isInteger(Number(seed)) ? { seed: Number(seed) } : {};
+
+  return {
+    name: provider,
+    model,
+    seed,
+    configured: provider !== 'openai' || !!apiKey || !!injectedClient,
+    // `model` in the request overrides LLM_MODEL for one call (per-study model parameters)
+    async complete({ messages, maxTokens, temperature, model: requestModel, signal }) {
+      const completion = await getClient().chat.completions.create({
+        model: requestModel || model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...seedParam
+      }, { signal });
+      return {
+        text: completion.choices[0]?.message?.content?.trim() || '',
+        usage: normalizeUsage(completion.usage),
+        provider,
+        model: completion.model || requestModel || model
+      };
+    },
+    async *stream({ messages, maxTokens, temperature, model: requestModel, signal }) {
+      const stream = await getClient().chat.completions.create({
+        model: requestModel || model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...seedParam,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+      let usage = null;
+      let streamedModel = requestModel || model;
+      for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.model) streamedModel = chunk.model;
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield { text };
+      }
+      // The SDK ends an aborted stream quietly; without this a cut-off reply would look complete
+      if (signal?.aborted) throw new Error('Request aborted');
+      yield { done: true, usage: normalizeUsage(usage), provider, model: streamedModel };
+    }
+  };
+}
+
+// Resolves after `ms`, rejecting early if the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Request aborted'));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Request aborted'));
+    }, { once: true });
+  });
+}
+
+// Deterministic stub: fixed text, or a canned nudge chosen by hashing the seed and the messages.
+// LLM_STUB_DELAY_MS simulates model latency before the response (or the first streamed token).
+function createStubProvider({ model, stubText, stubDelayMs, seed = null }) {
+  const stubModel = model === DEFAULT_MODEL ? 'stub' : model;
+
+  function respond(messages) {
+    let text = stubText;
+    if (!text) {
+      const digest = crypto.createHash('sha256').update(`${seed ?? '0'}:${JSON.stringify(messages)}`).digest();
+      text = STUB_NUDGES[digest.readUInt32BE(0) % STUB_NUDGES.length];
+    }
+    const promptTokens = messages.reduce((n, m) => n + m.content.split(/\s+/).length, 0);
+    const completionTokens = text.split(/\s+/).length;
+    return {
+      text,
+      usage: normalizeUsage({
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }),
+      provider: 'stub',
+      model: stubModel
+    };
+  }
+
+  return {
+    name: 'stub',
+    model: stubModel,
+    seed,
+    configured: true,
+    async complete({ messages, signal }) {
+      if (stubDelayMs > 0) await sleep(stubDelayMs, signal);
+      return respond(messages);
+    },
+    async *stream({ messages, signal }) {
+      const { text, ...rest } = respond(messages);
+      if (stubDelayMs > 0) await sleep(stubDelayMs, signal);
+      // One word (with its trailing space) per chunk
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw new Error('Request aborted');
+        yield { text: piece };
+        await sleep(0, signal);
+      }
+      yield { done: true, ...rest };
+    }
+  };
+}
+
+function createProvider(config = loadProviderConfig()) {
+  switch (config.provider) {
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'openai-compatible':
+      if (!config.baseURL) throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      return createOpenAIProvider(config);
+    case 'stub':
+      return createStubProvider(config);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected openai, openai-compatible or stub)`);
+  }
+}
+
+module.exports = { DEFAULT_MODEL, loadProviderConfig, normalizeUsage, createProvider };
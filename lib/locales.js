@@ -0,0 +1,134 @@
+// Output languages: translated rule-based templates, word-limit factors and guardrail terms
+// English is built from NUDGE_CATEGORIES and stays the reference; every other language is a
+// locales/<code>.json file whose templates line up index by index with the English ones.
+const fs = require('fs');
+const path = require('path');
+const { NUDGE_CATEGORIES } = require('./nudge-categories');
+const { ADVICE } = require('./cct');
+
+const DEFAULT_LOCALE = 'en';
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const ENGLISH = {
+  locale: 'en',
+  language: 'English',
+  word_factor: 1,
+  label: null,
+  banned_terms: [],
+  directive_patterns: [],
+  rule_based: {
+    intro: 'You are placing {qty} {side} on {sym}.',
+    sides: { Buy: 'Buy', Sell: 'Sell' },
+    distance: '{amount} ({pct}%) {direction}',
+    above: 'above',
+    below: 'below',
+    interpretations: {
+      close: 'pricing close to estimated value',
+      premium: 'a premium to estimated value',
+      discount: 'a discount to estimated value'
+    },
+    advice: ADVICE,
+    // Post-trade debrief (lib/reflection): one sentence per observed pattern, keyed by its rule
+    reflection: {
+      summary: 'This session you placed {trades} trades: {buys} buys and {sells} sells.',
+      realized: 'Your realized P&L was {pnl}.',
+      patterns: {
+        realized_gains_held_losses: 'Gains were taken on {winners} closing trades while an unrealized loss of {loss} stayed open.',
+        added_at_lower_prices: 'The position was added to {adds} times at prices below the previous buy.',
+        trade_count_at_least_10: '{trades} orders in one session, {reversals} of them changing direction, is an active pace.',
+        max_drawdown_above_5pct: 'At its lowest the portfolio was {drawdown}% below its peak.',
+        cct_high_risk: 'Your risk profile suggests {advice}.'
+      },
+      no_pattern: 'No single pattern stood out across these trades.',
+      closing: 'Looking back, which decisions would you make the same way again?'
+    }
+  },
+  categories: Object.fromEntries(Object.entries(NUDGE_CATEGORIES).map(([key, category]) => [key, category.templates]))
+};
+
+const placeholdersIn = (text) => [...text.matchAll(PLACEHOLDER)].map((m) => m[1]).sort().join(',');
+
+// Checks a translation against English: same keys, same template count, same placeholders
+function validateLocale(entry, file) {
+  const problems = [];
+  if (!entry.language) problems.push('"language" is required');
+  if (!(entry.word_factor > 0)) problems.push('"word_factor" must be a positive number');
+
+  const rules = entry.rule_based || {};
+  for (const key of ['intro', 'distance', 'above', 'below']) {
+    if (typeof rules[key] !== 'string') problems.push(`rule_based.${key} is required`);
+    else if (placeholdersIn(rules[key]) !== placeholdersIn(ENGLISH.rule_based[key])) problems.push(`rule_based.${key}: placeholders differ from English`);
+  }
+  for (const group of ['sides', 'interpretations', 'advice']) {
+    Object.keys(ENGLISH.rule_based[group])
+      .filter((key) => typeof rules[group]?.[key] !== 'string')
+      .forEach((key) => problems.push(`rule_based.${group}.${key} is missing`));
+  }
+  // Reflection sentences: the fixed ones plus one per pattern rule
+  const reflection = rules.reflection || {};
+  const englishReflection = ENGLISH.rule_based.reflection;
+  const reflectionStrings = [
+    ...['summary', 'realized', 'no_pattern', 'closing'].map((key) => [key, reflection[key], englishReflection[key]]),
+    ...Object.keys(englishReflection.patterns).map((rule) => [`patterns.${rule}`, reflection.patterns?.[rule], englishReflection.patterns[rule]])
+  ];
+  for (const [key, text, english] of reflectionStrings) {
+    if (typeof text !== 'string') problems.push(`rule_based.reflection.${key} is missing`);
+    else if (placeholdersIn(text) !== placeholdersIn(english)) problems.push(`rule_based.reflection.${key}: placeholders differ from English`);
+  }
+
+  for (const [category, english] of Object.entries(ENGLISH.categories)) {
+    const translated = entry.categories?.[category];
+    if (!Array.isArray(translated) || translated.length !== english.length) {
+      problems.push(`categories.${category}: expected ${english.length} templates`);
+      continue;
+    }
+    translated.forEach((text, i) => {
+      if (placeholdersIn(text) !== placeholdersIn(english[i])) problems.push(`categories.${category}[${i}]: placeholders differ from English`);
+    });
+  }
+
+  (entry.directive_patterns || []).forEach((pattern) => {
+    try {
+      new RegExp(pattern, 'iu');
+    } catch (error) {
+      problems.push(`directive_patterns: ${error.message}`);
+    }
+  });
+
+  if (problems.length > 0) throw new Error(`Invalid locale ${file}:\n  - ${problems.join('\n  - ')}`);
+  return entry;
+}
+
+function loadLocales(dir = process.env.LOCALES_DIR || path.join(__dirname, '..', 'locales')) {
+  const locales = new Map([[DEFAULT_LOCALE, ENGLISH]]);
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort()) {
+      const entry = validateLocale(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file);
+      locales.set(entry.locale || path.basename(file, '.json'), {
+        ...entry,
+        banned_terms: (entry.banned_terms || []).map((t) => t.toLowerCase()),
+        directive_patterns: (entry.directive_patterns || []).map((p) => new RegExp(p, 'iu'))
+      });
+    }
+  }
+
+  // "es-MX" and "ES" resolve to "es"; returns null for languages without a translation
+  function resolve(requested) {
+    if (requested === null || requested === undefined || requested === '') return DEFAULT_LOCALE;
+    const code = String(requested).trim().toLowerCase().split(/[-_]/)[0];
+    return locales.has(code) ? code : null;
+  }
+
+  function get(code) {
+    return locales.get(code) || ENGLISH;
+  }
+
+  // Word limit for a language, scaled from the study's English limit
+  function wordLimit(maxWords, code) {
+    return Math.round(maxWords * get(code).word_factor);
+  }
+
+  return { codes: [...locales.keys()], resolve, get, wordLimit };
+}
+
+module.exports = { DEFAULT_LOCALE, ENGLISH, validateLocale, loadLocales };
@@ -0,0 +1,93 @@
+// Market features derived from the trade payload: spread, order cost, valuation gaps, limit distance
+// and position sizing. Computed once per request so the prompt, the rule-based templates and meta
+// all quote the same numbers instead of leaving the arithmetic to the model.
+
+// Numeric payload value, or null when missing or not a number; shared by the CCT, bias and rule modules
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Dollars and percentages to cents, basis points to one decimal
+const round = (value, digits = 2) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+// Signed gap of the entry price from a reference price, in dollars and % of the reference
+function gap(entry, reference) {
+  if (entry === null || !reference) return { amount: null, pct: null };
+  return { amount: round(entry - reference), pct: round(((entry - reference) / reference) * 100) };
+}
+
+// Expected fill: the limit price for limit orders, otherwise the touch on the order's side
+// (ask for buys, bid for sells), falling back to the last trade
+function entryPrice({ side, limit, bid, ask, last }) {
+  if (limit !== null) return { price: limit, source: 'limit' };
+  const touch = side === 'Sell' ? bid : ask;
+  if (touch !== null) return { price: touch, source: side === 'Sell' ? 'bid' : 'ask' };
+  return { price: last, source: last !== null ? 'last' : null };
+}
+
+// `portfolio: false` leaves out the sizing features (generic arm: market data only)
+function computeMarketFeatures(scenario, { portfolio: includePortfolio = true } = {}) {
+  const side = scenario.exec?.side === 'Sell' ? 'Sell' : 'Buy';
+  const qty = toNumber(scenario.exec?.qty) ?? 0;
+  const last = toNumber(scenario.last);
+  const bid = toNumber(scenario.bid);
+  const ask = toNumber(scenario.ask);
+  const ordPx = toNumber(scenario.exec?.ordPx);
+  const limit = ordPx !== null && ordPx > 0 && scenario.exec?.ordType !== 'Market' ? ordPx : null;
+
+  const entry = entryPrice({ side, limit, bid, ask, last });
+  const mid = bid !== null && ask !== null ? (bid + ask) / 2 : null;
+  const spread = mid !== null ? ask - bid : null;
+  const fairValue = gap(entry.price, toNumber(scenario.fair_value));
+  const analystTarget = gap(entry.price, toNumber(scenario.anchor_target));
+
+  // Signed distance of a limit price from the touch it would trade against; marketable limits cross it
+  const touch = side === 'Sell' ? bid : ask;
+  const limitDistance = limit !== null && touch ? limit - touch : null;
+  const marketable = limitDistance !== null ? (side === 'Buy' ? limitDistance >= 0 : limitDistance <= 0) : null;
+
+  const features = {
+    side,
+    qty,
+    entry_price: round(entry.price),
+    entry_source: entry.source,
+    mid: round(mid, 4),
+    spread: round(spread),
+    spread_bps: spread !== null && mid ? round((spread / mid) * 10000, 1) : null,
+    order_value: entry.price !== null ? round(entry.price * qty) : null,
+    // Half the spread per share: what crossing it costs against the mid (resting limits don't cross)
+    spread_cost: spread !== null && marketable !== false ? round((spread / 2) * qty) : null,
+    fair_value_gap: fairValue.amount,
+    fair_value_gap_pct: fairValue.pct,
+    analyst_target_gap: analystTarget.amount,
+    analyst_target_gap_pct: analystTarget.pct,
+    limit_distance: round(limitDistance),
+    limit_distance_bps: limitDistance !== null ? round((limitDistance / touch) * 10000, 1) : null,
+    limit_marketable: marketable,
+    position_pct_of_balance: null,
+    post_trade_position: null,
+    post_trade_exposure: null,
+    post_trade_exposure_pct: null
+  };
+
+  const holdings = includePortfolio ? scenario.portfolio : null;
+  if (holdings) {
+    const balance = toNumber(holdings.balance);
+    const position = (toNumber(holdings.posQty) ?? 0) + (side === 'Buy' ? qty : -qty);
+    features.post_trade_position = position;
+    if (entry.price !== null) {
+      // Exposure is the post-trade position valued at the entry price
+      const exposure = Math.abs(position) * entry.price;
+      features.post_trade_exposure = round(exposure);
+      if (balance) {
+        features.position_pct_of_balance = round(((entry.price * qty) / balance) * 100);
+        features.post_trade_exposure_pct = round((exposure / balance) * 100);
+      }
+    }
+  }
+  return features;
+}
+
+module.exports = { toNumber, computeMarketFeatures };
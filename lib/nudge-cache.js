@@ -0,0 +1,102 @@
+// Precomputed nudge cache keyed by a normalized fingerprint of the payload fields that shape a nudge
+// Filled by the warm-up command (POST /cache/warm); NUDGE_CACHE_MODE decides how requests use it.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RISK_LEVELS, buildCCTProfile } = require('./cct');
+const { DEFAULT_LOCALE } = require('./locales');
+const { toNumber } = require('./market-features');
+
+const CACHE_MODES = ['off', 'on', 'pinned'];
+
+function loadCacheConfig(env = process.env) {
+  const mode = env.NUDGE_CACHE_MODE || 'off';
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`NUDGE_CACHE_MODE must be one of ${CACHE_MODES.join(', ')}`);
+  }
+  return {
+    mode,
+    filePath: env.NUDGE_CACHE_PATH || path.join(__dirname, '..', 'data', 'nudge-cache.json')
+  };
+}
+
+const text = (value) => (value === null || value === undefined ? null : String(value).trim().replace(/\s+/g, ' ').toLowerCase());
+const price = (value) => (value === null || value === undefined || value === '' ? null : Number(Number(value).toFixed(2)));
+
+// Quantity, portfolio and participant details other than the CCT bucket are deliberately left out,
+// so everyone in the same scenario, arm, bucket and limit price gets the same text. Warm-up prompts
+// leave out the quantity, portfolio and the order math that depends on them
+function fingerprint(body, { kind, promptVersion, study = null, locale = DEFAULT_LOCALE }) {
+  const fields = {
+    // Configured studies and non-English nudges get their own entries; English nudges for the
+    // built-in study keep the original keys
+    ...(study ? { study } : {}),
+    ...(locale !== DEFAULT_LOCALE ? { locale } : {}),
+    kind,
+    prompt_version: promptVersion,
+    sym: text(body.sym),
+    side: text(body.exec?.side),
+    order_type: text(body.exec?.ordType) || 'market',
+    last: price(body.last),
+    bid: price(body.bid),
+    ask: price(body.ask),
+    fair_value: price(body.fair_value),
+    anchor_target: price(body.anchor_target),
+    sentiment_pct: price(body.sentiment_pct),
+    hot_condition: body.hot_condition === true
+  };
+  // A limit order enters at its limit price, which the limit distance and the fair-value and
+  // analyst-target gaps are computed from (same test as lib/market-features); market orders enter
+  // at the quotes above and keep their original keys
+  const limit = toNumber(body.exec?.ordPx);
+  if (body.exec?.ordType !== 'Market' && limit !== null && limit > 0) fields.limit_price = price(limit);
+  if (kind === 'personalized') {
+    fields.scenario = text(body.scenario?.name);
+    fields.session_tag = text(body.scenario?.session_tag);
+    fields.news_head = text(body.scenario?.news_head);
+    fields.bucket = buildCCTProfile(body.profile).bucket;
+  }
+  const key = crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex').slice(0, 16);
+  return { key, fields };
+}
+
+// Profile used to generate a bucket's nudge: the midpoint of the bucket's total-score range
+function representativeProfile(bucket) {
+  const index = RISK_LEVELS.findIndex((r) => r.level === bucket);
+  if (index === -1) return {};
+  const low = index === 0 ? 0 : RISK_LEVELS[index - 1].below;
+  const high = Number.isFinite(RISK_LEVELS[index].below) ? RISK_LEVELS[index].below : low + 100;
+  return { cct: { total_score: (low + high) / 2 } };
+}
+
+function createNudgeCache(config = loadCacheConfig()) {
+  let entries = {};
+  if (fs.existsSync(config.filePath)) {
+    entries = JSON.parse(fs.readFileSync(config.filePath, 'utf8'));
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(config.filePath), { recursive: true });
+    const tmp = `${config.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmp, config.filePath);
+  }
+
+  function get(key) {
+    return entries[key] || null;
+  }
+
+  function set(key, entry) {
+    entries[key] = { ...entry, key, created_at: new Date().toISOString() };
+    save();
+    return entries[key];
+  }
+
+  function size() {
+    return Object.keys(entries).length;
+  }
+
+  return { mode: config.mode, config, get, set, size };
+}
+
+module.exports = { CACHE_MODES, loadCacheConfig, fingerprint, representativeProfile, createNudgeCache };
@@ -0,0 +1,132 @@
+// Comprehensive nudge categories for behavioral bias awareness
+// `focus` describes the category in the personalized prompt's list of enabled categories
+const NUDGE_CATEGORIES = {
+  'execution_cost': {
+    title: 'Execution Cost Consideration',
+    focus: 'Focus on spread, fees, transaction costs',
+    templates: [
+      'Consider the execution cost vs. expected price movement.',
+      'The spread and fees may impact your expected returns.',
+      'Factor in transaction costs when evaluating this trade.'
+    ]
+  },
+  'fair_value_anchor': {
+    title: 'Fair Value vs. Entry Price',
+    focus: 'Compare entry price to fair value estimates',
+    templates: [
+      'Your entry price is {distance} from the fair value estimate.',
+      'Consider whether the current price reflects fundamental value.',
+      'The gap between entry and fair value suggests {interpretation}.'
+    ]
+  },
+  'herding_bias': {
+    title: 'Herding Bias Awareness',
+    focus: 'Address high investor buying activity',
+    templates: [
+      'High investor buying activity ({pct}%) may indicate herding behavior.',
+      'Consider whether others\' actions reflect your own analysis.',
+      'Avoid following the crowd without independent evaluation.'
+    ]
+  },
+  'disposition_effect': {
+    title: 'Disposition Effect Awareness',
+    focus: 'Consider position performance vs. market conditions',
+    templates: [
+      'Consider your position\'s performance vs. current market conditions.',
+      'Evaluate whether holding or selling aligns with market fundamentals.',
+      'Avoid letting past performance drive your current decision.'
+    ]
+  },
+  'loss_aversion': {
+    title: 'Loss Aversion Awareness',
+    focus: 'Consider risk tolerance vs. potential losses',
+    templates: [
+      'Consider your risk tolerance vs. potential losses.',
+      'Evaluate whether fear of losses is driving your decision.',
+      'Balance potential gains against acceptable risk levels.'
+    ]
+  },
+  'confirmation_bias': {
+    title: 'Confirmation Bias Awareness',
+    focus: 'Consider multiple market perspectives',
+    templates: [
+      'Consider multiple perspectives on current market conditions.',
+      'Seek information that challenges your current view.',
+      'Avoid only looking for signals that confirm your position.'
+    ]
+  },
+  'fomo': {
+    title: 'FOMO Awareness',
+    focus: 'Consider investment timeline vs. market timing',
+    templates: [
+      'Consider your investment timeline vs. market timing.',
+      'Evaluate whether fear of missing out is driving urgency.',
+      'Focus on your strategy rather than market noise.'
+    ]
+  },
+  'overtrading': {
+    title: 'Overtrading Awareness',
+    focus: 'Consider trading frequency vs. opportunities',
+    templates: [
+      'Consider your trading frequency vs. market opportunities.',
+      'Evaluate whether you\'re trading too frequently.',
+      'Focus on quality opportunities rather than constant activity.'
+    ]
+  },
+  'present_bias': {
+    title: 'Present Bias Awareness',
+    focus: 'Consider long-term vs. short-term outlook',
+    templates: [
+      'Consider long-term vs. short-term market outlook.',
+      'Evaluate whether immediate gains are worth long-term risks.',
+      'Balance current opportunities with future market conditions.'
+    ]
+  },
+  'status_quo_bias': {
+    title: 'Status Quo Bias Awareness',
+    focus: 'Consider whether market conditions warrant change',
+    templates: [
+      'Consider whether market conditions warrant a change.',
+      'Evaluate if maintaining current position is optimal.',
+      'Avoid inertia when market conditions suggest action.'
+    ]
+  },
+  'base_rate_neglect': {
+    title: 'Base Rate Neglect Awareness',
+    focus: 'Consider overall trends vs. specific signals',
+    templates: [
+      'Consider overall market trends vs. specific signals.',
+      'Evaluate general market statistics alongside specific information.',
+      'Balance broad market context with individual stock factors.'
+    ]
+  },
+  'decision_fatigue': {
+    title: 'Decision Fatigue Awareness',
+    focus: 'Consider taking time to reassess conditions',
+    templates: [
+      'Consider taking a moment to reassess market conditions.',
+      'Evaluate whether multiple decisions are affecting your judgment.',
+      'Take time to refresh your perspective on current opportunities.'
+    ]
+  },
+  'cct_risk_awareness': {
+    title: 'Risk Assessment',
+    focus: 'Tailor advice based on CCT score and enhanced risk profiling (risk level, consistency, preference, gain/loss sensitivity)',
+    templates: [
+      'Given your risk profile, consider position sizing carefully.',
+      'Your risk tolerance suggests {advice} for this trade.',
+      'Evaluate whether this trade aligns with your risk preferences.'
+    ]
+  },
+  'portfolio_risk': {
+    title: 'Portfolio Risk Management',
+    focus: 'Address drawdown, position sizing, performance patterns',
+    templates: [
+      'Consider your overall portfolio exposure and diversification.',
+      'Evaluate position sizing relative to your total portfolio.',
+      'Assess whether this trade improves or worsens your risk profile.'
+    ]
+  }
+};
+
+module.exports = { NUDGE_CATEGORIES };
@@ -0,0 +1,181 @@
+// OpenAPI contract for the participant-facing routes (GET /openapi.json). Request bodies are
+// generated from the declared schemas in lib/schema.js, so the document can't drift from validation.
+const { SCHEMAS, TRUE_FLAGS, FALSE_FLAGS } = require('./schema');
+
+// Routes served at the root and again under /studies/{studyId}; `schema` names the request schema,
+// `study: false` marks routes that don't select a study
+const NUDGE_ROUTES = [
+  { path: '/nudge', schema: 'personalized', response: 'Nudge', summary: 'Personalized nudge for the arm named in the payload ("legacy" by default)' },
+  { path: '/generic-nudge', schema: 'generic', response: 'Nudge', summary: 'Generic-arm nudge from market data only' },
+  { path: '/enhanced-nudge', schema: 'personalized', response: 'Nudge', summary: 'Enhanced-arm nudge personalized by CCT profile, portfolio and scenario' },
+  { path: '/rule-based-nudge', schema: 'personalized', response: 'Nudge', summary: 'Deterministic nudge from the rule engine, without a model call' },
+  { path: '/enhanced-nudge/stream', schema: 'personalized', stream: true, summary: 'Enhanced-arm nudge as Server-Sent Events' },
+  { path: '/generic-nudge/stream', schema: 'generic', stream: true, summary: 'Generic-arm nudge as Server-Sent Events' },
+  { path: '/study-nudge', schema: 'personalized', response: 'Nudge', summary: 'Nudge for the participant\'s assigned arm (requires participant_id)', errors: [409] },
+  { path: '/reflection', schema: 'reflection', response: 'Nudge', summary: 'Post-trade debrief of a completed session' },
+  { path: '/assign', schema: 'assign', response: 'Assignment', summary: 'Assign (or look up) the participant\'s treatment arm' },
+  { path: '/nudge-outcome', schema: 'outcome', response: 'OutcomeReceipt', study: false, summary: 'Report what the participant did after a nudge', errors: [404] }
+];
+
+const SCHEMA_COMPONENTS = { generic: 'GenericNudgeRequest', personalized: 'PersonalizedNudgeRequest', outcome: 'OutcomeRequest', reflection: 'ReflectionRequest', assign: 'AssignRequest' };
+
+// Field spec (lib/schema.js) to JSON Schema; numbers also accept numeric strings, as the server coerces them
+function jsonSchema(spec) {
+  const schema = (() => {
+    switch (spec.type) {
+      case 'number':
+        return { type: ['number', 'string'], ...(spec.min !== undefined && { minimum: spec.min }), ...(spec.max !== undefined && { maximum: spec.max }) };
+      case 'string':
+        return { type: 'string' };
+      case 'enum':
+        return { type: 'string', enum: spec.values, description: 'Case-insensitive' };
+      case 'flag':
+        return { type: ['boolean', 'string', 'number'], description: `True: ${TRUE_FLAGS.join(', ')}; false: ${FALSE_FLAGS.filter(Boolean).join(', ')}` };
+      case 'price':
+        return { type: ['number', 'string'], minimum: 0, description: 'Limit price, or "Market"' };
+      case 'array':
+        return {
+          type: 'array',
+          ...(spec.items && { items: jsonSchema(spec.items) }),
+          ...(spec.minItems !== undefined && { minItems: spec.minItems }),
+          ...(spec.maxItems !== undefined && { maxItems: spec.maxItems })
+        };
+      case 'object':
+        return spec.fields ? objectSchema(spec.fields) : { type: 'object' };
+      default:
+        return {};
+    }
+  })();
+  return {
+    ...schema,
+    ...(spec.description !== undefined && { description: spec.description }),
+    ...(spec.default !== undefined && { default: spec.default })
+  };
+}
+
+function objectSchema(fields) {
+  const required = Object.keys(fields).filter((key) => fields[key].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([key, spec]) => [key, jsonSchema(spec)])),
+    ...(required.length > 0 && { required })
+  };
+}
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    details: {
+      type: 'array',
+      description: 'Field-level problems, for invalid payloads',
+      items: { type: 'object', required: ['field', 'message'], properties: { field: { type: 'string' }, message: { type: 'string' } } }
+    }
+  }
+};
+
+const RESPONSE_SCHEMAS = {
+  Nudge: {
+    type: 'object',
+    required: ['model', 'suggestion_html', 'suggestion_text', 'meta'],
+    properties: {
+      model: { type: 'string', description: 'Model that wrote the text; "fallback-rule-based" or "fallback-none" on fallback, "none" for the control arm' },
+      suggestion_html: { type: 'string', description: 'Escaped HTML to display as-is (empty for the control arm)' },
+      suggestion_text: { type: 'string' },
+      nudge_id: { type: 'string', description: 'Event id to report outcomes against' },
+      meta: { type: 'object', description: 'Arm, bias, prompt version, guardrails, fallback and error details' }
+    }
+  },
+  Assignment: {
+    type: 'object',
+    required: ['participant_id', 'arm', 'sticky', 'study'],
+    properties: {
+      participant_id: { type: 'string' },
+      arm: { type: 'string' },
+      stratum: { type: 'string' },
+      assigned_at: { type: 'string', format: 'date-time' },
+      sticky: { type: 'boolean', description: 'True when the participant was already assigned' },
+      study: { type: 'string' }
+    }
+  },
+  OutcomeReceipt: {
+    type: 'object',
+    required: ['nudge_id', 'outcome_id', 'recorded'],
+    properties: { nudge_id: { type: 'string' }, outcome_id: { type: 'string' }, recorded: { type: 'boolean' } }
+  },
+  Error: ERROR_SCHEMA,
+  RateLimitError: {
+    type: 'object',
+    required: ['error', 'scope', 'limit', 'window_ms', 'retry_after_s'],
+    properties: {
+      error: { type: 'string' },
+      scope: { type: 'string', enum: ['key', 'participant'] },
+      limit: { type: 'integer' },
+      window_ms: { type: 'integer' },
+      retry_after_s: { type: 'integer' }
+    }
+  }
+};
+
+const errorResponse = (description, schema = 'Error') => ({ description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } } });
+
+const ERROR_RESPONSES = {
+  400: errorResponse('Invalid request payload, locale or study_id'),
+  401: errorResponse('Missing or invalid X-Study-Key'),
+  403: errorResponse('Origin not allowed, or the study key does not grant the requested study'),
+  404: errorResponse('Unknown study or nudge'),
+  409: errorResponse('Assigned arm is no longer configured for the study'),
+  429: { ...errorResponse('Rate limit exceeded', 'RateLimitError'), headers: { 'Retry-After': { schema: { type: 'integer' } } } },
+  500: errorResponse('Generation failed')
+};
+
+const STREAM_DESCRIPTION = 'Events: "start", then "token" chunks ({ text }), then "final" with the complete Nudge object. ' +
+  '"final" is authoritative; its suggestion_html replaces any streamed text.';
+
+function operation(route, { studyPath }) {
+  const requestSchema = SCHEMA_COMPONENTS[route.schema];
+  const success = route.stream
+    ? { description: STREAM_DESCRIPTION, content: { 'text/event-stream': { schema: { type: 'string' } } } }
+    : { description: 'OK', content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.response}` } } } };
+  const errors = [400, 401, 403, ...(route.study !== false ? [404] : []), ...(route.errors || []), 429, 500];
+
+  return {
+    summary: route.summary,
+    operationId: `${route.path.replace(/^\//, '').replace(/[/-](\w)/g, (m, c) => c.toUpperCase())}${studyPath ? 'ForStudy' : ''}`,
+    ...(studyPath && { parameters: [{ $ref: '#/components/parameters/StudyId' }] }),
+    requestBody: { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${requestSchema}` } } } },
+    responses: { 200: success, ...Object.fromEntries([...new Set(errors)].sort((a, b) => a - b).map((status) => [status, ERROR_RESPONSES[status]])) }
+  };
+}
+
+// `studyKeys`: whether STUDY_API_KEYS is set, i.e. whether X-Study-Key is required
+function buildOpenApiDocument({ version, studyKeys = false } = {}) {
+  const paths = {};
+  for (const route of NUDGE_ROUTES) {
+    paths[route.path] = { post: operation(route, { studyPath: false }) };
+    paths[`/studies/{studyId}${route.path}`] = { post: operation(route, { studyPath: true }) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'AI Nudge Server',
+      version,
+      description: 'Participant-facing routes of the nudge server. Numeric fields accept numeric strings, missing optional ' +
+        'fields are treated as null, and undeclared fields are passed through. Under /studies/{studyId} the path selects the study.'
+    },
+    paths,
+    components: {
+      schemas: {
+        ...Object.fromEntries(Object.entries(SCHEMA_COMPONENTS).map(([name, component]) => [component, objectSchema(SCHEMAS[name].fields)])),
+        ...RESPONSE_SCHEMAS
+      },
+      parameters: { StudyId: { name: 'studyId', in: 'path', required: true, schema: { type: 'string' } } },
+      securitySchemes: { StudyKey: { type: 'apiKey', in: 'header', name: 'X-Study-Key' } }
+    },
+    security: studyKeys ? [{ StudyKey: [] }] : []
+  };
+}
+
+module.exports = { NUDGE_ROUTES, jsonSchema, buildOpenApiDocument };
@@ -0,0 +1,169 @@
+// Participant decisions after a nudge (submitted, modified or cancelled), joined to the logged nudge
+// by nudge_id (the nudge's event_id). Reports are appended to OUTCOME_LOG_PATH; a nudge may be
+// reported more than once (display timing, the decision on submit, the realized P&L when the round ends) and the
+// later report wins field by field.
+const path = require('path');
+const { average, rate } = require('./study-stats');
+const { percentile } = require('./resilience');
+
+const DECISIONS = ['submitted', 'modified', 'cancelled'];
+const OUTCOME_FIELDS = ['decision', 'changed_fields', 'changes', 'time_to_display_ms', 'time_to_decision_ms', 'realized_pnl'];
+
+function loadOutcomeConfig(env = process.env) {
+  return {
+    filePath: env.OUTCOME_LOG_PATH || path.join(__dirname, '..', 'data', 'nudge-outcomes.jsonl')
+  };
+}
+
+// Order fields the participant edited, from the normalized `changes` object
+function changedFields(changes) {
+  return Object.keys(changes || {}).filter((key) => changes[key] !== null && changes[key] !== undefined);
+}
+
+// Checks across fields that the declared schema can't express; same shape as schema errors
+function outcomeProblems(value) {
+  const problems = [];
+  const changed = changedFields(value.changes);
+  if (!value.decision && value.realized_pnl === null && value.time_to_display_ms === null) {
+    problems.push({ field: 'decision', message: 'is required unless realized_pnl or time_to_display_ms is reported' });
+  }
+  if (value.decision === 'modified' && changed.length === 0) {
+    problems.push({ field: 'changes', message: 'must give at least one changed order field when decision is "modified"' });
+  }
+  if (value.decision !== 'modified' && changed.length > 0) {
+    problems.push({ field: 'changes', message: 'only applies when decision is "modified"' });
+  }
+  return problems;
+}
+
+// Outcome log entry: the report plus the nudge fields it is analysed by
+function outcomeRecord(value, nudgeEvent) {
+  const changed = changedFields(value.changes);
+  return {
+    nudge_id: nudgeEvent.event_id,
+    nudge_timestamp: nudgeEvent.timestamp,
+    study: nudgeEvent.study ?? null,
+    arm: nudgeEvent.arm ?? null,
+    route: nudgeEvent.route ?? null,
+    participant_id: nudgeEvent.participant_id ?? null,
+    session_id: nudgeEvent.session_id ?? null,
+    bias: biasOf(nudgeEvent),
+    decision: value.decision ?? null,
+    changed_fields: changed.length > 0 ? changed : null,
+    changes: changed.length > 0 ? Object.fromEntries(changed.map((key) => [key, value.changes[key]])) : null,
+    time_to_display_ms: value.time_to_display_ms ?? null,
+    time_to_decision_ms: value.time_to_decision_ms ?? null,
+    realized_pnl: value.realized_pnl ?? null
+  };
+}
+
+// Control and generic nudges target no bias
+function biasOf(nudgeEvent) {
+  return nudgeEvent.meta?.bias_selected || nudgeEvent.meta?.category || 'none';
+}
+
+// Folds a nudge's reports (oldest first) into one outcome
+function mergeOutcomes(reports) {
+  const merged = { reports: reports.length, reported_at: null };
+  for (const field of OUTCOME_FIELDS) merged[field] = null;
+  for (const report of reports) {
+    for (const field of OUTCOME_FIELDS) {
+      if (report[field] !== null && report[field] !== undefined) merged[field] = report[field];
+    }
+    merged.reported_at = report.timestamp ?? merged.reported_at;
+  }
+  return merged;
+}
+
+function newGroup() {
+  return { nudges: 0, decided: 0, decisions: Object.fromEntries(DECISIONS.map((d) => [d, 0])), changedFields: {}, displayTimes: [], decisionTimes: [], pnl: [] };
+}
+
+function addToGroup(group, outcome) {
+  group.nudges++;
+  if (!outcome) return;
+  if (Number.isFinite(outcome.time_to_display_ms)) group.displayTimes.push(outcome.time_to_display_ms);
+  if (outcome.decision) {
+    group.decided++;
+    group.decisions[outcome.decision]++;
+    (outcome.changed_fields || []).forEach((field) => {
+      group.changedFields[field] = (group.changedFields[field] || 0) + 1;
+    });
+    if (Number.isFinite(outcome.time_to_decision_ms)) group.decisionTimes.push(outcome.time_to_decision_ms);
+  }
+  if (Number.isFinite(outcome.realized_pnl)) group.pnl.push(outcome.realized_pnl);
+}
+
+// Decision rates are shares of the nudges with a reported decision
+function summarize(group) {
+  return {
+    nudges: group.nudges,
+    decisions_reported: group.decided,
+    report_rate: rate(group.decided, group.nudges),
+    ...group.decisions,
+    submit_rate: rate(group.decisions.submitted, group.decided),
+    modify_rate: rate(group.decisions.modified, group.decided),
+    cancel_rate: rate(group.decisions.cancelled, group.decided),
+    changed_fields: group.changedFields,
+    time_to_display_p50_ms: percentile(group.displayTimes, 50),
+    time_to_decision_p50_ms: percentile(group.decisionTimes, 50),
+    time_to_decision_avg_ms: average(group.decisionTimes),
+    pnl_reported: group.pnl.length,
+    avg_realized_pnl: group.pnl.length ? Number((group.pnl.reduce((a, b) => a + b, 0) / group.pnl.length).toFixed(2)) : null
+  };
+}
+
+// Feed every outcome report first, then the nudge events; each nudge counts once, with its merged outcome
+function createOutcomeAggregator() {
+  const reportsByNudge = new Map();
+  const overall = newGroup();
+  const byArm = new Map();
+  const byBias = new Map();
+
+  function addReport(report) {
+    if (!reportsByNudge.has(report.nudge_id)) reportsByNudge.set(report.nudge_id, []);
+    reportsByNudge.get(report.nudge_id).push(report);
+  }
+
+  function outcomeFor(nudgeId) {
+    const reports = reportsByNudge.get(nudgeId);
+    return reports ? mergeOutcomes(reports) : null;
+  }
+
+  function addNudge(event) {
+    const outcome = outcomeFor(event.event_id);
+    addToGroup(overall, outcome);
+    for (const [groups, key] of [[byArm, event.arm || 'unknown'], [byBias, biasOf(event)]]) {
+      if (!groups.has(key)) groups.set(key, newGroup());
+      addToGroup(groups.get(key), outcome);
+    }
+    return outcome;
+  }
+
+  function result() {
+    const summarizeAll = (groups) => Object.fromEntries([...groups.entries()].map(([key, group]) => [key, summarize(group)]));
+    return { overall: summarize(overall), arms: summarizeAll(byArm), biases: summarizeAll(byBias) };
+  }
+
+  return { addReport, outcomeFor, addNudge, result };
+}
+
+// One export row per nudge with an outcome: what was shown, and what the participant did
+function joinedRow(event, outcome) {
+  return {
+    nudge_id: event.event_id,
+    timestamp: event.timestamp,
+    study: event.study ?? null,
+    arm: event.arm ?? null,
+    route: event.route,
+    participant_id: event.participant_id ?? null,
+    session_id: event.session_id ?? null,
+    bias: biasOf(event),
+    model: event.model,
+    fallback: !!event.fallback,
+    output: event.output ?? null,
+    ...outcome
+  };
+}
+
+module.exports = { DECISIONS, loadOutcomeConfig, outcomeProblems, outcomeRecord, mergeOutcomes, createOutcomeAggregator, joinedRow };
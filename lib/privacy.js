@@ -0,0 +1,148 @@
+// Participant data minimization: a per-field policy decides what reaches the model and the logs
+// Actions: send (model + logs), log (logs only), hash (logs as keyed hash only), drop (neither).
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ACTIONS = ['send', 'log', 'hash', 'drop'];
+
+// Participant fields the server reads; anything not listed in the policy gets its `default`
+const PARTICIPANT_FIELDS = [
+  'participant_id',
+  'profile.demographics.age',
+  'profile.demographics.gender',
+  'profile.demographics.education',
+  'profile.demographics.personal_income',
+  'profile.demographics.employment',
+  'profile.experience.trading_years',
+  'profile.experience.confidence',
+  'profile.experience.financial_education',
+  'profile.experience.investment_types',
+  'profile.experience.market_knowledge',
+  'profile.psychological_traits.regret_avoidance',
+  'profile.psychological_traits.pre_mood',
+  'profile.psychological_traits.pre_decision_fatigue',
+  'profile.screener'
+];
+
+// Without a policy file everything is sent as before (refused in production)
+const PERMISSIVE_POLICY = { version: 'none', default: 'send', fields: {} };
+
+function loadPrivacyConfig(env = process.env) {
+  return {
+    policyPath: env.PRIVACY_POLICY_PATH || null,
+    pseudonymKey: env.PSEUDONYM_KEY || null,
+    retentionDays: env.RETENTION_DAYS ? Number(env.RETENTION_DAYS) : null,
+    production: env.NODE_ENV === 'production'
+  };
+}
+
+function validatePolicy(policy, config) {
+  const problems = [];
+  const fields = policy.fields || {};
+  if (!ACTIONS.includes(policy.default)) problems.push(`"default" must be one of ${ACTIONS.join(', ')}`);
+  for (const [field, action] of Object.entries(fields)) {
+    if (!PARTICIPANT_FIELDS.includes(field)) problems.push(`unknown field "${field}"`);
+    if (!ACTIONS.includes(action)) problems.push(`${field}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+  // Assignment and sessions need a stable participant_id, so it can only be kept or pseudonymized
+  const idAction = fields.participant_id || policy.default;
+  if (!['send', 'hash'].includes(idAction)) problems.push('participant_id must be "send" or "hash"');
+  const usesHash = PARTICIPANT_FIELDS.some((field) => (fields[field] || policy.default) === 'hash');
+  if (usesHash && !config.pseudonymKey) problems.push('PSEUDONYM_KEY is required when any field is hashed');
+  if (problems.length > 0) throw new Error(`Invalid privacy policy:\n  - ${problems.join('\n  - ')}`);
+  return policy;
+}
+
+function loadPolicy(config) {
+  if (!config.policyPath) {
+    if (config.production) throw new Error('PRIVACY_POLICY_PATH must be set when NODE_ENV=production');
+    return PERMISSIVE_POLICY;
+  }
+  return validatePolicy(JSON.parse(fs.readFileSync(config.policyPath, 'utf8')), config);
+}
+
+function getPath(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function deletePath(object, fieldPath) {
+  const keys = fieldPath.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value == null ? undefined : value[key]), object);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+}
+
+function createPrivacyFilter(config = loadPrivacyConfig()) {
+  const policy = loadPolicy(config);
+  const actionFor = (field) => policy.fields?.[field] || policy.default;
+
+  // Keyed hash (HMAC-SHA256): stable per participant, not reversible without PSEUDONYM_KEY
+  function pseudonymize(value) {
+    return crypto.createHmac('sha256', config.pseudonymKey).update(String(value)).digest('hex').slice(0, 16);
+  }
+
+  // Applied once per request, before anything is stored: replaces participant_id with its pseudonym
+  function pseudonymizeRequest(req, res, next) {
+    const id = req.body?.participant_id;
+    if (id !== undefined && id !== null && id !== '' && actionFor('participant_id') === 'hash') {
+      req.body.participant_id = pseudonymize(id);
+    }
+    next();
+  }
+
+  // Copy of the payload with every field not marked "send" removed, for prompt building
+  function forModel(body) {
+    const copy = structuredClone(body);
+    for (const field of PARTICIPANT_FIELDS) {
+      if (field !== 'participant_id' && actionFor(field) !== 'send') deletePath(copy, field);
+    }
+    return copy;
+  }
+
+  // Participant fields safe for console logs: raw for send/log, keyed hash for hash, omitted for drop
+  function forLog(body) {
+    const logged = {};
+    for (const field of PARTICIPANT_FIELDS) {
+      if (field === 'participant_id') continue;
+      const value = getPath(body, field);
+      if (value === undefined || value === null) continue;
+      const action = actionFor(field);
+      const name = field.split('.').pop();
+      if (action === 'send' || action === 'log') logged[name] = value;
+      else if (action === 'hash') logged[name] = pseudonymize(typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+    return logged;
+  }
+
+  return {
+    policy,
+    config,
+    pseudonymize,
+    pseudonymizeRequest,
+    forModel,
+    forLog
+  };
+}
+
+// Runs `purge(cutoff)` now and then daily; cutoff is RETENTION_DAYS ago
+function scheduleRetention(retentionDays, purge) {
+  const run = async () => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 3600 * 1000);
+    try {
+      const removed = await purge(cutoff);
+      console.log(`Retention: purged records older than ${cutoff.toISOString()}`, removed);
+    } catch (error) {
+      console.error('Retention purge error:', error.message);
+    }
+  };
+  run();
+  setInterval(run, 24 * 3600 * 1000).unref();
+}
+
+module.exports = {
+  ACTIONS,
+  PARTICIPANT_FIELDS,
+  loadPrivacyConfig,
+  validatePolicy,
+  createPrivacyFilter,
+  scheduleRetention
+};
@@ -0,0 +1,91 @@
+// Versioned prompt templates loaded from prompts/<version>/
+// Each version has a manifest.json declaring its template files and their {{variables}}.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPT_KINDS = ['system', 'generic', 'personalized'];
+// Validated when a version has them; requests for a missing one fail (and fall back) at render time
+const OPTIONAL_PROMPT_KINDS = ['reflection'];
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+function placeholdersIn(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map((m) => m[1]))];
+}
+
+// Reads and validates one version directory; throws with every problem found
+function loadVersion(dir) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  const version = manifest.version || path.basename(dir);
+  const problems = [];
+  const templates = {};
+
+  for (const kind of [...PROMPT_KINDS, ...OPTIONAL_PROMPT_KINDS]) {
+    const spec = manifest.templates?.[kind];
+    if (!spec) {
+      if (PROMPT_KINDS.includes(kind)) problems.push(`missing "${kind}" template`);
+      continue;
+    }
+    const file = path.join(dir, spec.file);
+    if (!fs.existsSync(file)) {
+      problems.push(`${kind}: file ${spec.file} not found`);
+      continue;
+    }
+    // A single trailing newline is an editor artifact, not part of the prompt
+    const text = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    const declared = spec.variables || [];
+    const used = placeholdersIn(text);
+    used.filter((v) => !declared.includes(v)).forEach((v) => problems.push(`${kind}: {{${v}}} is used but not declared`));
+    declared.filter((v) => !used.includes(v)).forEach((v) => problems.push(`${kind}: "${v}" is declared but never used`));
+    templates[kind] = { text, variables: declared };
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid prompt version ${version} (${dir}):\n  - ${problems.join('\n  - ')}`);
+  }
+  return { version, description: manifest.description || '', templates };
+}
+
+function loadPromptLibrary(rootDir = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts')) {
+  const versions = new Map();
+  for (const entry of fs.readdirSync(rootDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const loaded = loadVersion(path.join(rootDir, entry.name));
+    versions.set(loaded.version, loaded);
+  }
+  if (versions.size === 0) throw new Error(`No prompt versions found in ${rootDir}`);
+
+  const defaultVersion = process.env.PROMPT_VERSION || (versions.has('v1') ? 'v1' : [...versions.keys()].sort().pop());
+  if (!versions.has(defaultVersion)) throw new Error(`PROMPT_VERSION "${defaultVersion}" not found in ${rootDir}`);
+
+  // PROMPT_VERSION_<ARM> (e.g. PROMPT_VERSION_ENHANCED=v2) overrides the default for one arm
+  function versionFor(arm) {
+    const override = arm ? process.env[`PROMPT_VERSION_${String(arm).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`] : null;
+    if (override && !versions.has(override)) throw new Error(`Prompt version "${override}" for arm "${arm}" not found`);
+    return override || defaultVersion;
+  }
+
+  // Fills the system and user templates; every declared variable must be provided
+  function render(version, kind, variables) {
+    const entry = versions.get(version);
+    if (!entry) throw new Error(`Unknown prompt version "${version}"`);
+    const fill = (template) => {
+      const missing = template.variables.filter((v) => variables[v] === undefined);
+      if (missing.length > 0) throw new Error(`Prompt ${version}/${kind} missing variables: ${missing.join(', ')}`);
+      return template.text.replace(PLACEHOLDER, (_, name) => String(variables[name]));
+    };
+    const system = entry.templates.system;
+    const user = entry.templates[kind];
+    if (!user) throw new Error(`Prompt version "${version}" has no ${kind} template`);
+    return {
+      version,
+      hash: crypto.createHash('sha256').update(`${system.text}\0${user.text}`).digest('hex').slice(0, 12),
+      system: fill(system),
+      user: fill(user)
+    };
+  }
+
+  return { rootDir, versions, defaultVersion, versionFor, render };
+}
+
+module.exports = { PROMPT_KINDS, OPTIONAL_PROMPT_KINDS, loadPromptLibrary };
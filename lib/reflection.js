@@ -0,0 +1,107 @@
+// Post-trade reflection: session statistics and behavioral patterns observed across a completed
+// scenario, mapped onto NUDGE_CATEGORIES so debriefs share the pre-trade nudges' vocabulary.
+// The same analysis feeds the LLM prompt and the rule-based fallback.
+const { NUDGE_CATEGORIES } = require('./nudge-categories');
+const { ENGLISH } = require('./locales');
+const { fillTemplate } = require('./rule-engine');
+
+const finite = (value) => (Number.isFinite(value) ? value : null);
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+function sessionStats({ trades = [], portfolio = null, trajectory = null }) {
+  const closes = trades.filter((t) => finite(t.realized_pl) !== null);
+  const snapshots = trajectory || [];
+  const last = snapshots[snapshots.length - 1] || {};
+
+  // Side changes between consecutive trades, and buys below the immediately preceding buy of the same symbol
+  let addsAtLowerPrice = 0;
+  let directionChanges = 0;
+  trades.forEach((trade, i) => {
+    const previous = trades[i - 1];
+    if (!previous) return;
+    if (trade.side !== previous.side) directionChanges++;
+    if (trade.side === 'Buy' && previous.side === 'Buy' && trade.sym === previous.sym && trade.price < previous.price) addsAtLowerPrice++;
+  });
+
+  const drawdowns = [portfolio?.maxDrawdownPct, portfolio?.currentDrawdownPct, ...snapshots.map((s) => s.drawdownPct)]
+    .filter((v) => finite(v) !== null)
+    .map(Math.abs);
+
+  return {
+    trades: trades.length,
+    buys: trades.filter((t) => t.side === 'Buy').length,
+    sells: trades.filter((t) => t.side === 'Sell').length,
+    // The simulator's own count when sent, which may include trades outside the list
+    trade_count: finite(portfolio?.tradeCount) ?? trades.length,
+    closing_trades: closes.length,
+    winning_closes: closes.filter((t) => t.realized_pl > 0).length,
+    losing_closes: closes.filter((t) => t.realized_pl < 0).length,
+    realized_pnl: finite(portfolio?.realizedPL) ?? finite(last.realizedPL) ?? (closes.length > 0 ? round(closes.reduce((sum, t) => sum + t.realized_pl, 0)) : null),
+    unrealized_pnl: finite(portfolio?.unrealizedPL) ?? finite(last.unrealizedPL),
+    max_drawdown_pct: drawdowns.length > 0 ? round(Math.max(...drawdowns)) : null,
+    total_return: finite(portfolio?.totalReturn),
+    direction_changes: directionChanges,
+    adds_at_lower_price: addsAtLowerPrice
+  };
+}
+
+// Every matching rule is a pattern, in this order; the first is the debrief's primary category
+const REFLECTION_RULES = [
+  { rule: 'realized_gains_held_losses', category: 'disposition_effect', test: (s) => s.winning_closes > 0 && s.losing_closes === 0 && s.unrealized_pnl < 0 },
+  { rule: 'added_at_lower_prices', category: 'loss_aversion', test: (s) => s.adds_at_lower_price >= 2 },
+  { rule: 'trade_count_at_least_10', category: 'overtrading', test: (s) => s.trade_count >= 10 },
+  { rule: 'max_drawdown_above_5pct', category: 'portfolio_risk', test: (s) => s.max_drawdown_pct > 5 },
+  { rule: 'cct_high_risk', category: 'cct_risk_awareness', test: (s, cct) => ['high', 'very_high'].includes(cct?.risk_level) }
+];
+
+// `categories` restricts patterns to a study's enabled categories
+function analyzeSession(session, { cct = null, categories = null } = {}) {
+  const stats = sessionStats(session);
+  const patterns = REFLECTION_RULES
+    .filter((r) => (!categories || categories.includes(r.category)) && r.test(stats, cct))
+    .map(({ rule, category }) => ({ rule, category, title: NUDGE_CATEGORIES[category].title }));
+  return { stats, patterns };
+}
+
+const dollars = (value) => `$${Math.abs(value).toFixed(2)}`;
+const signedDollars = (value) => `${value < 0 ? '-' : value > 0 ? '+' : ''}${dollars(value)}`;
+
+// One sentence per pattern with the session's figures filled in; also the prompt's evidence lines
+function describePatterns({ stats, patterns }, { cct = null, locale = ENGLISH } = {}) {
+  const strings = locale.rule_based.reflection;
+  const values = {
+    trades: stats.trade_count,
+    winners: stats.winning_closes,
+    loss: stats.unrealized_pnl !== null ? dollars(stats.unrealized_pnl) : undefined,
+    adds: stats.adds_at_lower_price,
+    reversals: stats.direction_changes,
+    drawdown: stats.max_drawdown_pct !== null ? stats.max_drawdown_pct.toFixed(1) : undefined,
+    advice: cct ? locale.rule_based.advice[cct.risk_level] || cct.advice : undefined
+  };
+  return patterns
+    .map((pattern) => ({ ...pattern, text: fillTemplate(strings.patterns[pattern.rule], values) }))
+    .filter((pattern) => pattern.text !== null);
+}
+
+// Deterministic debrief in the locale's language: summary, P&L, up to `maxPatterns` pattern
+// sentences and a closing question
+function generateRuleBasedReflection(analysis, { cct = null, locale = ENGLISH, maxPatterns = 2 } = {}) {
+  const { stats } = analysis;
+  const strings = locale.rule_based.reflection;
+  const shown = describePatterns(analysis, { cct, locale }).slice(0, maxPatterns);
+  const sentences = [
+    fillTemplate(strings.summary, { trades: stats.trades, buys: stats.buys, sells: stats.sells }),
+    stats.realized_pnl !== null ? fillTemplate(strings.realized, { pnl: signedDollars(stats.realized_pnl) }) : null,
+    ...(shown.length > 0 ? shown.map((p) => p.text) : [strings.no_pattern]),
+    strings.closing
+  ];
+
+  return {
+    category: shown[0]?.category ?? null,
+    rule: shown[0]?.rule ?? 'no_pattern',
+    patterns: shown.map((p) => p.category),
+    text: sentences.filter(Boolean).join(' ')
+  };
+}
+
+module.exports = { REFLECTION_RULES, sessionStats, analyzeSession, describePatterns, generateRuleBasedReflection, signedDollars };
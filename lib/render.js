@@ -0,0 +1,103 @@
+// HTML rendering of nudge text for Qualtrics: escapes untrusted text, then applies a small safe markup subset
+// Per-arm display templates come from RENDER_TEMPLATES_PATH (JSON), falling back to DEFAULT_TEMPLATES.
+const fs = require('fs');
+
+const DEFAULT_TEMPLATES = {
+  default: {
+    label: 'AI Trade Feedback:',
+    html: '<div><b>{{label}}</b> {{body}}</div>',
+    text: '{{body}}'
+  }
+};
+
+const TEMPLATE_PLACEHOLDERS = ['label', 'body'];
+
+// Prices, percentages, basis points and plain figures are bolded; arrows and warnings get colored spans
+const NUMBER = /(?<![\p{L}\p{N}])\$?\d[\d,]*(?:\.\d+)?(?:\s?(?:%|bps\b))?/u;
+const SYMBOLS = {
+  '↑': { className: 'nudge-up', color: '#15803d' },
+  '↓': { className: 'nudge-down', color: '#b91c1c' },
+  '⚠️': { className: 'nudge-warning', color: '#b45309' },
+  '⚠': { className: 'nudge-warning', color: '#b45309' }
+};
+const MARKUP = new RegExp(`${NUMBER.source}|⚠️|⚠|↑|↓`, 'gu');
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escapes everything between markup tokens, so only markup produced here reaches the page
+function formatHtml(text) {
+  let html = '';
+  let cursor = 0;
+  for (const match of text.matchAll(MARKUP)) {
+    html += escapeHtml(text.slice(cursor, match.index));
+    const token = match[0];
+    const symbol = SYMBOLS[token];
+    html += symbol
+      ? `<span class="${symbol.className}" style="color:${symbol.color};font-weight:bold">${token}</span>`
+      : `<b>${escapeHtml(token)}</b>`;
+    cursor = match.index + token.length;
+  }
+  return html + escapeHtml(text.slice(cursor));
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, name) => values[name]);
+}
+
+// Each template needs {{body}} in both outputs and may only use the known placeholders
+function validateTemplates(templates) {
+  const problems = [];
+  if (!templates.default) problems.push('missing "default" template');
+  for (const [arm, template] of Object.entries(templates)) {
+    for (const output of ['html', 'text']) {
+      const text = template[output];
+      if (typeof text !== 'string') {
+        problems.push(`${arm}: "${output}" must be a string`);
+        continue;
+      }
+      if (!text.includes('{{body}}')) problems.push(`${arm}: "${output}" must contain {{body}}`);
+      const unknown = [...text.matchAll(/\{\{(\w+)\}\}/g)].map((m) => m[1]).filter((name) => !TEMPLATE_PLACEHOLDERS.includes(name));
+      unknown.forEach((name) => problems.push(`${arm}: unknown placeholder {{${name}}} in "${output}"`));
+    }
+  }
+  if (problems.length > 0) throw new Error(`Invalid render templates:\n  - ${problems.join('\n  - ')}`);
+  return templates;
+}
+
+function loadRenderTemplates(filePath = process.env.RENDER_TEMPLATES_PATH) {
+  if (!filePath) return DEFAULT_TEMPLATES;
+  const configured = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  // Arms inherit any output they don't override from the default template
+  const base = { ...DEFAULT_TEMPLATES.default, ...configured.default };
+  const templates = { default: base };
+  for (const [arm, template] of Object.entries(configured)) {
+    if (arm !== 'default') templates[arm] = { ...base, ...template };
+  }
+  return validateTemplates(templates);
+}
+
+function createRenderer(templates = loadRenderTemplates()) {
+  // Returns matching plain-text and HTML versions of one nudge; empty text renders as empty output.
+  // `label` replaces the template's label (translated labels for non-English nudges)
+  function render(text, { arm, label } = {}) {
+    const body = String(text ?? '').trim();
+    if (!body) return { suggestion_html: '', suggestion_text: '' };
+    const template = templates[arm] || templates.default;
+    const shownLabel = label ?? template.label;
+    return {
+      suggestion_html: fillTemplate(template.html, { label: escapeHtml(shownLabel), body: formatHtml(body) }),
+      suggestion_text: fillTemplate(template.text, { label: shownLabel, body })
+    };
+  }
+
+  return { templates, render };
+}
+
+module.exports = { DEFAULT_TEMPLATES, escapeHtml, formatHtml, loadRenderTemplates, createRenderer };
@@ -0,0 +1,215 @@
+// Offline replay: runs past request bodies through the generators under a baseline and a candidate
+// configuration (prompt version, provider, model, seed) and compares the nudges side by side.
+// The generators are passed in by the caller (the server or scripts/replay.js), so this module
+// holds only parsing, comparison and reporting.
+const { countWords } = require('./guardrails');
+
+const KINDS = ['personalized', 'generic'];
+
+// Logged events of these types have no model-generated nudge to compare
+const UNREPLAYABLE_TYPES = ['none', 'rule-based', 'reflection'];
+
+// Kind and body of a logged event (GET /export/ndjson), or { error }
+function loggedRequest(event) {
+  if (!event.request) return { error: 'logged event has no request body' };
+  const type = event.meta?.nudge_type;
+  if (UNREPLAYABLE_TYPES.includes(type)) return { error: `"${type}" events have no model nudge to replay` };
+  return { kind: type === 'generic' ? 'generic' : 'personalized', body: event.request };
+}
+
+// One request body per line; a line may also be { "kind": "generic", "body": {...} }, or an event
+// from the event log (GET /export/ndjson), whose logged request is replayed under its arm's kind.
+// Blank lines are skipped and unparsable lines are reported, not fatal.
+function parseReplayFile(text, { kind: defaultKind = 'personalized' } = {}) {
+  const records = [];
+  const errors = [];
+  String(text).split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      errors.push({ line: i + 1, error: `invalid JSON: ${error.message}` });
+      return;
+    }
+    if (parsed && parsed.event_id && !parsed.exec) {
+      const logged = loggedRequest(parsed);
+      if (logged.error) errors.push({ line: i + 1, error: logged.error });
+      else records.push({ line: i + 1, ...logged });
+      return;
+    }
+    const wrapped = parsed && typeof parsed.body === 'object' && !parsed.exec;
+    const kind = (wrapped && parsed.kind) || defaultKind;
+    if (!KINDS.includes(kind)) {
+      errors.push({ line: i + 1, error: `unknown kind "${kind}" (expected ${KINDS.join(' or ')})` });
+      return;
+    }
+    records.push({ line: i + 1, kind, body: wrapped ? parsed.body : parsed });
+  });
+  return { records, errors };
+}
+
+// Word-level diff in `git diff --word-diff` style: [-removed-] {+added+}
+function wordDiff(before, after) {
+  const a = String(before || '').split(/\s+/).filter(Boolean);
+  const b = String(after || '').split(/\s+/).filter(Boolean);
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.words.push(word);
+    else parts.push({ type, words: [word] });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i++]);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  return parts.map(({ type, words }) => {
+    const text = words.join(' ');
+    if (type === 'removed') return `[-${text}-]`;
+    if (type === 'added') return `{+${text}+}`;
+    return text;
+  }).join(' ');
+}
+
+// The fields of one generated nudge the report compares
+function summarizeNudge(nudge) {
+  const meta = nudge.meta || {};
+  const failedChecks = (meta.guardrails?.failed_checks || []).flat();
+  return {
+    text: nudge.suggestion_text || '',
+    word_count: countWords(nudge.suggestion_text || ''),
+    model: nudge.model,
+    provider: meta.provider || null,
+    prompt_version: meta.prompt_version || null,
+    prompt_hash: meta.prompt_hash || null,
+    fallback: !!meta.fallback,
+    error: meta.error || null,
+    bias: meta.bias_selected ?? meta.category ?? null,
+    guardrail_attempts: meta.guardrails?.attempts ?? null,
+    guardrail_violations: failedChecks
+  };
+}
+
+function emptyTotals() {
+  return { nudges: 0, words: 0, fallbacks: 0, errors: 0, guardrail_violations: {} };
+}
+
+function addToTotals(totals, result) {
+  if (!result.ok) {
+    totals.errors++;
+    return;
+  }
+  totals.nudges++;
+  totals.words += result.word_count;
+  if (result.fallback) totals.fallbacks++;
+  result.guardrail_violations.forEach((check) => {
+    totals.guardrail_violations[check] = (totals.guardrail_violations[check] || 0) + 1;
+  });
+}
+
+function finishTotals({ words, ...totals }) {
+  return { ...totals, mean_word_count: totals.nudges > 0 ? Number((words / totals.nudges).toFixed(1)) : null };
+}
+
+// Runs every record under both configurations, one at a time.
+// `generate(record, config)` returns a nudge response or throws (e.g. on an invalid payload).
+async function runReplay(records, { baseline, candidate, generate }) {
+  const rows = [];
+  const totals = { baseline: emptyTotals(), candidate: emptyTotals() };
+  let changedText = 0;
+  let changedBias = 0;
+
+  for (const record of records) {
+    // Rows are identified by line number only, so the report carries no participant identifiers
+    const row = { line: record.line, kind: record.kind, sym: record.body?.sym ?? null };
+    for (const [name, config] of [['baseline', baseline], ['candidate', candidate]]) {
+      try {
+        row[name] = { ok: true, ...summarizeNudge(await generate(record, config)) };
+      } catch (error) {
+        row[name] = { ok: false, error: error.message };
+      }
+      addToTotals(totals[name], row[name]);
+    }
+
+    if (row.baseline.ok && row.candidate.ok) {
+      row.text_changed = row.baseline.text !== row.candidate.text;
+      row.bias_changed = row.baseline.bias !== row.candidate.bias;
+      row.word_count_delta = row.candidate.word_count - row.baseline.word_count;
+      row.diff = row.text_changed ? wordDiff(row.baseline.text, row.candidate.text) : null;
+      if (row.text_changed) changedText++;
+      if (row.bias_changed) changedBias++;
+    }
+    rows.push(row);
+  }
+
+  return {
+    baseline,
+    candidate,
+    summary: {
+      records: records.length,
+      text_changed: changedText,
+      bias_changed: changedBias,
+      baseline: finishTotals(totals.baseline),
+      candidate: finishTotals(totals.candidate)
+    },
+    rows
+  };
+}
+
+const describeConfig = (config) => Object.entries(config).filter(([, v]) => v !== null && v !== undefined).map(([k, v]) => `${k}=${v}`).join(' ') || 'server defaults';
+
+function describeSide(result) {
+  if (!result.ok) return `ERROR ${result.error}`;
+  const flags = [
+    `${result.word_count} words`,
+    `bias ${result.bias || '-'}`,
+    result.fallback ? `fallback (${result.error})` : null,
+    result.guardrail_violations.length > 0 ? `guardrails: ${result.guardrail_violations.join(', ')}` : null
+  ].filter(Boolean);
+  return `${flags.join(' | ')}\n    ${result.text || '(empty)'}`;
+}
+
+// Plain-text side-by-side report for the CLI and `?format=text`
+function formatReport({ baseline, candidate, summary, rows }, { errors = [] } = {}) {
+  const totalsLine = (name) => {
+    const t = summary[name];
+    const violations = Object.entries(t.guardrail_violations).map(([check, n]) => `${check} ${n}`).join(', ') || 'none';
+    return `${name.padEnd(9)}: ${t.nudges} nudges, mean ${t.mean_word_count ?? '-'} words, ${t.fallbacks} fallbacks, ${t.errors} errors, guardrail violations: ${violations}`;
+  };
+  const lines = [
+    `Replay of ${summary.records} payload(s)`,
+    `baseline : ${describeConfig(baseline)}`,
+    `candidate: ${describeConfig(candidate)}`,
+    '',
+    totalsLine('baseline'),
+    totalsLine('candidate'),
+    `text changed for ${summary.text_changed}, bias changed for ${summary.bias_changed}`
+  ];
+  errors.forEach((e) => lines.push(`skipped line ${e.line}: ${e.error}`));
+
+  for (const row of rows) {
+    lines.push('', `#${row.line} ${row.kind} ${row.sym || ''}${row.text_changed === false ? ' (unchanged)' : ''}`);
+    lines.push(`  baseline : ${describeSide(row.baseline)}`);
+    lines.push(`  candidate: ${describeSide(row.candidate)}`);
+    if (row.diff) lines.push(`  diff     : ${row.diff}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { KINDS, parseReplayFile, wordDiff, runReplay, formatReport };
@@ -0,0 +1,213 @@
+// Deadlines, retries and a circuit breaker around an LLM provider
+// The wrapped provider keeps the complete/stream interface; callers pass an absolute `deadline` (ms epoch).
+
+function loadResilienceConfig(env = process.env) {
+  return {
+    timeoutMs: Number(env.LLM_TIMEOUT_MS || 8000),
+    timerFraction: Number(env.LLM_TIMER_FRACTION || 0.5),
+    maxRetries: Number(env.LLM_MAX_RETRIES ?? 2),
+    retryBaseMs: Number(env.LLM_RETRY_BASE_MS || 250),
+    failureThreshold: Number(env.BREAKER_FAILURE_THRESHOLD || 5),
+    cooldownMs: Number(env.BREAKER_COOLDOWN_MS || 30000),
+    statsWindow: Number(env.LLM_STATS_WINDOW || 100)
+  };
+}
+
+// Time allowed for the LLM on one request: LLM_TIMEOUT_MS, capped at a share of the trial timer
+function deadlineMsFor(scenario, config) {
+  const timerSec = Number(scenario?.scenario?.timer_sec);
+  if (!Number.isFinite(timerSec) || timerSec <= 0) return config.timeoutMs;
+  return Math.min(config.timeoutMs, Math.round(timerSec * 1000 * config.timerFraction));
+}
+
+// Rate limits, server errors and dropped connections are worth retrying; bad requests are not
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+function isTransient(error) {
+  if (error.status) return [408, 409, 429].includes(error.status) || error.status >= 500;
+  // The OpenAI SDK wraps network failures in APIConnectionError with the socket error as `cause`
+  return [error.code, error.cause?.code].some((code) => TRANSIENT_CODES.includes(code)) ||
+    error.constructor?.name === 'APIConnectionError';
+}
+
+// Nearest-rank percentile of unsorted values; shared with the study and outcome statistics
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// closed -> open after `failureThreshold` consecutive failures; open -> half_open after `cooldownMs`,
+// when a single probe call is let through; its result closes or re-opens the breaker.
+function createCircuitBreaker({ failureThreshold, cooldownMs, statsWindow }) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probeInFlight = false;
+  const calls = [];
+
+  function track(ok, latencyMs) {
+    calls.push({ ok, latencyMs });
+    if (calls.length > statsWindow) calls.shift();
+  }
+
+  function allow() {
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) state = 'half_open';
+    if (state === 'closed') return true;
+    if (state === 'half_open' && !probeInFlight) {
+      probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess(latencyMs) {
+    track(true, latencyMs);
+    consecutiveFailures = 0;
+    probeInFlight = false;
+    if (state !== 'closed') console.log('LLM circuit breaker closed');
+    state = 'closed';
+    openedAt = null;
+  }
+
+  // `trip: false` counts the error in the stats without moving the breaker (e.g. a 400 or a caller abort)
+  function recordFailure(latencyMs, { trip = true } = {}) {
+    track(false, latencyMs);
+    probeInFlight = false;
+    if (!trip) return;
+    consecutiveFailures++;
+    if (state === 'half_open' || consecutiveFailures >= failureThreshold) {
+      console.warn(state === 'half_open'
+        ? 'LLM circuit breaker re-opened: recovery probe failed'
+        : `LLM circuit breaker open after ${consecutiveFailures} consecutive failures`);
+      state = 'open';
+      openedAt = Date.now();
+    }
+  }
+
+  function stats() {
+    const latencies = calls.map((c) => c.latencyMs);
+    return {
+      state,
+      consecutive_failures: consecutiveFailures,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+      recent_calls: calls.length,
+      error_rate: calls.length ? Number((calls.filter((c) => !c.ok).length / calls.length).toFixed(3)) : null,
+      p50_ms: percentile(latencies, 50),
+      p95_ms: percentile(latencies, 95)
+    };
+  }
+
+  return { allow, recordSuccess, recordFailure, stats };
+}
+
+function createResilientProvider(provider, config = loadResilienceConfig()) {
+  const breaker = createCircuitBreaker(config);
+
+  // Aborts when the deadline passes or any of the given signals aborts
+  function deadlineSignal(deadline, ...signals) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+    const onAbort = () => controller.abort();
+    signals.forEach((s) => s?.addEventListener('abort', onAbort));
+    const cleanup = () => {
+      clearTimeout(timer);
+      signals.forEach((s) => s?.removeEventListener('abort', onAbort));
+    };
+    return { signal: controller.signal, cleanup };
+  }
+
+  async function complete({ deadline = Date.now() + config.timeoutMs, signal: callerSignal, ...request }) {
+    let lastError = null;
+    for (let attempt = 0; ; attempt++) {
+      // Checked before allow(), which takes the half-open probe slot and must be followed by a call
+      if (Date.now() >= deadline) throw lastError || new Error('LLM deadline exceeded');
+      // A retry refused by a breaker that just opened reports the failure that opened it
+      if (!breaker.allow()) throw lastError || new Error('LLM circuit breaker open');
+
+      const { signal, cleanup } = deadlineSignal(deadline, callerSignal);
+      const startedAt = Date.now();
+      try {
+        const result = await provider.complete({ ...request, signal });
+        breaker.recordSuccess(Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        const latencyMs = Date.now() - startedAt;
+        if (callerSignal?.aborted) {
+          breaker.recordFailure(latencyMs, { trip: false });
+          throw error;
+        }
+        if (signal.aborted) {
+          breaker.recordFailure(latencyMs);
+          throw new Error(`LLM call timed out after ${latencyMs}ms`);
+        }
+        const transient = isTransient(error);
+        breaker.recordFailure(latencyMs, { trip: transient });
+        lastError = error;
+
+        // Exponential backoff with jitter, only while the deadline leaves room for another try
+        const delay = config.retryBaseMs * 2 ** attempt * (0.5 + Math.random() / 2);
+        if (!transient || attempt >= config.maxRetries || Date.now() + delay >= deadline) throw error;
+        console.warn(`LLM call failed (${error.status || error.code || error.message}), retry ${attempt + 1} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      } finally {
+        cleanup();
+      }
+    }
+  }
+
+  // Streams are not retried: tokens may already be on screen. A provider that sends no token within
+  // `firstTokenMs` is aborted and counted as a failure, like a timeout.
+  async function* stream({ deadline = Date.now() + config.timeoutMs, firstTokenMs = null, signal: callerSignal, ...request }) {
+    if (!breaker.allow()) throw new Error('LLM circuit breaker open');
+    const firstToken = new AbortController();
+    const firstTokenTimer = firstTokenMs ? setTimeout(() => firstToken.abort(), firstTokenMs) : null;
+    const { signal, cleanup } = deadlineSignal(deadline, callerSignal, firstToken.signal);
+    const startedAt = Date.now();
+    let settled = false;
+    try {
+      for await (const chunk of provider.stream({ ...request, signal })) {
+        if (!chunk.done) clearTimeout(firstTokenTimer);
+        yield chunk;
+      }
+      settled = true;
+      breaker.recordSuccess(Date.now() - startedAt);
+    } catch (error) {
+      settled = true;
+      const latencyMs = Date.now() - startedAt;
+      if (callerSignal?.aborted) {
+        breaker.recordFailure(latencyMs, { trip: false });
+        throw error;
+      }
+      if (firstToken.signal.aborted) {
+        breaker.recordFailure(latencyMs);
+        throw new Error(`No tokens within the ${firstTokenMs}ms first-token budget`);
+      }
+      if (signal.aborted) {
+        breaker.recordFailure(latencyMs);
+        throw new Error(`LLM stream timed out after ${latencyMs}ms`);
+      }
+      breaker.recordFailure(latencyMs, { trip: isTransient(error) });
+      throw error;
+    } finally {
+      // The consumer stopped reading early; release a half-open probe without judging the provider
+      if (!settled) breaker.recordFailure(Date.now() - startedAt, { trip: false });
+      clearTimeout(firstTokenTimer);
+      cleanup();
+    }
+  }
+
+  return { ...provider, config, breaker, complete, stream };
+}
+
+module.exports = {
+  loadResilienceConfig,
+  deadlineMsFor,
+  isTransient,
+  percentile,
+  createCircuitBreaker,
+  createResilientProvider
+};
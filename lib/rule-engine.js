@@ -0,0 +1,126 @@
+// Rule-based nudge engine (non-LLM condition and GPT fallback)
+// Selection is deterministic: the same payload always yields the same category and template.
+const crypto = require('crypto');
+const { NUDGE_CATEGORIES } = require('./nudge-categories');
+const { ENGLISH } = require('./locales');
+const { toNumber, computeMarketFeatures } = require('./market-features');
+
+// Derive the scenario features the category rules look at (`cct` is the canonical profile from lib/cct)
+// Spread and fair-value gap come from lib/market-features, so templates quote the entry-price figures
+function extractFeatures(scenario, cct) {
+  const market = computeMarketFeatures(scenario);
+
+  return {
+    side: scenario.exec?.side || 'Buy',
+    qty: scenario.exec?.qty || 0,
+    sym: scenario.sym || 'TICKER',
+    last: toNumber(scenario.last),
+    spread: market.spread,
+    spreadBps: market.spread_bps,
+    fairValueGap: market.fair_value_gap,
+    fairValueGapPct: market.fair_value_gap_pct,
+    sentimentPct: toNumber(scenario.sentiment_pct),
+    isHot: scenario.hot_condition === '1' || scenario.hot_condition === true,
+    cctLevel: cct?.risk_level || 'unknown',
+    cctAdvice: cct?.advice || null,
+    drawdownPct: toNumber(scenario.portfolio?.currentDrawdownPct),
+    tradeCount: toNumber(scenario.portfolio?.tradeCount)
+  };
+}
+
+// Ordered rules: the first match picks the category. `personalized` rules are skipped for the generic arm.
+const CATEGORY_RULES = [
+  { rule: 'drawdown_above_5pct', category: 'portfolio_risk', personalized: true, test: (f) => f.drawdownPct != null && f.drawdownPct > 5 },
+  { rule: 'sentiment_at_least_70pct', category: 'herding_bias', test: (f) => f.sentimentPct != null && f.sentimentPct >= 70 },
+  { rule: 'fair_value_gap_at_least_2pct', category: 'fair_value_anchor', test: (f) => f.fairValueGapPct != null && Math.abs(f.fairValueGapPct) >= 2 },
+  { rule: 'spread_at_least_20bps', category: 'execution_cost', test: (f) => f.spreadBps != null && f.spreadBps >= 20 },
+  { rule: 'cct_high_risk', category: 'cct_risk_awareness', personalized: true, test: (f) => ['high', 'very_high'].includes(f.cctLevel) },
+  { rule: 'trade_count_at_least_10', category: 'overtrading', personalized: true, test: (f) => f.tradeCount != null && f.tradeCount >= 10 },
+  { rule: 'hot_condition', category: 'decision_fatigue', test: (f) => f.isHot },
+  { rule: 'cct_profile_present', category: 'cct_risk_awareness', personalized: true, test: (f) => f.cctLevel !== 'unknown' },
+  { rule: 'default', category: 'execution_cost', test: () => true }
+];
+
+// `categories` restricts the choice to a study's enabled categories; when none of their rules
+// match, the first enabled category is used
+function selectCategory(features, { personalized = true, categories = null } = {}) {
+  const enabled = (category) => !categories || categories.includes(category);
+  const match = CATEGORY_RULES.find((r) => (personalized || !r.personalized) && enabled(r.category) && r.test(features));
+  if (!match) return { category: categories[0], rule: 'default' };
+  return { category: match.category, rule: match.rule };
+}
+
+// Placeholder values available to the templates, worded in the locale's language;
+// a missing value makes that template ineligible
+function placeholderValues(features, strings) {
+  const values = {};
+  if (features.fairValueGap != null) {
+    values.distance = fillTemplate(strings.distance, {
+      amount: `$${Math.abs(features.fairValueGap).toFixed(2)}`,
+      pct: Math.abs(features.fairValueGapPct).toFixed(1),
+      direction: features.fairValueGap >= 0 ? strings.above : strings.below
+    });
+    if (Math.abs(features.fairValueGapPct) < 0.5) values.interpretation = strings.interpretations.close;
+    else values.interpretation = features.fairValueGap > 0 ? strings.interpretations.premium : strings.interpretations.discount;
+  }
+  if (features.sentimentPct != null) values.pct = features.sentimentPct;
+  if (features.cctAdvice) values.advice = strings.advice[features.cctLevel] || features.cctAdvice;
+  return values;
+}
+
+function fillTemplate(template, values) {
+  let complete = true;
+  const text = template.replace(/\{(\w+)\}/g, (_, key) => {
+    if (values[key] === undefined) {
+      complete = false;
+      return '';
+    }
+    return String(values[key]);
+  });
+  return complete ? text : null;
+}
+
+// Stable index derived from the payload so a replayed request picks the same template
+function seededIndex(seed, length) {
+  const digest = crypto.createHash('sha256').update(seed).digest();
+  return digest.readUInt32BE(0) % length;
+}
+
+// Pass `category` to skip the rules and use a bias chosen upstream (e.g. by bias selection)
+// `variant` shifts the seeded template choice so repeated nudges for one category rotate wording
+// `locale` (lib/locales) supplies translated templates; the chosen index matches the English one
+function generateRuleBasedNudge(scenario, { personalized = true, cct = null, category: preselected = null, variant = 0, categories = null, locale = ENGLISH } = {}) {
+  const features = extractFeatures(scenario, cct);
+  const { category, rule } = preselected && NUDGE_CATEGORIES[preselected]
+    ? { category: preselected, rule: 'preselected' }
+    : selectCategory(features, { personalized, categories });
+  const { title } = NUDGE_CATEGORIES[category];
+  const templates = locale.categories[category];
+  const strings = locale.rule_based;
+  const values = placeholderValues(features, strings);
+
+  const eligible = templates
+    .map((template, index) => ({ index, text: fillTemplate(template, values) }))
+    .filter((t) => t.text !== null);
+  const seed = JSON.stringify([features.sym, features.side, features.qty, features.last, scenario.scenario?.name || null, category]);
+  const chosen = eligible[(seededIndex(seed, eligible.length) + variant) % eligible.length];
+
+  const intro = fillTemplate(strings.intro, { qty: features.qty, side: strings.sides[features.side] || features.side, sym: features.sym });
+  const text = [intro, chosen.text].join(' ');
+
+  return {
+    category,
+    title,
+    rule,
+    template_index: chosen.index,
+    text
+  };
+}
+
+module.exports = {
+  CATEGORY_RULES,
+  extractFeatures,
+  selectCategory,
+  fillTemplate,
+  generateRuleBasedNudge
+};
@@ -0,0 +1,272 @@
+// Declared request schemas for the nudge endpoints
+// normalizePayload() coerces numeric strings, normalizes flags and collects field-level errors.
+
+const TRUE_FLAGS = ['1', 'true', 'hot', 'yes'];
+const FALSE_FLAGS = ['0', 'false', 'cold', 'no', ''];
+
+const number = (options = {}) => ({ type: 'number', ...options });
+const string = (options = {}) => ({ type: 'string', ...options });
+
+const MARKET_FIELDS = {
+  participant_id: string(),
+  session_id: string(),
+  study_id: string(),
+  locale: string(),
+  exec: {
+    type: 'object',
+    required: true,
+    fields: {
+      side: { type: 'enum', values: ['Buy', 'Sell'], required: true },
+      qty: number({ required: true, min: 0 }),
+      ordType: string({ default: 'Market' }),
+      ordPx: { type: 'price' }
+    }
+  },
+  sym: string({ required: true }),
+  last: number({ required: true, min: 0 }),
+  bid: number({ min: 0 }),
+  ask: number({ min: 0 }),
+  fair_value: number({ min: 0 }),
+  anchor_target: number({ min: 0 }),
+  sentiment_pct: number({ min: 0, max: 100 }),
+  hot_condition: { type: 'flag', default: false }
+};
+
+const PERSONALIZED_FIELDS = {
+  ...MARKET_FIELDS,
+  profile: {
+    type: 'object',
+    fields: {
+      cct_score: number(),
+      cct_hot_score: number(),
+      cct_cold_score: number(),
+      cct_hot_cold_diff: number(),
+      cct: { type: 'object' },
+      demographics: { type: 'object' },
+      experience: { type: 'object' },
+      psychological_traits: { type: 'object' },
+      screener: { type: 'object' }
+    }
+  },
+  portfolio: {
+    type: 'object',
+    fields: {
+      balance: number(),
+      posQty: number(),
+      posPx: number({ min: 0 }),
+      unrealizedPL: number(),
+      realizedPL: number(),
+      maxDrawdown: number(),
+      maxDrawdownPct: number(),
+      totalReturn: number(),
+      tradeCount: number({ min: 0 }),
+      currentDrawdown: number(),
+      currentDrawdownPct: number()
+    }
+  },
+  scenario: {
+    type: 'object',
+    fields: {
+      name: string(),
+      session_tag: string(),
+      news_head: string(),
+      bias_focus: string(),
+      timer_sec: number({ min: 0 })
+    }
+  },
+  trading_context: {
+    type: 'object',
+    fields: {
+      scenario_start_balance: number(),
+      scenario_start_position: number(),
+      scenario_start_price: number({ min: 0 }),
+      previous_trades_count: number({ min: 0 }),
+      previous_realized_pl: number()
+    }
+  }
+};
+
+// What the participant did after seeing a nudge (POST /nudge-outcome); `changes` holds the
+// order fields they edited, with their new values
+const OUTCOME_FIELDS = {
+  nudge_id: string({ required: true }),
+  decision: { type: 'enum', values: ['submitted', 'modified', 'cancelled'] },
+  changes: {
+    type: 'object',
+    fields: {
+      side: { type: 'enum', values: ['Buy', 'Sell'] },
+      qty: number({ min: 0 }),
+      ordType: string(),
+      ordPx: { type: 'price' }
+    }
+  },
+  time_to_decision_ms: number({ min: 0 }),
+  // Client-measured time from sending the nudge request to displaying the nudge
+  time_to_display_ms: number({ min: 0 }),
+  realized_pnl: number()
+};
+
+// Post-trade debrief (POST /reflection): the session's completed trades, optional portfolio
+// snapshots over time, and the end-of-session portfolio and profile
+const TRADE_FIELDS = {
+  side: { type: 'enum', values: ['Buy', 'Sell'], required: true },
+  qty: number({ required: true, min: 0 }),
+  price: number({ required: true, min: 0 }),
+  sym: string(),
+  at: string(),
+  realized_pl: number()
+};
+
+const REFLECTION_FIELDS = {
+  participant_id: string(),
+  session_id: string(),
+  study_id: string(),
+  locale: string(),
+  trades: { type: 'array', required: true, minItems: 1, maxItems: 500, items: { type: 'object', fields: TRADE_FIELDS } },
+  trajectory: {
+    type: 'array',
+    maxItems: 1000,
+    items: {
+      type: 'object',
+      fields: {
+        at: string(),
+        balance: number(),
+        unrealizedPL: number(),
+        realizedPL: number(),
+        drawdownPct: number()
+      }
+    }
+  },
+  profile: PERSONALIZED_FIELDS.profile,
+  portfolio: PERSONALIZED_FIELDS.portfolio,
+  scenario: PERSONALIZED_FIELDS.scenario
+};
+
+// Arm assignment (POST /assign): the stratum comes from cct_bucket, else from the CCT profile
+const ASSIGN_FIELDS = {
+  participant_id: string({ required: true }),
+  study_id: string(),
+  cct_bucket: string({ description: 'Stratum; else profile.cct.bucket or profile.cct.risk_level' }),
+  profile: PERSONALIZED_FIELDS.profile
+};
+
+// Generic arm: market data only; participant sections are dropped before generation
+const SCHEMAS = {
+  generic: { fields: MARKET_FIELDS, dropSections: ['profile', 'portfolio', 'scenario', 'trading_context'] },
+  personalized: { fields: PERSONALIZED_FIELDS, dropSections: [] },
+  outcome: { fields: OUTCOME_FIELDS, dropSections: [] },
+  reflection: { fields: REFLECTION_FIELDS, dropSections: [] },
+  assign: { fields: ASSIGN_FIELDS, dropSections: [] }
+};
+
+// Top-level optional sections reported in meta.sections_present
+const OPTIONAL_SECTIONS = ['profile', 'portfolio', 'scenario', 'trading_context'];
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function coerceValue(spec, value, field, errors) {
+  switch (spec.type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : NaN);
+      if (!Number.isFinite(n)) {
+        errors.push({ field, message: 'must be a number' });
+        return null;
+      }
+      if (spec.min !== undefined && n < spec.min) errors.push({ field, message: `must be >= ${spec.min}` });
+      if (spec.max !== undefined && n > spec.max) errors.push({ field, message: `must be <= ${spec.max}` });
+      return n;
+    }
+    case 'string':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push({ field, message: 'must be a string' });
+        return null;
+      }
+      return String(value).trim();
+    case 'enum': {
+      const match = spec.values.find((v) => v.toLowerCase() === String(value).trim().toLowerCase());
+      if (!match) errors.push({ field, message: `must be one of ${spec.values.join(', ')}` });
+      return match || null;
+    }
+    case 'flag': {
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_FLAGS.includes(text)) return true;
+      if (FALSE_FLAGS.includes(text)) return false;
+      errors.push({ field, message: `must be one of ${[...TRUE_FLAGS, ...FALSE_FLAGS.filter(Boolean)].join(', ')}` });
+      return null;
+    }
+    case 'price': {
+      // Numeric limit price, or "Market" for market orders
+      if (typeof value === 'string' && value.trim().toLowerCase() === 'market') return 'Market';
+      return coerceValue({ type: 'number', min: 0 }, value, field, errors);
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: 'must be an array' });
+        return null;
+      }
+      if (spec.minItems !== undefined && value.length < spec.minItems) errors.push({ field, message: `must have at least ${spec.minItems} item(s)` });
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) errors.push({ field, message: `must have at most ${spec.maxItems} items` });
+      return spec.items ? value.map((item, i) => coerceValue(spec.items, item, `${field}[${i}]`, errors)) : value;
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push({ field, message: 'must be an object' });
+        return null;
+      }
+      return spec.fields ? normalizeFields(spec.fields, value, `${field}.`, errors) : value;
+    default:
+      return value;
+  }
+}
+
+// Declared fields are coerced (missing optional ones become null); undeclared keys pass through unchanged
+function normalizeFields(fields, input, prefix, errors) {
+  const output = { ...input };
+  for (const [key, spec] of Object.entries(fields)) {
+    const field = `${prefix}${key}`;
+    const value = input[key];
+    if (isMissing(value)) {
+      if (spec.required) errors.push({ field, message: 'is required' });
+      output[key] = spec.default !== undefined ? spec.default : null;
+      continue;
+    }
+    output[key] = coerceValue(spec, value, field, errors);
+  }
+  return output;
+}
+
+// Returns { value, errors, sections } for the named schema ('generic', 'personalized', 'outcome', 'reflection' or 'assign')
+function normalizePayload(schemaName, body) {
+  const schema = SCHEMAS[schemaName];
+  if (!schema) throw new Error(`Unknown payload schema "${schemaName}"`);
+  const errors = [];
+
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { value: null, errors: [{ field: '(body)', message: 'must be a JSON object' }], sections: {} };
+  }
+
+  const value = normalizeFields(schema.fields, body, '', errors);
+
+  // Reported as sent, even for sections the generic schema then drops
+  const sections = {};
+  for (const key of OPTIONAL_SECTIONS) sections[key] = !isMissing(body[key]);
+  for (const key of schema.dropSections) delete value[key];
+
+  return { value, errors, sections };
+}
+
+// Express middleware: replaces req.body with the normalized payload or answers 400
+function validatePayload(schemaName) {
+  return (req, res, next) => {
+    const { value, errors, sections } = normalizePayload(schemaName, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request payload', details: errors });
+    }
+    req.body = value;
+    req.payloadSections = sections;
+    next();
+  };
+}
+
+module.exports = { SCHEMAS, OPTIONAL_SECTIONS, TRUE_FLAGS, FALSE_FLAGS, normalizePayload, validatePayload };
@@ -0,0 +1,120 @@
+// Per-participant session memory: prior nudges, targeted biases, trades and portfolio outcomes
+// Sessions are keyed by session_id, or participant_id plus scenario name, persisted to SESSION_PATH.
+const path = require('path');
+const { createJsonWriter, readJson } = require('./json-file');
+
+function loadSessionConfig(env = process.env) {
+  return {
+    repeatWindow: Number(env.SESSION_REPEAT_WINDOW || 3),
+    maxHistory: Number(env.SESSION_MAX_HISTORY || 50),
+    filePath: env.SESSION_PATH || path.join(__dirname, '..', 'data', 'sessions.json')
+  };
+}
+
+// Requests without a session_id or participant_id stay stateless
+function sessionKey(body) {
+  if (body.session_id) return String(body.session_id);
+  if (body.participant_id) return `${body.participant_id}:${body.scenario?.name || 'default'}`;
+  return null;
+}
+
+function createSessionStore(config = loadSessionConfig()) {
+  const sessions = readJson(config.filePath, {});
+  // Requests change sessions in memory; the file is rewritten at most once per burst of changes
+  const writer = createJsonWriter(config.filePath, () => sessions);
+  const save = writer.schedule;
+
+  function push(list, entry) {
+    list.push(entry);
+    if (list.length > config.maxHistory) list.splice(0, list.length - config.maxHistory);
+  }
+
+  function get(id) {
+    return sessions[id] || null;
+  }
+
+  // Opens (or continues) the request's session and records the trade and current portfolio outcome
+  function open(body) {
+    const id = sessionKey(body);
+    if (!id) return null;
+
+    const now = new Date().toISOString();
+    const session = sessions[id] || (sessions[id] = {
+      session_id: id,
+      participant_id: body.participant_id ?? null,
+      scenario: body.scenario?.name ?? null,
+      created_at: now,
+      trades: [],
+      outcomes: [],
+      nudges: []
+    });
+    session.updated_at = now;
+
+    push(session.trades, {
+      at: now,
+      side: body.exec?.side ?? null,
+      qty: body.exec?.qty ?? null,
+      sym: body.sym ?? null,
+      price: body.exec?.ordPx ?? body.last ?? null
+    });
+    if (body.portfolio) {
+      push(session.outcomes, {
+        at: now,
+        balance: body.portfolio.balance ?? null,
+        position: body.portfolio.posQty ?? null,
+        unrealized_pl: body.portfolio.unrealizedPL ?? null,
+        realized_pl: body.portfolio.realizedPL ?? null,
+        current_drawdown_pct: body.portfolio.currentDrawdownPct ?? null
+      });
+    }
+    save();
+    return session;
+  }
+
+  // Biases nudged within the repeat window, most recent first
+  function recentBiases(session) {
+    if (!session) return [];
+    return session.nudges.slice(-config.repeatWindow).reverse().map((n) => n.bias);
+  }
+
+  // How many earlier nudges in the session targeted this bias
+  function timesNudged(session, bias) {
+    return session ? session.nudges.filter((n) => n.bias === bias).length : 0;
+  }
+
+  function recordNudge(session, { bias, rule, rotated, escalation, model, fallback, text }) {
+    if (!session) return;
+    push(session.nudges, {
+      at: new Date().toISOString(),
+      trade_number: session.trades.length,
+      bias,
+      rule,
+      rotated,
+      escalation,
+      model,
+      fallback,
+      text
+    });
+    save();
+  }
+
+  function reset(id) {
+    if (!sessions[id]) return false;
+    delete sessions[id];
+    save();
+    return true;
+  }
+
+  // Drops sessions not updated since `cutoff`; returns how many were removed
+  function purgeBefore(cutoff) {
+    const limit = new Date(cutoff).getTime();
+    const stale = Object.keys(sessions).filter((id) => new Date(sessions[id].updated_at).getTime() < limit);
+    stale.forEach((id) => delete sessions[id]);
+    if (stale.length > 0) save();
+    return stale.length;
+  }
+
+  return { config, get, open, recentBiases, timesNudged, recordNudge, reset, purgeBefore, flush: writer.flush };
+}
+
+module.exports = { loadSessionConfig, sessionKey, createSessionStore };
@@ -0,0 +1,236 @@
+// Multi-study configuration: arms, enabled nudge categories, prompt versions, model parameters,
+// word limits, output language and fallback behaviour per study, loaded from STUDIES_PATH and reloaded on change.
+// Without STUDIES_PATH a single built-in study is derived from the environment (STUDY_ARMS etc.).
+const fs = require('fs');
+const path = require('path');
+const { ARM_TYPES, parseArms, loadAssignmentConfig, createAssignmentStore, createAssigner } = require('./assignment');
+const { NUDGE_CATEGORIES } = require('./nudge-categories');
+const { DEFAULT_LOCALE } = require('./locales');
+
+const FALLBACKS = ['rule-based', 'none'];
+const STUDY_ID = /^[A-Za-z0-9_-]+$/;
+const DEFAULT_MODEL_PARAMS = { name: null, temperature: 0.7, max_tokens: 200 };
+const DEFAULT_MAX_WORDS = 80;
+
+function loadStudiesConfig(env = process.env) {
+  return {
+    filePath: env.STUDIES_PATH || null,
+    reloadIntervalMs: Number(env.STUDIES_RELOAD_INTERVAL_MS || 2000)
+  };
+}
+
+// The study used when no STUDIES_PATH is configured: the server's previous single-study behaviour
+function builtInStudy(assignmentConfig) {
+  return {
+    id: null,
+    description: 'Built-in study (STUDY_ARMS, PROMPT_VERSION)',
+    arms: assignmentConfig.arms.map((arm) => ({ ...arm, prompt_version: null })),
+    categories: Object.keys(NUDGE_CATEGORIES),
+    prompt_version: null,
+    model: { ...DEFAULT_MODEL_PARAMS },
+    max_words: DEFAULT_MAX_WORDS,
+    locale: DEFAULT_LOCALE,
+    fallback: 'rule-based',
+    assignment: assignmentConfig
+  };
+}
+
+// Arms are "name" / "name:type" strings (as in STUDY_ARMS) or { name, type, prompt_version } objects
+function normalizeArm(entry, problems, prefix) {
+  if (typeof entry === 'string') {
+    try {
+      return { ...parseArms(entry)[0], prompt_version: null };
+    } catch (error) {
+      problems.push(`${prefix}: ${error.message}`);
+      return null;
+    }
+  }
+  if (!entry || typeof entry.name !== 'string' || !entry.name) {
+    problems.push(`${prefix}: arm needs a "name"`);
+    return null;
+  }
+  const type = entry.type || (entry.name === 'control' ? 'none' : entry.name);
+  if (!ARM_TYPES.includes(type)) problems.push(`${prefix}: arm "${entry.name}" has unknown type "${type}"`);
+  return { name: entry.name, type, prompt_version: entry.prompt_version || null };
+}
+
+function normalizeStudy(id, raw, { promptVersions, locales = [DEFAULT_LOCALE], baseAssignment }, problems) {
+  const prefix = `studies.${id}`;
+  if (!STUDY_ID.test(id)) problems.push(`${prefix}: study IDs may only contain letters, digits, "_" and "-"`);
+
+  const arms = (Array.isArray(raw.arms) ? raw.arms : [])
+    .map((entry, i) => normalizeArm(entry, problems, `${prefix}.arms[${i}]`))
+    .filter(Boolean);
+  if (arms.length === 0) problems.push(`${prefix}.arms: at least one arm is required`);
+  const names = arms.map((arm) => arm.name);
+  names.filter((name, i) => names.indexOf(name) !== i).forEach((name) => problems.push(`${prefix}.arms: duplicate arm "${name}"`));
+
+  const categories = raw.categories || Object.keys(NUDGE_CATEGORIES);
+  if (!Array.isArray(categories) || categories.length === 0) {
+    problems.push(`${prefix}.categories: must be a non-empty array`);
+  } else {
+    categories.filter((c) => !NUDGE_CATEGORIES[c]).forEach((c) => problems.push(`${prefix}.categories: unknown category "${c}"`));
+  }
+
+  const versions = [raw.prompt_version, ...arms.map((arm) => arm.prompt_version)].filter(Boolean);
+  versions.filter((v) => !promptVersions.includes(v)).forEach((v) => problems.push(`${prefix}: prompt version "${v}" not found`));
+
+  const model = { ...DEFAULT_MODEL_PARAMS, ...(raw.model || {}) };
+  if (typeof model.temperature !== 'number' || model.temperature < 0 || model.temperature > 2) {
+    problems.push(`${prefix}.model.temperature: must be a number between 0 and 2`);
+  }
+  if (!Number.isInteger(model.max_tokens) || model.max_tokens <= 0) problems.push(`${prefix}.model.max_tokens: must be a positive integer`);
+
+  const maxWords = raw.max_words ?? DEFAULT_MAX_WORDS;
+  if (!Number.isInteger(maxWords) || maxWords <= 0) problems.push(`${prefix}.max_words: must be a positive integer`);
+
+  // Default output language; a request's "locale" field overrides it
+  const locale = raw.locale || DEFAULT_LOCALE;
+  if (!locales.includes(locale)) problems.push(`${prefix}.locale: "${locale}" has no translation (available: ${locales.join(', ')})`);
+
+  const fallback = raw.fallback || 'rule-based';
+  if (!FALLBACKS.includes(fallback)) problems.push(`${prefix}.fallback: must be one of ${FALLBACKS.join(', ')}`);
+
+  // Each study randomizes independently and keeps its own assignment file
+  const assignment = {
+    ...baseAssignment,
+    arms,
+    blockSize: raw.assignment?.block_size ?? arms.length * 2,
+    seed: raw.assignment?.seed || `${baseAssignment.seed}:${id}`,
+    stratifyBy: raw.assignment?.stratify_by || baseAssignment.stratifyBy,
+    filePath: path.join(path.dirname(baseAssignment.filePath), `assignments-${id}.json`)
+  };
+  if (arms.length > 0 && (!Number.isInteger(assignment.blockSize) || assignment.blockSize % arms.length !== 0)) {
+    problems.push(`${prefix}.assignment.block_size: must be a multiple of the number of arms (${arms.length})`);
+  }
+
+  return {
+    id,
+    description: raw.description || '',
+    arms,
+    categories,
+    prompt_version: raw.prompt_version || null,
+    model,
+    max_words: maxWords,
+    locale,
+    fallback,
+    assignment
+  };
+}
+
+// Validates a parsed studies file; throws with every problem found
+function validateStudies(raw, options) {
+  const problems = [];
+  const entries = Object.entries(raw?.studies || {});
+  if (entries.length === 0) problems.push('"studies" must define at least one study');
+  const studies = new Map(entries.map(([id, study]) => [id, normalizeStudy(id, study || {}, options, problems)]));
+
+  const defaultStudy = raw?.default_study || (studies.size === 1 ? entries[0][0] : null);
+  if (raw?.default_study && !studies.has(raw.default_study)) problems.push(`default_study "${raw.default_study}" is not defined`);
+
+  if (problems.length > 0) throw new Error(`Invalid study configuration:\n  - ${problems.join('\n  - ')}`);
+  return { version: raw.version || null, defaultStudy, studies };
+}
+
+function createStudyRegistry(config = loadStudiesConfig(), { promptVersions = [], locales } = {}) {
+  const baseAssignment = loadAssignmentConfig();
+  const builtIn = builtInStudy(baseAssignment);
+  let current = null;
+  let loadedAt = null;
+  let assigners = new Map();
+  // Assignment state by file, kept across reloads: it may hold assignments not yet written
+  const stores = new Map();
+
+  function load() {
+    const raw = JSON.parse(fs.readFileSync(config.filePath, 'utf8'));
+    current = validateStudies(raw, { promptVersions, locales, baseAssignment });
+    loadedAt = new Date().toISOString();
+    // Rebuilt assigners pick up the new arms and block settings over the same stores
+    assigners = new Map();
+  }
+
+  // Startup errors are fatal; a bad edit while running keeps the previous configuration
+  if (config.filePath) {
+    load();
+    fs.watchFile(config.filePath, { interval: config.reloadIntervalMs, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        load();
+        console.log(`Study configuration reloaded from ${config.filePath}:`, [...current.studies.keys()]);
+      } catch (error) {
+        console.error('Study configuration reload failed, keeping the previous one:', error.message);
+      }
+    });
+  }
+
+  function get(id) {
+    return current?.studies.get(id) || null;
+  }
+
+  function assignerFor(study) {
+    const key = study.id ?? '';
+    if (!assigners.has(key)) {
+      const assignment = study.id === null ? baseAssignment : study.assignment;
+      if (!stores.has(assignment.filePath)) stores.set(assignment.filePath, createAssignmentStore(assignment.filePath));
+      assigners.set(key, createAssigner(assignment, stores.get(assignment.filePath)));
+    }
+    return assigners.get(key);
+  }
+
+  // Drops assignments made before `cutoff` in every study's file, including studies not used since
+  // startup; returns how many were removed
+  function purgeBefore(cutoff) {
+    const all = [builtIn, ...(current ? current.studies.values() : [])];
+    all.forEach((study) => assignerFor(study));
+    return [...stores.values()].reduce((removed, store) => removed + store.purgeBefore(cutoff), 0);
+  }
+
+  // Resolves once every assignment made so far is on disk
+  function flush() {
+    return Promise.all([...stores.values()].map((store) => store.flush()));
+  }
+
+  // Middleware: picks the study from the path (/studies/:studyId/...), body.study_id, the study
+  // key's study, then default_study, and stores it as req.studyConfig
+  function selectStudy(req, res, next) {
+    const requested = req.params.studyId || req.body?.study_id || null;
+    if (!current) {
+      if (requested) return res.status(404).json({ error: `Unknown study "${requested}" (STUDIES_PATH not set)` });
+      req.studyConfig = builtIn;
+      return next();
+    }
+
+    const id = requested || req.study || current.defaultStudy;
+    if (!id) return res.status(400).json({ error: 'study_id is required', studies: [...current.studies.keys()] });
+    if (req.study && id !== req.study) {
+      return res.status(403).json({ error: `Study key does not grant access to study "${id}"` });
+    }
+    const study = get(id);
+    if (!study) return res.status(404).json({ error: `Unknown study "${id}"` });
+    req.studyConfig = study;
+    next();
+  }
+
+  function info() {
+    if (!current) return { path: null, studies: [], default_study: null, loaded_at: null };
+    return {
+      path: config.filePath,
+      version: current.version,
+      studies: [...current.studies.keys()],
+      default_study: current.defaultStudy,
+      loaded_at: loadedAt
+    };
+  }
+
+  function list() {
+    const studies = current ? [...current.studies.values()] : [builtIn];
+    return studies.map(({ assignment, ...study }) => ({
+      ...study,
+      assignment: { block_size: assignment.blockSize, stratify_by: assignment.stratifyBy }
+    }));
+  }
+
+  return { config, builtIn, get, assignerFor, selectStudy, info, list, flush, purgeBefore };
+}
+
+module.exports = { FALLBACKS, loadStudiesConfig, validateStudies, createStudyRegistry };
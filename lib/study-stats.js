@@ -0,0 +1,105 @@
+// Live study statistics computed from the event log (one pass over the JSONL records)
+const { countWords } = require('./guardrails');
+const { percentile } = require('./resilience');
+
+const INTERVALS = { hour: 3600 * 1000, day: 24 * 3600 * 1000 };
+
+function average(values) {
+  return values.length ? Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(1)) : null;
+}
+
+function rate(count, total) {
+  return total ? Number((count / total).toFixed(3)) : null;
+}
+
+function newGroup() {
+  return { requests: 0, fallbacks: 0, errors: 0, aborted: 0, tokens: 0, latencies: [], wordCounts: [], biases: {} };
+}
+
+function addToGroup(group, event) {
+  group.requests++;
+  if (event.fallback) group.fallbacks++;
+  if (event.model === 'error') group.errors++;
+  // Streams the client left before the final event; nothing was served
+  if (event.model === 'aborted') group.aborted++;
+  group.tokens += event.usage?.total_tokens || 0;
+  if (Number.isFinite(event.latency_ms)) group.latencies.push(event.latency_ms);
+  // Control responses are empty and don't count towards word length
+  if (event.output) group.wordCounts.push(countWords(event.output));
+  const bias = event.meta?.bias_selected;
+  if (bias) group.biases[bias] = (group.biases[bias] || 0) + 1;
+}
+
+function summarize(group) {
+  return {
+    requests: group.requests,
+    fallbacks: group.fallbacks,
+    fallback_rate: rate(group.fallbacks, group.requests - group.aborted),
+    errors: group.errors,
+    aborted: group.aborted,
+    avg_word_count: average(group.wordCounts),
+    total_tokens: group.tokens,
+    latency_p50_ms: percentile(group.latencies, 50),
+    latency_p95_ms: percentile(group.latencies, 95),
+    biases: group.biases
+  };
+}
+
+// Feeds events one at a time; `interval` (hour|day) sets the time-series bucket width
+function createStatsAggregator({ interval = 'hour', recentLimit = 20 } = {}) {
+  const width = INTERVALS[interval];
+  if (!width) throw new Error(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+
+  const overall = newGroup();
+  const byArm = new Map();
+  const byTime = new Map();
+  const recent = [];
+  let first = null;
+  let last = null;
+
+  function add(event) {
+    addToGroup(overall, event);
+
+    const arm = event.arm || 'unknown';
+    if (!byArm.has(arm)) byArm.set(arm, newGroup());
+    addToGroup(byArm.get(arm), event);
+
+    const ts = new Date(event.timestamp).getTime();
+    const bucket = Math.floor(ts / width) * width;
+    if (!byTime.has(bucket)) byTime.set(bucket, newGroup());
+    addToGroup(byTime.get(bucket), event);
+
+    first = first ?? event.timestamp;
+    last = event.timestamp;
+
+    recent.push({
+      timestamp: event.timestamp,
+      route: event.route,
+      arm: event.arm,
+      model: event.model,
+      fallback: !!event.fallback,
+      bias: event.meta?.bias_selected || event.meta?.category || null,
+      latency_ms: event.latency_ms ?? null,
+      output: event.output || ''
+    });
+    if (recent.length > recentLimit) recent.shift();
+  }
+
+  function result() {
+    return {
+      from: first,
+      to: last,
+      interval,
+      overall: summarize(overall),
+      arms: Object.fromEntries([...byArm.entries()].map(([arm, group]) => [arm, summarize(group)])),
+      series: [...byTime.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([bucket, group]) => ({ start: new Date(bucket).toISOString(), ...summarize(group) })),
+      recent: recent.slice().reverse()
+    };
+  }
+
+  return { add, result };
+}
+
+module.exports = { INTERVALS, average, rate, createStatsAggregator };
@@ -1,148 +1,490 @@
 // AI Nudge Server with GPT Integration for Academic Research
 // Usage: node dev/mock-nudge-server.js
-// Requires: OPENAI_API_KEY environment variable
+// Requires: OPENAI_API_KEY environment variable (or LLM_PROVIDER=stub / openai-compatible)
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
+const { createProvider, loadProviderConfig, normalizeUsage } = require('./lib/llm-providers');
+const { createResilientProvider, deadlineMsFor } = require('./lib/resilience');
+const { createEventLog, CSV_COLUMNS, toCsvRow } = require('./lib/event-log');
+const { createStudyRegistry } = require('./lib/studies');
+const { validatePayload, normalizePayload } = require('./lib/schema');
+const { NUDGE_CATEGORIES } = require('./lib/nudge-categories');
+const { generateRuleBasedNudge } = require('./lib/rule-engine');
+const { selectBias } = require('./lib/bias-selection');
+const { buildCCTProfile, RISK_LEVELS } = require('./lib/cct');
+const { computeMarketFeatures } = require('./lib/market-features');
+const { loadPromptLibrary } = require('./lib/prompts');
+const { DEFAULT_LOCALE, loadLocales } = require('./lib/locales');
+const { loadGuardrailConfig, checkNudge, correctiveInstruction } = require('./lib/guardrails');
+const { createRenderer } = require('./lib/render');
+const { createSessionStore } = require('./lib/sessions');
+const { createNudgeCache, fingerprint, representativeProfile } = require('./lib/nudge-cache');
+const { createStatsAggregator } = require('./lib/study-stats');
+const { createAccessControl, redactHeaders } = require('./lib/access');
+const { createPrivacyFilter, scheduleRetention } = require('./lib/privacy');
+const { KINDS: REPLAY_KINDS, parseReplayFile, runReplay, formatReport } = require('./lib/replay');
+const { loadOutcomeConfig, outcomeProblems, outcomeRecord, createOutcomeAggregator, joinedRow } = require('./lib/outcomes');
+const { analyzeSession, describePatterns, generateRuleBasedReflection, signedDollars } = require('./lib/reflection');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { createClientScript } = require('./lib/client-script');
+const { version: SERVER_VERSION } = require('./package.json');
+
+// Study API keys, origin allowlist and rate limits (STUDY_API_KEYS, ALLOWED_ORIGINS, RATE_LIMIT_*)
+const access = createAccessControl();
+
+// Participant field policy and pseudonymization (PRIVACY_POLICY_PATH, PSEUDONYM_KEY, RETENTION_DAYS);
+// throws at startup in production when no policy is configured
+const privacy = createPrivacyFilter();
 
 const app = express();
+// Behind Railway's proxy set TRUST_PROXY=1 so per-IP limits see the client address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY));
 app.use(express.json({ limit: '200kb' }));
-app.use(cors({ origin: true, credentials: false }));
+app.use(privacy.pseudonymizeRequest);
+app.use(cors(access.corsOptions));
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Initialize LLM provider (LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL) behind deadlines,
+// retries and a circuit breaker (LLM_TIMEOUT_MS, LLM_MAX_RETRIES, BREAKER_*)
+const llm = createResilientProvider(createProvider());
+
+// Versioned prompt templates, validated at startup (PROMPTS_DIR, PROMPT_VERSION, PROMPT_VERSION_<ARM>)
+const prompts = loadPromptLibrary();
+
+// Output languages: translated fallback templates, word-limit factors and guardrail terms (LOCALES_DIR)
+const locales = loadLocales();
+
+// Per-study arms, categories, prompt versions, model parameters, word limits, locale and fallback
+// (STUDIES_PATH, hot-reloaded); without it one built-in study uses STUDY_ARMS and ASSIGNMENT_*
+const studies = createStudyRegistry(undefined, { promptVersions: [...prompts.versions.keys()], locales: locales.codes });
+
+// Output checks on every generated nudge (GUARDRAIL_MAX_RETRIES, GUARDRAIL_BANNED_TERMS)
+const guardrailConfig = loadGuardrailConfig();
+
+// Streaming endpoints fall back to a rule-based nudge if no token arrives within this budget
+const STREAM_FIRST_TOKEN_BUDGET_MS = Number(process.env.STREAM_FIRST_TOKEN_BUDGET_MS || 1500);
+
+// Escaped, per-arm suggestion_text/suggestion_html rendering (RENDER_TEMPLATES_PATH)
+const renderer = createRenderer();
+
+// Research event log (NUDGE_LOG_PATH, JSONL)
+const eventLog = createEventLog();
+
+// Participant decisions reported after a nudge (OUTCOME_LOG_PATH, JSONL), joined to eventLog by nudge_id
+const outcomeLog = createEventLog(loadOutcomeConfig());
 
-// Comprehensive nudge categories for behavioral bias awareness
-const NUDGE_CATEGORIES = {
-  'execution_cost': {
-    title: 'Execution Cost Consideration',
-    templates: [
-      'Consider the execution cost vs. expected price movement.',
-      'The spread and fees may impact your expected returns.',
-      'Factor in transaction costs when evaluating this trade.'
-    ]
-  },
-  'fair_value_anchor': {
-    title: 'Fair Value vs. Entry Price',
-    templates: [
-      'Your entry price is {distance} from the fair value estimate.',
-      'Consider whether the current price reflects fundamental value.',
-      'The gap between entry and fair value suggests {interpretation}.'
-    ]
-  },
-  'herding_bias': {
-    title: 'Herding Bias Awareness',
-    templates: [
-      'High investor buying activity ({pct}%) may indicate herding behavior.',
-      'Consider whether others\' actions reflect your own analysis.',
-      'Avoid following the crowd without independent evaluation.'
-    ]
-  },
-  'disposition_effect': {
-    title: 'Disposition Effect Awareness',
-    templates: [
-      'Consider your position\'s performance vs. current market conditions.',
-      'Evaluate whether holding or selling aligns with market fundamentals.',
-      'Avoid letting past performance bias your current decision.'
-    ]
-  },
-  'loss_aversion': {
-    title: 'Loss Aversion Awareness',
-    templates: [
-      'Consider your risk tolerance vs. potential losses.',
-      'Evaluate whether fear of losses is driving your decision.',
-      'Balance potential gains against acceptable risk levels.'
-    ]
-  },
-  'confirmation_bias': {
-    title: 'Confirmation Bias Awareness',
-    templates: [
-      'Consider multiple perspectives on current market conditions.',
-      'Seek information that challenges your current view.',
-      'Avoid only looking for signals that confirm your position.'
-    ]
-  },
-  'fomo': {
-    title: 'FOMO Awareness',
-    templates: [
-      'Consider your investment timeline vs. market timing.',
-      'Evaluate whether fear of missing out is driving urgency.',
-      'Focus on your strategy rather than market noise.'
-    ]
-  },
-  'overtrading': {
-    title: 'Overtrading Awareness',
-    templates: [
-      'Consider your trading frequency vs. market opportunities.',
-      'Evaluate whether you\'re trading too frequently.',
-      'Focus on quality opportunities rather than constant activity.'
-    ]
-  },
-  'present_bias': {
-    title: 'Present Bias Awareness',
-    templates: [
-      'Consider long-term vs. short-term market outlook.',
-      'Evaluate whether immediate gains are worth long-term risks.',
-      'Balance current opportunities with future market conditions.'
-    ]
-  },
-  'status_quo_bias': {
-    title: 'Status Quo Bias Awareness',
-    templates: [
-      'Consider whether market conditions warrant a change.',
-      'Evaluate if maintaining current position is optimal.',
-      'Avoid inertia when market conditions suggest action.'
-    ]
-  },
-  'base_rate_neglect': {
-    title: 'Base Rate Neglect Awareness',
-    templates: [
-      'Consider overall market trends vs. specific signals.',
-      'Evaluate general market statistics alongside specific information.',
-      'Balance broad market context with individual stock factors.'
-    ]
-  },
-  'decision_fatigue': {
-    title: 'Decision Fatigue Awareness',
-    templates: [
-      'Consider taking a moment to reassess market conditions.',
-      'Evaluate whether multiple decisions are affecting your judgment.',
-      'Take time to refresh your perspective on current opportunities.'
-    ]
-  },
-  'cct_risk_awareness': {
-    title: 'Risk Assessment',
-    templates: [
-      'Given your risk profile, consider position sizing carefully.',
-      'Your risk tolerance suggests {advice} for this trade.',
-      'Evaluate whether this trade aligns with your risk preferences.'
-    ]
-  },
-  'portfolio_risk': {
-    title: 'Portfolio Risk Management',
-    templates: [
-      'Consider your overall portfolio exposure and diversification.',
-      'Evaluate position sizing relative to your total portfolio.',
-      'Assess whether this trade improves or worsens your risk profile.'
-    ]
-  }
-};
-
-// CCT score interpretation
-function interpretCCTScore(cctScore) {
-  if (cctScore == null) return { level: 'unknown', advice: 'standard risk assessment' };
-  if (cctScore >= 0.8) return { level: 'high', advice: 'conservative approach recommended' };
-  if (cctScore >= 0.5) return { level: 'medium', advice: 'balanced risk management' };
-  return { level: 'low', advice: 'careful position sizing advised' };
+// Nudges served since startup by nudge_id, so outcome reports rarely need to scan the log
+const RECENT_NUDGES_MAX = 1000;
+const recentNudges = new Map();
+
+// Per-participant session memory (SESSION_PATH, SESSION_REPEAT_WINDOW, SESSION_MAX_HISTORY)
+const sessions = createSessionStore();
+
+// Precomputed nudges (NUDGE_CACHE_MODE=off|on|pinned, NUDGE_CACHE_PATH)
+const nudgeCache = createNudgeCache();
+
+// Record one nudge request/response pair in the event log; its event_id is returned to the
+// client as nudge_id for outcome reports
+function logNudgeEvent(req, { route, arm, startedAt, trace, nudge }) {
+  const body = req.body || {};
+  const entry = eventLog.record({
+    route,
+    arm,
+    study: req.studyConfig?.id ?? req.study ?? null,
+    participant_id: body.participant_id ?? null,
+    session_id: body.session_id ?? null,
+    // The validated body as the model may see it (privacy policy applied), so it can be replayed
+    request: privacy.forModel(body),
+    // Sent as X-Nudge-Client by the served client script (/client.js)
+    client_version: req.get('x-nudge-client') || null,
+    provider: nudge.meta?.provider || null,
+    model: nudge.model,
+    fallback: !!nudge.meta?.fallback,
+    error: nudge.meta?.error || null,
+    prompt_version: trace.prompt_version || null,
+    prompt_hash: trace.prompt_hash || null,
+    prompt: trace.messages || null,
+    output: trace.output ?? nudge.suggestion_text ?? null,
+    usage: trace.usage || null,
+    latency_ms: Date.now() - startedAt,
+    llm_latency_ms: trace.llm_latency_ms ?? null,
+    deadline_ms: trace.deadline_ms ?? null,
+    cache: trace.cache || null,
+    guardrail_attempts: trace.guardrail_attempts || null,
+    meta: nudge.meta || null
+  });
+  nudge.nudge_id = entry.event_id;
+  recentNudges.set(entry.event_id, entry);
+  if (recentNudges.size > RECENT_NUDGES_MAX) recentNudges.delete(recentNudges.keys().next().value);
+}
+
+// Logged nudge event by nudge_id, or null
+async function findNudge(nudgeId) {
+  if (recentNudges.has(nudgeId)) return recentNudges.get(nudgeId);
+  for await (const event of eventLog.read()) {
+    if (event.event_id === nudgeId) return event;
+  }
+  return null;
+}
+
+// Prompt-safe display of optional (null) values
+function show(value, format = (v) => v) {
+  return value === null || value === undefined ? 'n/a' : format(value);
+}
+
+const ENTRY_SOURCES = { limit: 'limit price', ask: 'at the ask', bid: 'at the bid', last: 'at the last price' };
+const signedPct = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+// Prompt block with the server-computed order math (lib/market-features); lines without data are left out.
+// `sizing: false` also leaves out the figures that depend on the order size and portfolio, for cached
+// text shared across orders (lib/nudge-cache fingerprints ignore them)
+function marketFeaturesSection(features, { sizing = true } = {}) {
+  const lines = [];
+  if (sizing && features.order_value !== null) {
+    lines.push(`- Order Value: $${features.order_value.toFixed(2)} (${features.qty} x $${features.entry_price.toFixed(2)} ${ENTRY_SOURCES[features.entry_source]})`);
+  }
+  if (features.spread_bps !== null) {
+    const cost = sizing && features.spread_cost !== null ? `, cost of crossing half the spread: $${features.spread_cost.toFixed(2)}` : '';
+    lines.push(`- Spread: $${features.spread.toFixed(2)} (${features.spread_bps} bps)${cost}`);
+  }
+  const gaps = [
+    features.fair_value_gap_pct !== null ? `Fair Value ${signedPct(features.fair_value_gap_pct)}` : null,
+    features.analyst_target_gap_pct !== null ? `Analyst Target ${signedPct(features.analyst_target_gap_pct)}` : null
+  ].filter(Boolean);
+  if (gaps.length > 0) lines.push(`- Entry Price vs ${gaps.join(', ')}`);
+  if (features.limit_distance !== null) {
+    const touch = features.side === 'Buy' ? 'ask' : 'bid';
+    const direction = features.limit_distance >= 0 ? 'above' : 'below';
+    lines.push(`- Limit Price: $${Math.abs(features.limit_distance).toFixed(2)} (${Math.abs(features.limit_distance_bps)} bps) ${direction} the ${touch}${features.limit_marketable ? ', marketable' : ', resting'}`);
+  }
+  if (sizing && features.position_pct_of_balance !== null) lines.push(`- Order Size: ${features.position_pct_of_balance.toFixed(2)}% of balance`);
+  if (sizing && features.post_trade_exposure !== null) {
+    const share = features.post_trade_exposure_pct !== null ? ` (${features.post_trade_exposure_pct.toFixed(2)}% of balance)` : '';
+    lines.push(`- Post-Trade Position: ${features.post_trade_position} shares, exposure $${features.post_trade_exposure.toFixed(2)}${share}`);
+  }
+  if (lines.length === 0) return '';
+  return `ORDER MATH (computed from the data above; quote these figures rather than recalculating):
+${lines.join('\n')}
+
+`;
+}
+
+// Template variables shared by the generic and personalized prompts; `sizing: false` leaves out the
+// quantity as well as the order-size figures (see marketFeaturesSection)
+function marketPromptVariables(context, study, locale, features, { sizing = true } = {}) {
+  return {
+    trade_side: context.trade.side,
+    trade_quantity: sizing ? context.trade.quantity : 'n/a',
+    symbol: context.market.symbol,
+    order_type: context.trade.orderType,
+    last_price: show(context.market.lastPrice),
+    bid: show(context.market.bid),
+    ask: show(context.market.ask),
+    spread_clause: context.market.spread ? `, Spread=$${context.market.spread}` : '',
+    fair_value: show(context.analysis.fairValue),
+    analyst_target: show(context.analysis.anchorTarget),
+    sentiment_pct: show(context.analysis.sentimentPercent, (v) => `${v}%`),
+    max_words: locales.wordLimit(study.max_words, locale),
+    market_features_section: marketFeaturesSection(features, { sizing })
+  };
+}
+
+// hot_cold_diff is hot minus cold score (lib/cct.js). More cards turned means more risk taken, so a
+// positive difference is more risk-taking in the hot (time-pressured, immediate-feedback) condition,
+// as in Figner et al. (2009). The baseline wording had the sign the other way round.
+function hotColdDirection(cct) {
+  if (cct.hot_cold_diff > 0) return 'more risk-taking under pressure';
+  if (cct.hot_cold_diff < 0) return 'more cautious under pressure';
+  return 'consistent across conditions';
+}
+
+// The English prompt is the reference for every language; other languages only add an
+// output-language instruction to the system message
+function withLanguage(system, locale) {
+  if (locale === DEFAULT_LOCALE) return system;
+  return `${system}\n\nWrite the feedback in ${locales.get(locale).language}. Keep the ticker, numbers and the symbols $, %, ↑, ↓ and ⚠️ unchanged.`;
+}
+
+// Guardrail options for a study and language: the scaled word limit, plus the language's banned
+// terms and directive phrasings on top of the English ones
+function guardrailOptions(study, locale) {
+  const { banned_terms: bannedTerms, directive_patterns: directivePatterns } = locales.get(locale);
+  return {
+    maxWords: locales.wordLimit(study.max_words, locale),
+    bannedTerms: [...guardrailConfig.bannedTerms, ...bannedTerms],
+    directivePatterns
+  };
+}
+
+// An arm's prompt version: the study's arm or study setting, else PROMPT_VERSION(_<ARM>)
+function promptVersionFor(study, arm) {
+  return study.arms.find((a) => a.name === arm)?.prompt_version || study.prompt_version || prompts.versionFor(arm);
+}
+
+// Model request parameters for a study (LLM_MODEL unless the study names a model)
+function modelParams(study) {
+  return { maxTokens: study.model.max_tokens, temperature: study.model.temperature, ...(study.model.name ? { model: study.model.name } : {}) };
+}
+
+// Calls the LLM until the output passes the guardrails, re-prompting with the failed checks.
+// Throws once retries are exhausted so the caller falls back to a rule-based nudge.
+async function completeWithGuardrails(messages, trace, { deadline, study = studies.builtIn, locale = DEFAULT_LOCALE, provider = llm } = {}) {
+  const checkOptions = guardrailOptions(study, locale);
+  const conversation = [...messages];
+  trace.messages = conversation;
+  const attempts = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const llmStartedAt = Date.now();
+
+  for (let attempt = 1; attempt <= guardrailConfig.maxRetries + 1; attempt++) {
+    const completion = await provider.complete({ messages: conversation, ...modelParams(study), deadline });
+    Object.keys(usage).forEach((key) => { usage[key] += completion.usage[key]; });
+    trace.llm_latency_ms = Date.now() - llmStartedAt;
+    trace.usage = usage;
+
+    const text = (completion.text || 'Consider all factors carefully before making your trading decision.').trim();
+    const check = checkNudge(text, checkOptions);
+    attempts.push({ output: text, failed_checks: check.failures.map((f) => f.check) });
+    trace.guardrail_attempts = attempts;
+
+    const guardrails = {
+      passed: check.passed,
+      attempts: attempt,
+      failed_checks: attempts.map((a) => a.failed_checks),
+      word_count: check.word_count
+    };
+    if (check.passed) {
+      trace.output = text;
+      return { completion: { ...completion, usage }, text, guardrails };
+    }
+
+    console.warn(`Guardrail checks failed (attempt ${attempt}):`, check.failures);
+    if (attempt > guardrailConfig.maxRetries) {
+      const error = new Error(`Guardrail checks failed after ${attempt} attempts: ${guardrails.failed_checks[attempt - 1].join(', ')}`);
+      error.guardrails = guardrails;
+      throw error;
+    }
+    conversation.push(
+      { role: 'assistant', content: text },
+      { role: 'user', content: correctiveInstruction(check.failures, checkOptions) }
+    );
+  }
+}
+
+// Streaming counterpart of completeWithGuardrails: forwards tokens through onToken as they arrive.
+// Tokens are already on screen, so a guardrail failure is not retried; it throws and the final
+// event carries the rule-based fallback instead.
+async function streamWithGuardrails(messages, trace, { onToken, signal, deadline, study = studies.builtIn, locale = DEFAULT_LOCALE, provider = llm }) {
+  const checkOptions = guardrailOptions(study, locale);
+  const llmStartedAt = Date.now();
+  trace.messages = messages;
+
+  let text = '';
+  let completion = null;
+  try {
+    // The provider enforces the first-token budget, so a silent provider counts against the breaker
+    const chunks = provider.stream({ messages, ...modelParams(study), signal, deadline, firstTokenMs: STREAM_FIRST_TOKEN_BUDGET_MS });
+    for await (const chunk of chunks) {
+      if (chunk.done) {
+        completion = chunk;
+        continue;
+      }
+      if (!text) trace.first_token_ms = Date.now() - llmStartedAt;
+      text += chunk.text;
+      onToken(chunk.text);
+    }
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    // Marked so the generators rethrow it instead of building a fallback nobody will see
+    const disconnected = new Error('Client disconnected');
+    disconnected.aborted = true;
+    throw disconnected;
+  }
+  trace.llm_latency_ms = Date.now() - llmStartedAt;
+  // Streams don't always end with a usage chunk
+  trace.usage = normalizeUsage(completion?.usage);
+  completion = { provider: provider.name, model: provider.model, ...completion, usage: trace.usage };
+
+  text = text.trim();
+  const check = checkNudge(text, checkOptions);
+  trace.guardrail_attempts = [{ output: text, failed_checks: check.failures.map((f) => f.check) }];
+  const guardrails = {
+    passed: check.passed,
+    attempts: 1,
+    failed_checks: [check.failures.map((f) => f.check)],
+    word_count: check.word_count
+  };
+  if (!check.passed) {
+    console.warn('Guardrail checks failed (stream):', check.failures);
+    const error = new Error(`Guardrail checks failed after streaming: ${guardrails.failed_checks[0].join(', ')}`);
+    error.guardrails = guardrails;
+    throw error;
+  }
+  trace.output = text;
+  return { completion, text, guardrails };
+}
+
+// Category title without "Bias" and "Awareness": the model tends to echo the labels it is given,
+// and "bias" is a banned term (lib/guardrails)
+function categoryLabel(category) {
+  return NUDGE_CATEGORIES[category].title.replace(/\s*\b(Bias|Awareness)\b/g, '').trim();
+}
+
+// The study's enabled categories for the personalized prompt; portfolio risk needs portfolio context
+function nudgeCategoriesSection(study, { portfolio }) {
+  return (study.categories || Object.keys(NUDGE_CATEGORIES))
+    .filter((key) => portfolio || key !== 'portfolio_risk')
+    .map((key) => `- ${categoryLabel(key)}: ${NUDGE_CATEGORIES[key].focus}`)
+    .join('\n');
+}
+
+// Prompt block summarizing earlier trades and nudges in the session (empty for a first trade)
+function sessionPromptSection(session, escalation) {
+  if (!session || session.nudges.length === 0) return '';
+  const earlier = session.nudges
+    .map((n) => `${NUDGE_CATEGORIES[n.bias]?.title || n.bias} (trade ${n.trade_number})`)
+    .join(', ');
+  const last = session.nudges[session.nudges.length - 1];
+  const angle = escalation > 0
+    ? `- This target was already addressed ${escalation} time(s) this session: take a different angle and be more specific than before`
+    : '- This target has not been addressed yet this session';
+  return `SESSION HISTORY:
+- Trades this session: ${session.trades.length} (current order is trade ${session.trades.length})
+- Earlier feedback targeted: ${earlier}
+- Most recent feedback: "${last.text}"
+${angle}
+- Do not repeat earlier wording
+
+`;
+}
+
+// Store the served nudge in the participant's session so later trades can rotate away from it
+function rememberNudge(session, biasSelection, escalation, nudge) {
+  sessions.recordNudge(session, {
+    bias: biasSelection.bias,
+    rule: biasSelection.rule,
+    rotated: biasSelection.rotated,
+    escalation,
+    model: nudge.model,
+    fallback: !!nudge.meta.fallback,
+    text: nudge.suggestion_text
+  });
+  return nudge;
+}
+
+// Response for studies whose fallback is "none": an empty nudge flagged as a fallback
+function emptyFallback(error, meta = {}) {
+  const nudge = buildControlResponse();
+  return {
+    ...nudge,
+    model: 'fallback-none',
+    meta: { ...nudge.meta, error, fallback: true, ...meta }
+  };
+}
+
+// Serves a precomputed nudge when the cache is enabled. Returns null on a miss so the caller
+// generates live, except in pinned mode, where a miss gets the study's fallback instead.
+function cachedNudge(scenario, { kind, arm, promptVersion, trace, session = null, study, locale, marketFeatures }) {
+  if (nudgeCache.mode === 'off') return null;
+  const { key } = fingerprint(scenario, { kind, promptVersion, study: study.id, locale });
+  const strings = locales.get(locale);
+  const entry = nudgeCache.get(key);
+  trace.cache = { status: entry ? 'hit' : 'miss', key };
+
+  if (entry) {
+    trace.prompt_version = entry.prompt_version;
+    trace.prompt_hash = entry.prompt_hash;
+    trace.output = entry.text;
+    const nudge = {
+      model: entry.model,
+      ...renderer.render(entry.text, { arm, label: strings.label }),
+      meta: {
+        received_at: Date.now(),
+        provider: entry.provider,
+        model: entry.model,
+        prompt_version: entry.prompt_version,
+        prompt_hash: entry.prompt_hash,
+        locale,
+        market_features: marketFeatures,
+        ...(kind === 'generic' ? { nudge_type: 'generic' } : {}),
+        bias_selected: entry.bias_selected,
+        bias_rule_fired: entry.bias_rule_fired,
+        cache: { status: 'hit', key, created_at: entry.created_at }
+      }
+    };
+    if (kind === 'personalized') {
+      return rememberNudge(session, { bias: entry.bias_selected, rule: entry.bias_rule_fired, rotated: false }, 0, nudge);
+    }
+    return nudge;
+  }
+
+  if (nudgeCache.mode !== 'pinned') return null;
+  const personalized = kind === 'personalized';
+  if (study.fallback === 'none') {
+    trace.output = '';
+    return emptyFallback('No cached nudge for this condition (pinned mode)', { locale, market_features: marketFeatures, cache: { status: 'miss', key } });
+  }
+  const ruleNudge = generateRuleBasedNudge(scenario, {
+    personalized,
+    cct: personalized ? buildCCTProfile(scenario.profile) : null,
+    category: personalized ? selectBias(scenario, { categories: study.categories }).bias : null,
+    categories: study.categories,
+    locale: strings
+  });
+  trace.output = ruleNudge.text;
+  return {
+    model: 'fallback-rule-based',
+    ...renderer.render(ruleNudge.text, { arm, label: strings.label }),
+    meta: {
+      received_at: Date.now(),
+      error: 'No cached nudge for this condition (pinned mode)',
+      fallback: true,
+      locale,
+      market_features: marketFeatures,
+      ...(personalized ? {} : { nudge_type: 'generic' }),
+      category: ruleNudge.category,
+      category_rule: ruleNudge.rule,
+      template_index: ruleNudge.template_index,
+      cache: { status: 'miss', key }
+    }
+  };
 }
 
 // Generate personalized nudge using GPT
-async function generatePersonalizedNudge(scenario) {
+// `trace` collects the prompt, raw output, usage and latency for the event log
+// `session` (from sessions.open) steers bias selection away from recently nudged biases;
+// `complete` is completeWithGuardrails, or a streaming variant for the SSE endpoints;
+// `useCache: false` bypasses the nudge cache and `forCache: true` leaves the quantity, order-size and
+// portfolio figures out of the prompt (both set by the cache warm-up); `study` (lib/studies) supplies
+// the enabled categories, model parameters, word limit and fallback; `locale` is the output language;
+// `provider` replaces the server's LLM provider (replays)
+async function generatePersonalizedNudge(scenario, { trace = {}, promptVersion = prompts.defaultVersion, arm = 'enhanced', session = null, complete = completeWithGuardrails, useCache = true, forCache = false, study = studies.builtIn, locale = DEFAULT_LOCALE, provider = llm } = {}) {
+  // Order math from the fields the privacy policy lets the model see; shared by prompt, fallback and meta
+  const marketFeatures = computeMarketFeatures(privacy.forModel(scenario));
+  const cached = useCache && cachedNudge(scenario, { kind: 'personalized', arm, promptVersion, trace, session, study, locale, marketFeatures });
+  if (cached) return cached;
+
+  // The LLM must answer within the deadline (shortened by scenario.timer_sec) or the fallback is used
+  trace.deadline_ms = deadlineMsFor(scenario, provider.config);
+  const deadline = Date.now() + trace.deadline_ms;
+
+  // Pick the target bias up front so both GPT and the fallback address the same one
+  const biasSelection = selectBias(scenario, { recent: sessions.recentBiases(session), categories: study.categories });
+  const escalation = sessions.timesNudged(session, biasSelection.bias);
+  const biasMeta = {
+    bias_selected: biasSelection.bias,
+    bias_rule_fired: biasSelection.rule,
+    bias_candidates: biasSelection.candidates,
+    bias_rotated: biasSelection.rotated,
+    bias_escalation: escalation,
+    session_id: session?.session_id ?? null
+  };
+  const strings = locales.get(locale);
+
   try {
-    const { exec, sym, last, bid, ask, fair_value, anchor_target, sentiment_pct, hot_condition, profile, portfolio, scenario: scenarioInfo, trading_context } = scenario;
-    const cctInfo = interpretCCTScore(profile?.cct_score);
+    // Only fields the privacy policy marks "send" reach the prompt
+    const { exec, sym, last, bid, ask, fair_value, anchor_target, sentiment_pct, hot_condition, profile, portfolio, scenario: scenarioInfo, trading_context } = privacy.forModel(scenario);
+    const cct = buildCCTProfile(profile);
     
     // Detect if this is enhanced payload
     const isEnhancedPayload = !!(portfolio || scenarioInfo || trading_context);
@@ -166,7 +508,7 @@ async function generatePersonalizedNudge(scenario) {
         fairValue: fair_value,
         anchorTarget: anchor_target,
         sentimentPercent: sentiment_pct,
-        isHotCondition: hot_condition === '1' || hot_condition === true
+        isHotCondition: hot_condition === true
       },
       participant: {
         // Demographics
@@ -188,22 +530,8 @@ async function generatePersonalizedNudge(scenario) {
         preMood: profile?.psychological_traits?.pre_mood,
         preDecisionFatigue: profile?.psychological_traits?.pre_decision_fatigue,
         
-        // CCT Risk Profile
-        cctScore: profile?.cct_score,
-        cctHotScore: profile?.cct_hot_score,
-        cctColdScore: profile?.cct_cold_score,
-        cctHotColdDiff: profile?.cct_hot_cold_diff,
-        cctLevel: cctInfo.level,
-        
-        // Enhanced CCT Risk Profiling (only for enhanced nudge treatment group)
-        cctRiskProfile: profile?.cct?.risk_profile,
-        cctRiskLevel: profile?.cct?.risk_level,
-        cctRiskScore: profile?.cct?.risk_score,
-        cctRiskType: profile?.cct?.risk_type,
-        cctRiskConsistency: profile?.cct?.risk_consistency,
-        cctRiskPreference: profile?.cct?.risk_preference,
-        cctGainSensitivity: profile?.cct?.gain_sensitivity,
-        cctLossAversion: profile?.cct?.loss_aversion,
+        // Canonical CCT risk profile (lib/cct.js)
+        cct,
         
         // Legacy fields for backward compatibility
         screenerData: profile?.screener || {}
@@ -238,169 +566,137 @@ async function generatePersonalizedNudge(scenario) {
       } : null
     };
 
-    // Create GPT prompt for realistic trading platform context - ACADEMICALLY SOUND
-    const prompt = `You are a professional trading platform advisor providing market analysis and considerations to investors. Generate concise, neutral market observations that present key data without giving direct investment advice.
-
-CURRENT MARKET CONDITIONS:
-- Trade: ${context.trade.side} ${context.trade.quantity} shares of ${context.market.symbol} (${context.trade.orderType} order)
-- Market: Last=${context.market.lastPrice}, Bid=${context.market.bid}, Ask=${context.market.ask}${context.market.spread ? `, Spread=$${context.market.spread}` : ''}
-- Analysis: Fair Value=${context.analysis.fairValue}, Analyst Target=${context.analysis.anchorTarget}, Institutional Activity=${context.analysis.sentimentPercent}%
-- Risk Profile: ${context.participant.cctLevel} risk tolerance (CCT Score: ${context.participant.cctScore})${context.participant.cctHotScore ? `, Hot/Cold Risk Pattern: ${context.participant.cctHotScore}/${context.participant.cctColdScore} (diff: ${context.participant.cctHotColdDiff})` : ''}${context.participant.cctRiskLevel ? `, Risk Profile: ${context.participant.cctRiskLevel} (${context.participant.cctRiskType}), Consistency: ${context.participant.cctRiskConsistency}, Preference: ${context.participant.cctRiskPreference}` : ''}
-- Investor Profile: ${context.participant.age || 'Unknown'} ${context.participant.gender || 'Unknown'}, ${context.participant.education || 'Unknown'} education, $${context.participant.personalIncome || 'Unknown'} income
-- Experience: ${context.participant.tradingExperience || 'Unknown'} trading experience, ${context.participant.confidence || 'Unknown'}/10 confidence, ${context.participant.marketKnowledge || 'Unknown'} market knowledge
-- Current State: ${context.participant.preMood || 'Unknown'} mood, ${context.participant.preDecisionFatigue || 'Unknown'} decision fatigue, ${context.participant.regretAvoidance || 'Unknown'}/7 regret avoidance
-- Market Volatility: ${context.analysis.isHotCondition ? 'High volatility conditions' : 'Standard market conditions'}${context.scenario?.timerSec ? ` (${context.scenario.timerSec}s execution window)` : ''}
-
-${isEnhancedPayload ? `PORTFOLIO CONTEXT:
-- Portfolio: Balance=$${context.portfolio.balance}, Position=${context.portfolio.position}@$${context.portfolio.avgPrice}, Unrealized P&L=$${context.portfolio.unrealizedPL}, Realized P&L=$${context.portfolio.realizedPL}
-- Performance: Total Return=${(context.portfolio.totalReturn * 100).toFixed(2)}%, Max Drawdown=${context.portfolio.maxDrawdownPct}%, Current Drawdown=${context.portfolio.currentDrawdownPct}%
-- Trading History: ${context.portfolio.tradeCount} trades completed, Previous P&L=$${context.tradingContext.previousRealizedPL}
-- Market News: ${context.scenario.name} (${context.scenario.sessionTag}), Headline: ${context.scenario.newsHead}
-- Market Focus: ${context.scenario.biasFocus}
-
-` : ''}ACADEMICALLY SOUND TRADING GUIDELINES (MARKET REALISM):
-1. MAXIMUM 80 WORDS - Concise but complete
-2. Use CONSIDERATION language: "Consider", "Evaluate", "Assess"
-3. Highlight KEY MARKET DATA: Prices, spreads, percentages, volatility
-4. Focus on MARKET CONDITIONS and RISK FACTORS
-5. Present NEUTRAL ANALYSIS - no direct recommendations
-6. Use PROFESSIONAL trading platform language
-7. End with THOUGHT-PROVOKING QUESTION or CONSIDERATION
-8. Avoid financial advice - just market observations
-9. Use trading symbols: $, %, ↑, ↓, ⚠️ for data emphasis
-10. Professional, informative, but not directive tone
-${isEnhancedPayload ? '11. Use portfolio context to provide relevant market guidance\n12. Consider trading history and performance patterns for risk assessment' : ''}
-
-CCT-BASED PERSONALIZATION STRATEGY:
-
-**RISK PROFILE ANALYSIS:**
-- Risk Level: ${context.participant.cctRiskLevel || 'standard'} (${context.participant.cctRiskType || 'balanced'})
-- Risk Score: ${context.participant.cctRiskScore || 'unknown'} (0-1 scale)
-- Risk Consistency: ${context.participant.cctRiskConsistency || 'unknown'} (predictable vs variable behavior)
-
-**HOT/COLD DECISION PATTERNS:**
-- Hot Score: ${context.participant.cctHotScore || 'unknown'} (under pressure)
-- Cold Score: ${context.participant.cctColdScore || 'unknown'} (calm conditions)  
-- Hot/Cold Difference: ${context.participant.cctHotColdDiff || 'unknown'} (${context.participant.cctHotColdDiff > 0 ? 'more cautious under pressure' : context.participant.cctHotColdDiff < 0 ? 'more risk-taking under pressure' : 'consistent across conditions'})
-
-**GAIN/LOSS SENSITIVITY:**
-- Gain Sensitivity: ${context.participant.cctGainSensitivity || 'unknown'} (how much gains motivate)
-- Loss Aversion: ${context.participant.cctLossAversion || 'unknown'} (how much losses deter)
-
-**BIAS AWARENESS MAPPING:**
-Based on CCT profile, prioritize these bias awareness nudges:
-- **High Risk + High Loss Aversion** → Loss Aversion Awareness, Risk Awareness
-- **Low Risk + High Gain Sensitivity** → FOMO Awareness, Present Bias Awareness  
-- **Inconsistent Risk (Hot/Cold Diff > 0.2)** → Decision Fatigue Awareness, Confirmation Bias Awareness
-- **High Risk + High Hot Score** → Overtrading Awareness, Status Quo Bias Awareness
-- **Low Risk + High Cold Score** → Disposition Effect Awareness, Base Rate Neglect Awareness
-
-**CONTEXTUAL FACTORS:**
-- Trading Experience: ${context.participant.tradingExperience || 'Unknown'} (adjust complexity)
-- Current Mood: ${context.participant.preMood || 'Unknown'} (emotional state)
-- Decision Fatigue: ${context.participant.preDecisionFatigue || 'Unknown'} (cognitive load)
-${isEnhancedPayload ? `- Portfolio Drawdown: ${context.portfolio.currentDrawdownPct > 5 ? 'Significant drawdown' : context.portfolio.currentDrawdownPct > 2 ? 'Moderate drawdown' : 'Near peak'} (influence loss aversion awareness)\n- Performance Pattern: ${context.portfolio.totalReturn > 0 ? 'Positive performance' : 'Negative performance'} with ${context.portfolio.tradeCount} trades (influence overconfidence vs loss aversion awareness)` : ''}
-
-AVAILABLE NUDGE CATEGORIES:
-- Execution Cost: Focus on spread, fees, transaction costs
-- Fair Value Anchor: Compare entry price to fair value estimates
-- Herding Bias: Address high investor buying activity
-- Disposition Effect: Consider position performance vs. market conditions
-- Loss Aversion: Consider risk tolerance vs. potential losses
-- Confirmation Bias: Consider multiple market perspectives
-- FOMO: Consider investment timeline vs. market timing
-- Overtrading: Consider trading frequency vs. opportunities
-- Present Bias: Consider long-term vs. short-term outlook
-- Status Quo Bias: Consider whether market conditions warrant change
-- Base Rate Neglect: Consider overall trends vs. specific signals
-- Decision Fatigue: Consider taking time to reassess conditions
-- Risk Awareness: Tailor advice based on CCT score and enhanced risk profiling (risk level, consistency, preference, gain/loss sensitivity)
-${isEnhancedPayload ? '- Portfolio Risk: Address drawdown, position sizing, performance patterns\n- Behavioral Patterns: Use hot/cold CCT differences and trading history' : ''}
-
-**SELECTION CRITERIA:**
-1. **Primary**: Use CCT bias awareness mapping above to select most relevant bias
-2. **Secondary**: Consider market conditions (volatility, sentiment, spreads)
-3. **Tertiary**: Factor in portfolio context and trading history
-4. **Format**: Ultra-concise (max 80 words), market-realistic language, consideration tone
-
-Generate a personalized nudge that addresses the most relevant behavioral bias based on the CCT profile and scenario context.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional trading platform advisor providing market analysis and considerations to investors. Generate concise, neutral market observations (max 80 words) that present key market data and risk factors without giving direct investment advice. Use consideration language ('Consider', 'Evaluate', 'Assess'), highlight important market data, and end with thought-provoking questions. Present neutral analysis of market conditions, spreads, volatility, and risk factors. Use professional trading platform language and trading symbols ($, %, ↑, ↓, ⚠️) for data emphasis. Never use academic psychology terms, reference experimental scenarios, or provide direct buy/sell recommendations."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 200,
-      temperature: 0.7
+    // Fill the versioned prompt template (prompts/<version>/personalized.txt)
+    const selectedBias = NUDGE_CATEGORIES[biasSelection.bias];
+    const rendered = prompts.render(promptVersion, 'personalized', {
+      ...marketPromptVariables(context, study, locale, marketFeatures, { sizing: !forCache }),
+      cct_risk_level: context.participant.cct.risk_level,
+      cct_risk_type: context.participant.cct.risk_type,
+      cct_total_score: show(context.participant.cct.total_score),
+      cct_hot_cold_clause: context.participant.cct.hot_score !== null ? `, Hot/Cold Risk Pattern: ${context.participant.cct.hot_score}/${show(context.participant.cct.cold_score)} (diff: ${show(context.participant.cct.hot_cold_diff)})` : '',
+      cct_risk_consistency: context.participant.cct.risk_consistency,
+      cct_risk_preference: context.participant.cct.risk_preference,
+      cct_risk_score: show(context.participant.cct.risk_score),
+      cct_hot_score: show(context.participant.cct.hot_score),
+      cct_cold_score: show(context.participant.cct.cold_score),
+      cct_hot_cold_diff: show(context.participant.cct.hot_cold_diff),
+      cct_hot_cold_direction: hotColdDirection(context.participant.cct),
+      cct_gain_sensitivity: show(context.participant.cct.gain_sensitivity),
+      cct_loss_aversion: show(context.participant.cct.loss_aversion),
+      age: context.participant.age || 'Unknown',
+      gender: context.participant.gender || 'Unknown',
+      education: context.participant.education || 'Unknown',
+      personal_income: context.participant.personalIncome || 'Unknown',
+      trading_experience: context.participant.tradingExperience || 'Unknown',
+      confidence: context.participant.confidence || 'Unknown',
+      market_knowledge: context.participant.marketKnowledge || 'Unknown',
+      pre_mood: context.participant.preMood || 'Unknown',
+      pre_decision_fatigue: context.participant.preDecisionFatigue || 'Unknown',
+      regret_avoidance: context.participant.regretAvoidance || 'Unknown',
+      market_volatility: `${context.analysis.isHotCondition ? 'High volatility conditions' : 'Standard market conditions'}${context.scenario?.timerSec ? ` (${context.scenario.timerSec}s execution window)` : ''}`,
+      portfolio_section: isEnhancedPayload ? `PORTFOLIO CONTEXT:
+${forCache ? '' : `- Portfolio: Balance=${show(context.portfolio.balance, (v) => `$${v}`)}, Position=${show(context.portfolio.position)}@${show(context.portfolio.avgPrice, (v) => `$${v}`)}, Unrealized P&L=${show(context.portfolio.unrealizedPL, (v) => `$${v}`)}, Realized P&L=${show(context.portfolio.realizedPL, (v) => `$${v}`)}
+- Performance: Total Return=${show(context.portfolio.totalReturn, (v) => `${(v * 100).toFixed(2)}%`)}, Max Drawdown=${show(context.portfolio.maxDrawdownPct, (v) => `${v}%`)}, Current Drawdown=${show(context.portfolio.currentDrawdownPct, (v) => `${v}%`)}
+- Trading History: ${show(context.portfolio.tradeCount)} trades completed, Previous P&L=${show(context.tradingContext.previousRealizedPL, (v) => `$${v}`)}
+`}- Market News: ${show(context.scenario.name)} (${show(context.scenario.sessionTag)}), Headline: ${show(context.scenario.newsHead)}
+- Market Focus: ${show(context.scenario.biasFocus)}
+
+` : '',
+      portfolio_guidelines: isEnhancedPayload ? '11. Use portfolio context to provide relevant market guidance\n12. Consider trading history and performance patterns for risk assessment' : '',
+      portfolio_factors: isEnhancedPayload && !forCache ? `- Portfolio Drawdown: ${context.portfolio.currentDrawdownPct > 5 ? 'Significant drawdown' : context.portfolio.currentDrawdownPct > 2 ? 'Moderate drawdown' : 'Near peak'} (influence loss aversion awareness)\n- Performance Pattern: ${context.portfolio.totalReturn > 0 ? 'Positive performance' : 'Negative performance'} with ${show(context.portfolio.tradeCount)} trades (influence overconfidence vs loss aversion awareness)` : '',
+      nudge_categories: nudgeCategoriesSection(study, { portfolio: isEnhancedPayload }),
+      portfolio_categories: isEnhancedPayload ? '- Behavioral Patterns: Use hot/cold CCT differences and trading history' : '',
+      session_section: sessionPromptSection(session, escalation),
+      selected_bias_title: selectedBias.title,
+      selected_bias_rule: biasSelection.rule,
+      selected_bias_examples: selectedBias.templates.filter((t) => !t.includes('{')).join(' / ')
     });
+    trace.prompt_version = rendered.version;
+    trace.prompt_hash = rendered.hash;
 
-    const nudgeText = completion.choices[0]?.message?.content?.trim() || 'Consider all factors carefully before making your trading decision.';
+    const messages = [
+      {
+        role: "system",
+        content: withLanguage(rendered.system, locale)
+      },
+      {
+        role: "user",
+        content: rendered.user
+      }
+    ];
+    trace.messages = messages;
+
+    const { completion, text: nudgeText, guardrails } = await complete(messages, trace, { deadline, study, locale, provider });
     
-    return {
-      model: 'gpt-4o-mini',
-      suggestion_html: `<div><b>AI Trade Feedback:</b> ${nudgeText}</div>`,
-      suggestion_text: nudgeText,
+    return rememberNudge(session, biasSelection, escalation, {
+      model: completion.model,
+      ...renderer.render(nudgeText, { arm, label: strings.label }),
       meta: {
         received_at: Date.now(),
-        cct_score: context.participant.cctScore,
-        cct_level: context.participant.cctLevel,
+        cct_score: context.participant.cct.total_score,
+        cct_level: context.participant.cct.risk_level,
+        cct_source: context.participant.cct.source,
         sentiment_pct: context.analysis.sentimentPercent,
         is_hot: context.analysis.isHotCondition,
-        tokens_used: completion.usage?.total_tokens || 0
+        provider: completion.provider,
+        model: completion.model,
+        tokens_used: completion.usage.total_tokens,
+        prompt_version: rendered.version,
+        prompt_hash: rendered.hash,
+        locale,
+        market_features: marketFeatures,
+        guardrails,
+        ...biasMeta
       }
-    };
+    });
 
   } catch (error) {
+    if (error.aborted) throw error;
     console.error('GPT API Error:', error.message);
     
+    // Nothing is shown, so the session does not record a nudge for the selected bias
+    if (study.fallback === 'none') {
+      trace.output = '';
+      return emptyFallback(error.message, { locale, market_features: marketFeatures, guardrails: error.guardrails || null, ...biasMeta });
+    }
+
     // Fallback to rule-based nudge if GPT fails
-    const side = scenario.exec?.side || 'Buy';
-    const qty = scenario.exec?.qty || 0;
-    const sym = scenario.sym || 'TICKER';
-    const fv = scenario.fair_value;
-    const last = scenario.last;
-    const cctInfo = interpretCCTScore(scenario.profile?.cct_score);
     const isEnhancedPayload = !!(scenario.portfolio || scenario.scenario || scenario.trading_context);
-    
-    const fallbackAdvice = [
-      `You are placing ${qty} ${side} on ${sym}.`,
-      fv && last ? `Entry vs. fair value: ${(last - fv).toFixed(2)}.` : null,
-      `Risk assessment (${cctInfo.level} risk tolerance): ${cctInfo.advice}.`,
-      scenario.sentiment_pct >= 70 ? 'High institutional activity (${scenario.sentiment_pct}%) creates strong market momentum.' : null,
-      scenario.hot_condition === '1' ? 'Market volatility requires careful execution timing.' : null,
-      // Participant context
-      scenario.profile?.demographics?.trading_experience ? `Your ${scenario.profile.demographics.trading_experience} experience suggests ${scenario.profile.demographics.trading_experience.includes('None') || scenario.profile.demographics.trading_experience.includes('Less than') ? 'caution' : 'consideration'} of all market factors.` : null,
-      scenario.profile?.psychological_traits?.pre_mood ? `Your current mood (${scenario.profile.psychological_traits.pre_mood}) may influence market assessment.` : null,
-      scenario.profile?.psychological_traits?.pre_decision_fatigue ? `Decision fatigue level (${scenario.profile.psychological_traits.pre_decision_fatigue}) may affect market analysis.` : null,
-      // Enhanced fallback advice
-      isEnhancedPayload && scenario.portfolio ? `Portfolio: $${scenario.portfolio.balance} balance, ${scenario.portfolio.posQty} position, ${scenario.portfolio.unrealizedPL >= 0 ? '+' : ''}$${scenario.portfolio.unrealizedPL} unrealized P&L.` : null,
-      isEnhancedPayload && scenario.portfolio?.maxDrawdownPct > 2 ? `You're currently ${scenario.portfolio.currentDrawdownPct}% below peak. Consider risk management strategy.` : null,
-      isEnhancedPayload && scenario.profile?.cct_hot_cold_diff ? `Your risk pattern shows ${scenario.profile.cct_hot_cold_diff > 0 ? 'more caution under market pressure' : 'consistent risk-taking across market conditions'}.` : null
-    ].filter(Boolean).join(' ');
+    const ruleNudge = generateRuleBasedNudge(scenario, { personalized: true, cct: buildCCTProfile(scenario.profile), category: biasSelection.bias, variant: escalation, locale: strings });
+    trace.output = ruleNudge.text;
 
-    return {
+    return rememberNudge(session, biasSelection, escalation, {
       model: 'fallback-rule-based',
-      suggestion_html: `<div><b>AI Trade Feedback:</b> ${fallbackAdvice}</div>`,
-      suggestion_text: fallbackAdvice,
+      ...renderer.render(ruleNudge.text, { arm, label: strings.label }),
       meta: {
         received_at: Date.now(),
         error: error.message,
         fallback: true,
-        enhanced_payload: isEnhancedPayload
+        locale,
+        market_features: marketFeatures,
+        enhanced_payload: isEnhancedPayload,
+        category: ruleNudge.category,
+        category_rule: ruleNudge.rule,
+        template_index: ruleNudge.template_index,
+        guardrails: error.guardrails || null,
+        ...biasMeta
       }
-    };
+    });
   }
 }
 
 // Generic nudge generation (scenario data only, no personalization)
-async function generateGenericNudge(scenario) {
+// `complete` is completeWithGuardrails, or a streaming variant for the SSE endpoints;
+// `useCache`, `forCache`, `study`, `locale` and `provider` as for personalized nudges
+async function generateGenericNudge(scenario, { trace = {}, promptVersion = prompts.defaultVersion, arm = 'generic', complete = completeWithGuardrails, useCache = true, forCache = false, study = studies.builtIn, locale = DEFAULT_LOCALE, provider = llm } = {}) {
+  const marketFeatures = computeMarketFeatures(scenario, { portfolio: false });
+  const cached = useCache && cachedNudge(scenario, { kind: 'generic', arm, promptVersion, trace, study, locale, marketFeatures });
+  if (cached) return cached;
+  const strings = locales.get(locale);
+
+  trace.deadline_ms = deadlineMsFor(scenario, provider.config);
+  const deadline = Date.now() + trace.deadline_ms;
+
   try {
     const { sym, last, bid, ask, fair_value, anchor_target, sentiment_pct, hot_condition, exec } = scenario;
     
@@ -423,114 +719,263 @@ async function generateGenericNudge(scenario) {
         fairValue: fair_value,
         anchorTarget: anchor_target,
         sentimentPercent: sentiment_pct,
-        isHotCondition: hot_condition === '1' || hot_condition === true
+        isHotCondition: hot_condition === true
       }
       // NO participant data
     };
 
-    // Generic prompt (no personalization) - ACADEMICALLY SOUND
-    const prompt = `You are a professional trading platform advisor providing market analysis and considerations to investors. Generate concise, neutral market observations that present key data without giving direct investment advice.
-
-CURRENT MARKET CONDITIONS:
-- Trade: ${context.trade.side} ${context.trade.quantity} shares of ${context.market.symbol} (${context.trade.orderType} order)
-- Market: Last=${context.market.lastPrice}, Bid=${context.market.bid}, Ask=${context.market.ask}${context.market.spread ? `, Spread=$${context.market.spread}` : ''}
-- Analysis: Fair Value=${context.analysis.fairValue}, Analyst Target=${context.analysis.anchorTarget}, Institutional Activity=${context.analysis.sentimentPercent}%
-- Market Volatility: ${context.analysis.isHotCondition ? 'High volatility conditions' : 'Standard market conditions'}
-
-ACADEMICALLY SOUND TRADING GUIDELINES (MARKET REALISM):
-1. MAXIMUM 80 WORDS - Concise but complete
-2. Use CONSIDERATION language: "Consider", "Evaluate", "Assess"
-3. Highlight KEY MARKET DATA: Prices, spreads, percentages, volatility
-4. Focus on MARKET CONDITIONS and RISK FACTORS
-5. Present NEUTRAL ANALYSIS - no direct recommendations
-6. Use PROFESSIONAL trading platform language
-7. End with THOUGHT-PROVOKING QUESTION or CONSIDERATION
-8. Avoid financial advice - just market observations
-9. Use trading symbols: $, %, ↑, ↓, ⚠️ for data emphasis
-10. Professional, informative, but not directive tone
-
-AVAILABLE MARKET ANALYSIS CATEGORIES:
-- Execution Cost: Focus on spread, fees, transaction costs
-- Fair Value Analysis: Compare entry price to fair value estimates
-- Market Momentum: Address high institutional buying activity
-- Position Performance: Consider position performance vs. market conditions
-- Risk Tolerance: Consider risk tolerance vs. potential losses
-- Market Perspectives: Consider multiple market perspectives
-- Investment Timeline: Consider investment timeline vs. market timing
-- Trading Frequency: Consider trading frequency vs. opportunities
-- Time Horizon: Consider long-term vs. short-term outlook
-- Market Conditions: Consider whether market conditions warrant change
-- Market Trends: Consider overall trends vs. specific signals
-- Decision Timing: Consider taking time to reassess conditions
-- Volatility Impact: Warn about market volatility effects
-- Risk Assessment: General risk considerations
-
-Generate professional trading guidance that addresses the most relevant market factors for this specific situation.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional trading platform advisor providing market analysis and considerations to investors. Generate concise, neutral market observations (max 80 words) that present key market data and risk factors without giving direct investment advice. Use consideration language ('Consider', 'Evaluate', 'Assess'), highlight important market data, and end with thought-provoking questions. Present neutral analysis of market conditions, spreads, volatility, and risk factors. Use professional trading platform language and trading symbols ($, %, ↑, ↓, ⚠️) for data emphasis. Never use academic psychology terms, reference experimental scenarios, or provide direct buy/sell recommendations."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 200,
-      temperature: 0.7
+    // Generic prompt (no personalization) from prompts/<version>/generic.txt
+    const rendered = prompts.render(promptVersion, 'generic', {
+      ...marketPromptVariables(context, study, locale, marketFeatures, { sizing: !forCache }),
+      market_volatility: context.analysis.isHotCondition ? 'High volatility conditions' : 'Standard market conditions'
     });
+    trace.prompt_version = rendered.version;
+    trace.prompt_hash = rendered.hash;
 
-    const nudgeText = completion.choices[0]?.message?.content?.trim() || 'Consider all factors carefully before making your trading decision.';
+    const messages = [
+      {
+        role: "system",
+        content: withLanguage(rendered.system, locale)
+      },
+      {
+        role: "user",
+        content: rendered.user
+      }
+    ];
+    trace.messages = messages;
+
+    const { completion, text: nudgeText, guardrails } = await complete(messages, trace, { deadline, study, locale, provider });
     
     return {
-      model: 'gpt-4o-mini',
-      suggestion_html: `<div><b>AI Trade Feedback:</b> ${nudgeText}</div>`,
-      suggestion_text: nudgeText,
+      model: completion.model,
+      ...renderer.render(nudgeText, { arm, label: strings.label }),
       meta: {
         received_at: Date.now(),
         sentiment_pct: context.analysis.sentimentPercent,
         is_hot: context.analysis.isHotCondition,
-        tokens_used: completion.usage?.total_tokens || 0,
+        provider: completion.provider,
+        model: completion.model,
+        tokens_used: completion.usage.total_tokens,
+        prompt_version: rendered.version,
+        prompt_hash: rendered.hash,
+        locale,
+        market_features: marketFeatures,
+        guardrails,
         nudge_type: 'generic'
       }
     };
 
   } catch (error) {
+    if (error.aborted) throw error;
     console.error('Generic nudge generation error:', error);
+
+    if (study.fallback === 'none') {
+      trace.output = '';
+      return emptyFallback(error.message, { nudge_type: 'generic', locale, market_features: marketFeatures, guardrails: error.guardrails || null });
+    }
     
-    // Generic fallback
-    const side = scenario.exec?.side || 'Buy';
-    const qty = scenario.exec?.qty || 0;
-    const sym = scenario.sym || 'TICKER';
-    const fv = scenario.fair_value;
-    const last = scenario.last;
-    
-    const fallbackAdvice = [
-      `You are placing ${qty} ${side} on ${sym}.`,
-      fv && last ? `Entry vs. fair value: ${(last - fv).toFixed(2)}.` : null,
-      scenario.sentiment_pct >= 70 ? 'High institutional activity (${scenario.sentiment_pct}%) creates strong market momentum.' : null,
-      scenario.hot_condition === '1' ? 'Market volatility requires careful execution timing.' : null
-    ].filter(Boolean).join(' ');
+    // Generic fallback (market rules only)
+    const ruleNudge = generateRuleBasedNudge(scenario, { personalized: false, categories: study.categories, locale: strings });
+    trace.output = ruleNudge.text;
 
     return {
       model: 'fallback-rule-based',
-      suggestion_html: `<div><b>AI Trade Feedback:</b> ${fallbackAdvice}</div>`,
-      suggestion_text: fallbackAdvice,
+      ...renderer.render(ruleNudge.text, { arm, label: strings.label }),
       meta: {
         received_at: Date.now(),
         error: error.message,
         fallback: true,
-        nudge_type: 'generic'
+        locale,
+        market_features: marketFeatures,
+        nudge_type: 'generic',
+        category: ruleNudge.category,
+        category_rule: ruleNudge.rule,
+        template_index: ruleNudge.template_index,
+        guardrails: error.guardrails || null
       }
     };
   }
 }
 
+// Most recent trades listed in the reflection prompt
+const REFLECTION_MAX_LISTED_TRADES = 40;
+
+function tradeListSection(trades) {
+  const listed = trades.slice(-REFLECTION_MAX_LISTED_TRADES);
+  const skipped = trades.length - listed.length;
+  const lines = listed.map((t, i) => `${skipped + i + 1}. ${t.side} ${t.qty}${t.sym ? ` ${t.sym}` : ''} @ $${t.price.toFixed(2)}${t.realized_pl !== null ? `, realized P&L ${signedDollars(t.realized_pl)}` : ''}`);
+  if (skipped > 0) lines.unshift(`(${skipped} earlier trades not listed)`);
+  return lines.join('\n');
+}
+
+// Template variables for prompts/<version>/reflection.txt; patterns are described from the English strings
+function reflectionPromptVariables(body, analysis, cct, study, locale) {
+  const { stats } = analysis;
+  const patterns = describePatterns(analysis, { cct, locale: locales.get(DEFAULT_LOCALE) });
+  const vocabulary = (study.categories || Object.keys(NUDGE_CATEGORIES)).map((key) => {
+    return `- ${categoryLabel(key)}: ${NUDGE_CATEGORIES[key].templates.find((t) => !t.includes('{'))}`;
+  });
+  return {
+    scenario_name: body.scenario?.name || 'trading session',
+    trade_count: stats.trade_count,
+    buy_count: stats.buys,
+    sell_count: stats.sells,
+    closing_trades: stats.closing_trades,
+    winning_closes: stats.winning_closes,
+    losing_closes: stats.losing_closes,
+    realized_pnl: show(stats.realized_pnl, signedDollars),
+    unrealized_pnl: show(stats.unrealized_pnl, signedDollars),
+    total_return: show(stats.total_return, (v) => `${(v * 100).toFixed(2)}%`),
+    max_drawdown: show(stats.max_drawdown_pct, (v) => `${v}%`),
+    cct_risk_level: cct.risk_level,
+    cct_risk_type: cct.risk_type,
+    cct_hot_cold_direction: hotColdDirection(cct),
+    trade_list: tradeListSection(body.trades),
+    observed_patterns: patterns.length > 0
+      ? patterns.map((p) => `- ${categoryLabel(p.category)} (rule: ${p.rule}): ${p.text}`).join('\n')
+      : '- None of the tracked patterns; summarize the session\'s activity and results',
+    pattern_vocabulary: vocabulary.join('\n'),
+    max_words: locales.wordLimit(study.max_words, locale)
+  };
+}
+
+// Post-trade debrief over a completed session (trades, portfolio trajectory, CCT profile).
+// Uses the same guardrails as nudges and falls back to a rule-based debrief; `trace`, `complete`,
+// `study`, `locale` and `provider` as for personalized nudges
+async function generateReflection(body, { trace = {}, promptVersion = prompts.defaultVersion, complete = completeWithGuardrails, study = studies.builtIn, locale = DEFAULT_LOCALE, provider = llm } = {}) {
+  const arm = 'reflection';
+  const strings = locales.get(locale);
+  // Analysed from the fields the privacy policy lets the model see; shared by prompt, fallback and meta
+  const visible = privacy.forModel(body);
+  const cct = buildCCTProfile(visible.profile);
+  const analysis = analyzeSession(visible, { cct, categories: study.categories });
+  const primary = analysis.patterns[0];
+  const reflectionMeta = {
+    nudge_type: 'reflection',
+    bias_selected: primary?.category ?? null,
+    bias_rule_fired: primary?.rule ?? null,
+    patterns: analysis.patterns.map(({ rule, category }) => ({ rule, category })),
+    session_stats: analysis.stats
+  };
+
+  trace.deadline_ms = deadlineMsFor(body, provider.config);
+  const deadline = Date.now() + trace.deadline_ms;
+
+  try {
+    const rendered = prompts.render(promptVersion, 'reflection', reflectionPromptVariables(visible, analysis, cct, study, locale));
+    trace.prompt_version = rendered.version;
+    trace.prompt_hash = rendered.hash;
+    const messages = [
+      { role: 'system', content: withLanguage(rendered.system, locale) },
+      { role: 'user', content: rendered.user }
+    ];
+    trace.messages = messages;
+
+    const { completion, text, guardrails } = await complete(messages, trace, { deadline, study, locale, provider });
+    return {
+      model: completion.model,
+      ...renderer.render(text, { arm, label: strings.label }),
+      meta: {
+        received_at: Date.now(),
+        cct_level: cct.risk_level,
+        provider: completion.provider,
+        model: completion.model,
+        tokens_used: completion.usage.total_tokens,
+        prompt_version: rendered.version,
+        prompt_hash: rendered.hash,
+        locale,
+        guardrails,
+        ...reflectionMeta
+      }
+    };
+  } catch (error) {
+    console.error('Reflection LLM error:', error.message);
+    if (study.fallback === 'none') {
+      trace.output = '';
+      return emptyFallback(error.message, { locale, guardrails: error.guardrails || null, ...reflectionMeta });
+    }
+
+    const ruleReflection = generateRuleBasedReflection(analysis, { cct, locale: strings });
+    trace.output = ruleReflection.text;
+    return {
+      model: 'fallback-rule-based',
+      ...renderer.render(ruleReflection.text, { arm, label: strings.label }),
+      meta: {
+        received_at: Date.now(),
+        error: error.message,
+        fallback: true,
+        locale,
+        category: ruleReflection.category,
+        category_rule: ruleReflection.rule,
+        guardrails: error.guardrails || null,
+        ...reflectionMeta
+      }
+    };
+  }
+}
+
+// Rule-based nudge response (deterministic, no LLM call)
+function buildRuleBasedNudge(body, { personalized = true, arm = 'rule-based', study = studies.builtIn, locale = DEFAULT_LOCALE } = {}) {
+  const strings = locales.get(locale);
+  const ruleNudge = generateRuleBasedNudge(body, {
+    personalized,
+    cct: personalized ? buildCCTProfile(body.profile) : null,
+    categories: study.categories,
+    locale: strings
+  });
+
+  return {
+    model: 'rule-based',
+    ...renderer.render(ruleNudge.text, { arm, label: strings.label }),
+    meta: {
+      received_at: Date.now(),
+      nudge_type: 'rule-based',
+      locale,
+      market_features: computeMarketFeatures(body, { portfolio: personalized }),
+      category: ruleNudge.category,
+      category_rule: ruleNudge.rule,
+      template_index: ruleNudge.template_index
+    }
+  };
+}
+
+// Explicit "no nudge" response for the control arm
+function buildControlResponse() {
+  return {
+    model: 'none',
+    suggestion_html: '',
+    suggestion_text: '',
+    meta: {
+      received_at: Date.now(),
+      nudge_type: 'none',
+      no_nudge: true
+    }
+  };
+}
+
+// Output language: the request's "locale" (e.g. "es" or "es-MX"), else the study's default
+function selectLocale(req, res, next) {
+  const requested = req.body?.locale || req.studyConfig.locale;
+  const locale = locales.resolve(requested);
+  if (!locale) {
+    return res.status(400).json({
+      error: 'Invalid request payload',
+      details: [{ field: 'locale', message: `no translation for "${requested}" (available: ${locales.codes.join(', ')})` }]
+    });
+  }
+  req.locale = locale;
+  next();
+}
+
+// Nudge routes are served at the root and again under /studies/:studyId, which selects the study
+const nudgeRoutes = express.Router({ mergeParams: true });
+app.use('/studies/:studyId', nudgeRoutes);
+app.use(nudgeRoutes);
+
 // Generic nudge endpoint (scenario data only, no personalization)
-app.post('/generic-nudge', async (req, res) => {
+nudgeRoutes.post('/generic-nudge', access.middleware, validatePayload('generic'), studies.selectStudy, selectLocale, async (req, res) => {
+  const startedAt = Date.now();
+  const trace = {};
   try {
     const body = req.body || {};
     
@@ -542,17 +987,48 @@ app.post('/generic-nudge', async (req, res) => {
       payload_type: 'generic'
     });
     
-    const nudge = await generateGenericNudge(body);
+    const nudge = await generateGenericNudge(body, { trace, promptVersion: promptVersionFor(req.studyConfig, 'generic'), study: req.studyConfig, locale: req.locale });
+    nudge.meta = { ...nudge.meta, sections_present: req.payloadSections };
+    logNudgeEvent(req, { route: '/generic-nudge', arm: 'generic', startedAt, trace, nudge });
     
     res.json(nudge);
   } catch (error) {
     console.error('Generic nudge error:', error);
+    logNudgeEvent(req, { route: '/generic-nudge', arm: 'generic', startedAt, trace, nudge: { model: 'error', meta: { error: error.message } } });
     res.status(500).json({ error: 'Generic nudge generation failed' });
   }
 });
 
+// Rule-based nudge endpoint (deterministic, no LLM call)
+nudgeRoutes.post('/rule-based-nudge', access.middleware, validatePayload('personalized'), studies.selectStudy, selectLocale, (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const body = req.body || {};
+    const personalized = body.personalized !== false;
+
+    console.log('Received rule-based nudge request:', {
+      symbol: body.sym,
+      side: body.exec?.side,
+      qty: body.exec?.qty,
+      sentiment: body.sentiment_pct,
+      payload_type: personalized ? 'personalized' : 'generic'
+    });
+
+    const nudge = buildRuleBasedNudge(body, { personalized, study: req.studyConfig, locale: req.locale });
+    nudge.meta = { ...nudge.meta, sections_present: req.payloadSections };
+    logNudgeEvent(req, { route: '/rule-based-nudge', arm: 'rule-based', startedAt, trace: {}, nudge });
+
+    res.json(nudge);
+  } catch (error) {
+    console.error('Rule-based nudge error:', error);
+    res.status(500).json({ error: 'Rule-based nudge generation failed' });
+  }
+});
+
 // Enhanced nudge endpoint (full personalization)
-app.post('/enhanced-nudge', async (req, res) => {
+nudgeRoutes.post('/enhanced-nudge', access.middleware, validatePayload('personalized'), studies.selectStudy, selectLocale, async (req, res) => {
+  const startedAt = Date.now();
+  const trace = {};
   try {
     const body = req.body || {};
     const isEnhancedPayload = !!(body.portfolio || body.scenario || body.trading_context);
@@ -567,27 +1043,122 @@ app.post('/enhanced-nudge', async (req, res) => {
       has_portfolio: !!body.portfolio,
       has_scenario: !!body.scenario,
       has_trading_context: !!body.trading_context,
-      // Participant demographics
-      age: body.profile?.demographics?.age,
-      gender: body.profile?.demographics?.gender,
-      education: body.profile?.demographics?.education,
-      trading_experience: body.profile?.experience?.trading_years,
-      confidence: body.profile?.experience?.confidence,
-      pre_mood: body.profile?.psychological_traits?.pre_mood,
-      pre_decision_fatigue: body.profile?.psychological_traits?.pre_decision_fatigue
+      // Participant fields as allowed by the privacy policy
+      ...privacy.forLog(body)
     });
 
-    const nudge = await generatePersonalizedNudge(body);
+    const nudge = await generatePersonalizedNudge(body, { trace, promptVersion: promptVersionFor(req.studyConfig, 'enhanced'), session: sessions.open(body), study: req.studyConfig, locale: req.locale });
+    nudge.meta = { ...nudge.meta, sections_present: req.payloadSections };
+    logNudgeEvent(req, { route: '/enhanced-nudge', arm: 'enhanced', startedAt, trace, nudge });
     
     res.json(nudge);
   } catch (error) {
     console.error('Enhanced nudge error:', error);
+    logNudgeEvent(req, { route: '/enhanced-nudge', arm: 'enhanced', startedAt, trace, nudge: { model: 'error', meta: { error: error.message } } });
     res.status(500).json({ error: 'Enhanced nudge generation failed' });
   }
 });
 
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events wrapper: `start`, then `token` events as the model writes, then a `final`
+// event with the complete nudge. The final event is authoritative: after a fallback its text
+// replaces whatever tokens were streamed.
+async function streamNudge(req, res, { route, arm, generate }) {
+  const startedAt = Date.now();
+  const trace = {};
+  const clientGone = new AbortController();
+  res.on('close', () => clientGone.abort());
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  sendEvent(res, 'start', { route, arm, first_token_budget_ms: STREAM_FIRST_TOKEN_BUDGET_MS });
+
+  const complete = (messages, t, options) => streamWithGuardrails(messages, t, {
+    ...options,
+    onToken: (text) => sendEvent(res, 'token', { text }),
+    signal: clientGone.signal
+  });
+
+  try {
+    const nudge = await generate({ trace, complete });
+    nudge.meta = {
+      ...nudge.meta,
+      streamed: true,
+      first_token_ms: trace.first_token_ms ?? null,
+      sections_present: req.payloadSections
+    };
+    logNudgeEvent(req, { route, arm, startedAt, trace, nudge });
+    sendEvent(res, 'final', { ...nudge, guardrails: nudge.meta.guardrails ?? null });
+  } catch (error) {
+    if (error.aborted) {
+      // The client left mid-stream: nothing was served, so this is neither an error nor a fallback
+      console.log(`Streaming nudge aborted by the client (${route})`);
+      logNudgeEvent(req, { route, arm, startedAt, trace, nudge: { model: 'aborted', meta: { error: error.message, aborted: true } } });
+      return res.end();
+    }
+    console.error('Streaming nudge error:', error);
+    logNudgeEvent(req, { route, arm, startedAt, trace, nudge: { model: 'error', meta: { error: error.message } } });
+    sendEvent(res, 'error', { error: 'Nudge generation failed' });
+  }
+  res.end();
+}
+
+// Streaming enhanced nudge (SSE)
+nudgeRoutes.post('/enhanced-nudge/stream', access.middleware, validatePayload('personalized'), studies.selectStudy, selectLocale, (req, res) => {
+  const body = req.body || {};
+  console.log('Received streaming enhanced nudge request:', {
+    symbol: body.sym,
+    side: body.exec?.side,
+    qty: body.exec?.qty,
+    payload_type: 'enhanced'
+  });
+  return streamNudge(req, res, {
+    route: '/enhanced-nudge/stream',
+    arm: 'enhanced',
+    generate: ({ trace, complete }) => generatePersonalizedNudge(body, {
+      trace,
+      complete,
+      promptVersion: promptVersionFor(req.studyConfig, 'enhanced'),
+      session: sessions.open(body),
+      study: req.studyConfig,
+      locale: req.locale
+    })
+  });
+});
+
+// Streaming generic nudge (SSE)
+nudgeRoutes.post('/generic-nudge/stream', access.middleware, validatePayload('generic'), studies.selectStudy, selectLocale, (req, res) => {
+  const body = req.body || {};
+  console.log('Received streaming generic nudge request:', {
+    symbol: body.sym,
+    side: body.exec?.side,
+    qty: body.exec?.qty,
+    payload_type: 'generic'
+  });
+  return streamNudge(req, res, {
+    route: '/generic-nudge/stream',
+    arm: 'generic',
+    generate: ({ trace, complete }) => generateGenericNudge(body, {
+      trace,
+      complete,
+      promptVersion: promptVersionFor(req.studyConfig, 'generic'),
+      study: req.studyConfig,
+      locale: req.locale
+    })
+  });
+});
+
 // Legacy endpoint (for backward compatibility)
-app.post('/nudge', async (req, res) => {
+nudgeRoutes.post('/nudge', access.middleware, validatePayload('personalized'), studies.selectStudy, selectLocale, async (req, res) => {
+  const startedAt = Date.now();
+  const trace = {};
   try {
     const body = req.body || {};
     const isEnhancedPayload = !!(body.portfolio || body.scenario || body.trading_context);
@@ -602,47 +1173,549 @@ app.post('/nudge', async (req, res) => {
       has_portfolio: !!body.portfolio,
       has_scenario: !!body.scenario,
       has_trading_context: !!body.trading_context,
-      // Participant demographics
-      age: body.profile?.demographics?.age,
-      gender: body.profile?.demographics?.gender,
-      education: body.profile?.demographics?.education,
-      trading_experience: body.profile?.experience?.trading_years,
-      confidence: body.profile?.experience?.confidence,
-      pre_mood: body.profile?.psychological_traits?.pre_mood,
-      pre_decision_fatigue: body.profile?.psychological_traits?.pre_decision_fatigue
+      // Participant fields as allowed by the privacy policy
+      ...privacy.forLog(body)
     });
-    console.log('Request headers:', req.headers);
+    console.log('Request headers:', redactHeaders(req.headers));
     console.log('Request timestamp:', new Date().toISOString());
 
-    const result = await generatePersonalizedNudge(body);
+    const result = await generatePersonalizedNudge(body, { trace, promptVersion: promptVersionFor(req.studyConfig, body.arm || 'legacy'), arm: body.arm || 'legacy', session: sessions.open(body), study: req.studyConfig, locale: req.locale });
+    result.meta = { ...result.meta, sections_present: req.payloadSections };
+    logNudgeEvent(req, { route: '/nudge', arm: body.arm || 'legacy', startedAt, trace, nudge: result });
     res.json(result);
   } catch (error) {
     console.error('Server error:', error);
-    res.status(500).json({
+    const result = {
       model: 'error',
       suggestion_html: '<div>Unable to generate nudge at this time.</div>',
       suggestion_text: 'Unable to generate nudge at this time.',
       meta: { error: error.message, received_at: Date.now() }
+    };
+    logNudgeEvent(req, { route: '/nudge', arm: req.body?.arm || 'legacy', startedAt, trace, nudge: result });
+    res.status(500).json(result);
+  }
+});
+
+// Assign (or look up) a participant's treatment arm
+nudgeRoutes.post('/assign', access.middleware, validatePayload('assign'), studies.selectStudy, (req, res) => {
+  try {
+    const body = req.body;
+    const assignment = studies.assignerFor(req.studyConfig).assign(body.participant_id, body);
+    console.log('Arm assignment:', {
+      study: req.studyConfig.id,
+      participant_id: assignment.participant_id,
+      arm: assignment.arm,
+      stratum: assignment.stratum,
+      sticky: assignment.sticky
+    });
+
+    res.json({ ...assignment, study: req.studyConfig.id });
+  } catch (error) {
+    console.error('Assignment error:', error);
+    res.status(500).json({ error: 'Arm assignment failed' });
+  }
+});
+
+// Unified nudge endpoint: routes on the participant's server-assigned arm
+nudgeRoutes.post('/study-nudge', access.middleware, validatePayload('personalized'), studies.selectStudy, selectLocale, async (req, res) => {
+  const startedAt = Date.now();
+  const trace = {};
+  let arm = null;
+  try {
+    const body = req.body || {};
+    if (!body.participant_id) {
+      return res.status(400).json({ error: 'participant_id is required' });
+    }
+
+    const study = req.studyConfig;
+    const assigner = studies.assignerFor(study);
+    const assignment = assigner.assign(String(body.participant_id), body);
+    arm = assignment.arm;
+    const armType = assigner.armType(arm);
+    if (!armType) {
+      return res.status(409).json({ error: `Assigned arm "${arm}" is no longer configured for this study` });
+    }
+
+    console.log('Received study nudge request:', {
+      symbol: body.sym,
+      side: body.exec?.side,
+      qty: body.exec?.qty,
+      arm,
+      arm_type: armType
     });
+
+    let nudge;
+    if (armType === 'none') nudge = buildControlResponse();
+    else if (armType === 'generic') nudge = await generateGenericNudge(body, { trace, promptVersion: promptVersionFor(study, arm), arm, study, locale: req.locale });
+    else if (armType === 'rule-based') nudge = buildRuleBasedNudge(body, { arm, study, locale: req.locale });
+    else nudge = await generatePersonalizedNudge(body, { trace, promptVersion: promptVersionFor(study, arm), arm, session: sessions.open(body), study, locale: req.locale });
+    nudge.meta = { ...nudge.meta, arm, arm_type: armType, sections_present: req.payloadSections };
+    logNudgeEvent(req, { route: '/study-nudge', arm, startedAt, trace, nudge });
+    res.json(nudge);
+  } catch (error) {
+    console.error('Study nudge error:', error);
+    logNudgeEvent(req, { route: '/study-nudge', arm, startedAt, trace, nudge: { model: 'error', meta: { error: error.message } } });
+    res.status(500).json({ error: 'Study nudge generation failed' });
   }
 });
 
+// Post-trade reflection after a scenario ends: { trades: [{ side, qty, price, sym, realized_pl }], trajectory, portfolio, profile }
+nudgeRoutes.post('/reflection', access.middleware, validatePayload('reflection'), studies.selectStudy, selectLocale, async (req, res) => {
+  const startedAt = Date.now();
+  const trace = {};
+  try {
+    const body = req.body;
+    console.log('Received reflection request:', {
+      trades: body.trades.length,
+      trajectory_points: body.trajectory?.length ?? 0,
+      has_portfolio: !!body.portfolio,
+      cct_score: body.profile?.cct_score,
+      ...privacy.forLog(body)
+    });
+
+    const reflection = await generateReflection(body, { trace, promptVersion: promptVersionFor(req.studyConfig, 'reflection'), study: req.studyConfig, locale: req.locale });
+    reflection.meta = { ...reflection.meta, sections_present: req.payloadSections };
+    logNudgeEvent(req, { route: '/reflection', arm: 'reflection', startedAt, trace, nudge: reflection });
+    res.json(reflection);
+  } catch (error) {
+    console.error('Reflection error:', error);
+    logNudgeEvent(req, { route: '/reflection', arm: 'reflection', startedAt, trace, nudge: { model: 'error', meta: { error: error.message } } });
+    res.status(500).json({ error: 'Reflection generation failed' });
+  }
+});
+
+// Report what the participant did after a nudge: { nudge_id, decision, changes, time_to_decision_ms, realized_pnl }
+nudgeRoutes.post('/nudge-outcome', access.middleware, validatePayload('outcome'), async (req, res) => {
+  try {
+    const body = req.body;
+    const problems = outcomeProblems(body);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid request payload', details: problems });
+    }
+
+    const nudge = await findNudge(body.nudge_id);
+    // A study key only reaches its own study's nudges
+    if (!nudge || (req.study && nudge.study !== req.study)) {
+      return res.status(404).json({ error: 'Nudge not found' });
+    }
+
+    const entry = outcomeLog.record(outcomeRecord(body, nudge));
+    console.log('Nudge outcome:', { nudge_id: entry.nudge_id, arm: entry.arm, decision: entry.decision, changed_fields: entry.changed_fields });
+    res.json({ nudge_id: entry.nudge_id, outcome_id: entry.event_id, recorded: true });
+  } catch (error) {
+    console.error('Nudge outcome error:', error);
+    res.status(500).json({ error: 'Outcome recording failed' });
+  }
+});
+
+// Inspect a participant session (trades, outcomes, prior nudges)
+app.get('/sessions/:id', requireAdminToken, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(session);
+});
+
+// Reset a participant session
+app.delete('/sessions/:id', requireAdminToken, (req, res) => {
+  try {
+    if (!sessions.reset(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ session_id: req.params.id, reset: true });
+  } catch (error) {
+    console.error('Session reset error:', error);
+    res.status(500).json({ error: 'Session reset failed' });
+  }
+});
+
+// Generate and store cached nudges for every scenario x arm x CCT bucket combination.
+// Body: { scenarios: [payload, ...], study?: id, locale?: code, arms?: [arm name, ...], buckets?: [...], refresh?: bool }
+app.post('/cache/warm', requireAdminToken, async (req, res) => {
+  try {
+    const { scenarios, refresh = false } = req.body || {};
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      return res.status(400).json({ error: 'scenarios must be a non-empty array of nudge payloads' });
+    }
+    const study = req.body.study ? studies.get(req.body.study) : studies.builtIn;
+    if (!study) {
+      return res.status(404).json({ error: `Unknown study "${req.body.study}"` });
+    }
+    const locale = locales.resolve(req.body.locale || study.locale);
+    if (!locale) {
+      return res.status(400).json({ error: `No translation for locale "${req.body.locale}"` });
+    }
+    const assigner = studies.assignerFor(study);
+    const arms = req.body.arms || assigner.config.arms.filter((a) => ['generic', 'enhanced'].includes(a.type)).map((a) => a.name);
+    const buckets = req.body.buckets || RISK_LEVELS.map((r) => r.level);
+    const summary = { generated: 0, skipped: 0, failed: [] };
+
+    for (const [index, payload] of scenarios.entries()) {
+      for (const arm of arms) {
+        const armType = assigner.armType(arm) || arm;
+        if (!['generic', 'enhanced'].includes(armType)) {
+          summary.failed.push({ scenario: index, arm, error: `arm type "${armType}" is not cacheable` });
+          continue;
+        }
+        const kind = armType === 'generic' ? 'generic' : 'personalized';
+        const promptVersion = promptVersionFor(study, arm);
+        const { value, errors } = normalizePayload(kind, payload);
+        if (errors.length > 0) {
+          summary.failed.push({ scenario: index, arm, error: 'invalid payload', details: errors });
+          continue;
+        }
+
+        const variants = kind === 'generic' ? [{ body: value, bucket: null }] : buckets.map((bucket) => ({ body: { ...value, profile: representativeProfile(bucket) }, bucket }));
+        for (const { body, bucket } of variants) {
+          const { key, fields } = fingerprint(body, { kind, promptVersion, study: study.id, locale });
+          if (!refresh && nudgeCache.get(key)) {
+            summary.skipped++;
+            continue;
+          }
+          const options = { trace: {}, promptVersion, arm, useCache: false, forCache: true, study, locale };
+          const nudge = kind === 'generic' ? await generateGenericNudge(body, options) : await generatePersonalizedNudge(body, options);
+          if (nudge.meta.fallback) {
+            summary.failed.push({ scenario: index, arm, bucket, error: nudge.meta.error });
+            continue;
+          }
+          nudgeCache.set(key, {
+            kind,
+            fields,
+            text: nudge.suggestion_text,
+            provider: nudge.meta.provider,
+            model: nudge.model,
+            prompt_version: nudge.meta.prompt_version,
+            prompt_hash: nudge.meta.prompt_hash,
+            bias_selected: nudge.meta.bias_selected ?? null,
+            bias_rule_fired: nudge.meta.bias_rule_fired ?? null
+          });
+          summary.generated++;
+        }
+      }
+    }
+
+    console.log('Nudge cache warm-up:', { generated: summary.generated, skipped: summary.skipped, failed: summary.failed.length });
+    res.json({ ...summary, entries: nudgeCache.size() });
+  } catch (error) {
+    console.error('Cache warm-up error:', error);
+    res.status(500).json({ error: 'Cache warm-up failed' });
+  }
+});
+
+// Most payloads one replay may run (each is generated twice)
+const REPLAY_MAX_RECORDS = Number(process.env.REPLAY_MAX_RECORDS || 200);
+
+const invalidReplay = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Provider for a replay configuration: the server's settings unless provider, model or seed is given.
+// Endpoints and keys always come from the environment (LLM_BASE_URL, LLM_API_KEY). Always a separate
+// resilient provider, so replay failures never move the live circuit breaker.
+function replayProvider(config) {
+  const base = loadProviderConfig();
+  try {
+    return createResilientProvider(createProvider({
+      ...base,
+      provider: config.provider || base.provider,
+      model: config.model || base.model,
+      seed: config.seed ?? base.seed
+    }));
+  } catch (error) {
+    throw invalidReplay(error.message);
+  }
+}
+
+// Runs NDJSON request bodies through the generators under a baseline and a candidate configuration
+// ({ prompt_version, provider, model, seed }; unset fields use the server's settings) and returns the
+// comparison from lib/replay. Nothing is cached, logged or stored in participant sessions.
+async function replay(text, { kind = 'personalized', study: studyId = null, baseline = {}, candidate = {} } = {}) {
+  const study = studyId ? studies.get(studyId) : studies.builtIn;
+  if (!study) throw invalidReplay(`Unknown study "${studyId}"`);
+  if (!REPLAY_KINDS.includes(kind)) throw invalidReplay(`kind must be one of ${REPLAY_KINDS.join(', ')}`);
+  const configs = [baseline, candidate].map(({ prompt_version = null, provider = null, model = null, seed = null }) => ({ prompt_version, provider, model, seed }));
+  const unknownVersion = configs.find((c) => c.prompt_version && !prompts.versions.has(c.prompt_version));
+  if (unknownVersion) throw invalidReplay(`Prompt version "${unknownVersion.prompt_version}" not found`);
+  const providers = new Map(configs.map((config) => [config, replayProvider(config)]));
+
+  const { records, errors } = parseReplayFile(text, { kind });
+  if (records.length === 0) throw invalidReplay('No request bodies to replay');
+  if (records.length > REPLAY_MAX_RECORDS) throw invalidReplay(`At most ${REPLAY_MAX_RECORDS} request bodies per replay (got ${records.length})`);
+
+  async function generate(record, config) {
+    const { value, errors: problems } = normalizePayload(record.kind, record.body);
+    if (problems.length > 0) throw new Error(`invalid payload: ${problems.map((p) => `${p.field} ${p.message}`).join('; ')}`);
+    const locale = locales.resolve(value.locale || study.locale);
+    if (!locale) throw new Error(`no translation for locale "${value.locale}"`);
+    const arm = record.kind === 'generic' ? 'generic' : 'enhanced';
+    const options = {
+      trace: {},
+      promptVersion: config.prompt_version || promptVersionFor(study, arm),
+      arm,
+      useCache: false,
+      study,
+      locale,
+      provider: providers.get(config)
+    };
+    return record.kind === 'generic' ? generateGenericNudge(value, options) : generatePersonalizedNudge(value, options);
+  }
+
+  const result = await runReplay(records, { baseline: configs[0], candidate: configs[1], generate });
+  return { study: study.id, ...result, skipped: errors };
+}
+
+// Replay an NDJSON file of request bodies and compare candidate against baseline settings.
+// Query: prompt_version, provider, model, seed (candidate), the same with a baseline_ prefix,
+// kind=personalized|generic, study, format=json|text
+app.post('/replay', requireAdminToken, express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  const pick = (prefix) => ({
+    prompt_version: req.query[`${prefix}prompt_version`],
+    provider: req.query[`${prefix}provider`],
+    model: req.query[`${prefix}model`],
+    seed: req.query[`${prefix}seed`]
+  });
+  if (typeof req.body !== 'string') {
+    return res.status(415).json({ error: 'Send the request bodies as application/x-ndjson' });
+  }
+  try {
+    const result = await replay(req.body, { kind: req.query.kind, study: req.query.study, baseline: pick('baseline_'), candidate: pick('') });
+    console.log('Replay:', { records: result.summary.records, text_changed: result.summary.text_changed, candidate: result.candidate });
+    if (req.query.format === 'text') return res.type('text/plain').send(formatReport(result, { errors: result.skipped }));
+    res.json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Replay error:', error);
+    res.status(500).json({ error: 'Replay failed' });
+  }
+});
+
+// Export endpoints require EXPORT_TOKEN as a bearer token
+function requireExportToken(req, res, next) {
+  const token = process.env.EXPORT_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Export disabled: EXPORT_TOKEN not set' });
+  }
+  if (req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+function exportFilters(query) {
+  return {
+    from: query.from,
+    to: query.to,
+    session_id: query.session_id,
+    arm: query.arm
+  };
+}
+
+// Stream the event log as NDJSON (?from=&to=&session_id=&arm=)
+app.get('/export/ndjson', requireExportToken, async (req, res) => {
+  try {
+    res.type('application/x-ndjson');
+    for await (const event of eventLog.read(exportFilters(req.query))) {
+      res.write(JSON.stringify(event) + '\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Export error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Export failed' });
+    else res.end();
+  }
+});
+
+// Stream the event log as CSV (same filters; nested fields are JSON-encoded)
+app.get('/export/csv', requireExportToken, async (req, res) => {
+  try {
+    res.type('text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="nudge-events.csv"');
+    res.write(CSV_COLUMNS.join(',') + '\n');
+    for await (const event of eventLog.read(exportFilters(req.query))) {
+      res.write(toCsvRow(event) + '\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Export error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Export failed' });
+    else res.end();
+  }
+});
+
+// Nudges joined with their reported outcomes as NDJSON (same filters; nudges without an outcome are left out)
+app.get('/export/outcomes', requireExportToken, async (req, res) => {
+  try {
+    const outcomes = createOutcomeAggregator();
+    for await (const report of outcomeLog.read()) outcomes.addReport(report);
+    res.type('application/x-ndjson');
+    for await (const event of eventLog.read(exportFilters(req.query))) {
+      const outcome = outcomes.outcomeFor(event.event_id);
+      if (outcome) res.write(JSON.stringify(joinedRow(event, outcome)) + '\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Export error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Export failed' });
+    else res.end();
+  }
+});
+
+// Admin endpoints require ADMIN_TOKEN as a bearer token
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin disabled: ADMIN_TOKEN not set' });
+  }
+  if (req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Size of the recent-nudges list from a query value: 20 when missing or not a number, at most 500
+function recentLimit(value) {
+  const n = Math.floor(Number(value || 20));
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, 500) : 20;
+}
+
+// Study statistics from the event log (?from=&to=&arm=&session_id=&interval=hour|day&recent=20)
+app.get('/admin/stats', requireAdminToken, async (req, res) => {
+  let stats;
+  try {
+    stats = createStatsAggregator({ interval: req.query.interval || 'hour', recentLimit: recentLimit(req.query.recent) });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    for await (const event of eventLog.read(exportFilters(req.query))) stats.add(event);
+    res.json(stats.result());
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ error: 'Stats computation failed' });
+  }
+});
+
+// Most recent nudges served (?limit=20, same filters as /admin/stats)
+app.get('/admin/recent', requireAdminToken, async (req, res) => {
+  try {
+    const stats = createStatsAggregator({ recentLimit: recentLimit(req.query.limit) });
+    for await (const event of eventLog.read(exportFilters(req.query))) stats.add(event);
+    res.json(stats.result().recent);
+  } catch (error) {
+    console.error('Admin recent error:', error);
+    res.status(500).json({ error: 'Recent feed failed' });
+  }
+});
+
+// Outcome rates per arm and per targeted bias, over the nudges matching the filters (?from=&to=&arm=&session_id=)
+app.get('/nudge-outcome', requireAdminToken, async (req, res) => {
+  try {
+    const outcomes = createOutcomeAggregator();
+    for await (const report of outcomeLog.read()) outcomes.addReport(report);
+    for await (const event of eventLog.read(exportFilters(req.query))) {
+      // Aborted streams never reached the participant
+      if (event.model !== 'aborted') outcomes.addNudge(event);
+    }
+    res.json(outcomes.result());
+  } catch (error) {
+    console.error('Outcome stats error:', error);
+    res.status(500).json({ error: 'Outcome stats failed' });
+  }
+});
+
+// Active study configurations (arms, categories, prompt versions, model parameters, fallback)
+app.get('/studies', requireAdminToken, (req, res) => {
+  res.json({ ...studies.info(), configs: studies.list() });
+});
+
+// Contract for the participant-facing routes and the drop-in Qualtrics client, both generated from
+// the request schemas at startup
+const openApiDocument = buildOpenApiDocument({ version: SERVER_VERSION, studyKeys: access.enabled });
+const clientScript = createClientScript({ version: SERVER_VERSION });
+
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Revalidated on every load (ETag), so surveys pick up a new server release without editing the survey
+app.get('/client.js', (req, res) => {
+  res.type('application/javascript');
+  res.set({ 'Cache-Control': 'no-cache', 'X-Client-Version': clientScript.version });
+  res.send(clientScript.source);
+});
+
+// Admin page: a static shell holding no data; it asks for the admin token and calls /admin/stats
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: Date.now(),
-    hasOpenAI: !!process.env.OPENAI_API_KEY
+    hasOpenAI: !!process.env.OPENAI_API_KEY,
+    provider: llm.name,
+    model: llm.model,
+    circuit_breaker: llm.breaker.stats(),
+    nudge_cache: { mode: nudgeCache.mode, entries: nudgeCache.size() },
+    studies: studies.info(),
+    locales: locales.codes,
+    privacy_policy: privacy.policy.version || null,
+    prompt_versions: [...prompts.versions.keys()],
+    default_prompt_version: prompts.defaultVersion
   });
 });
 
-const port = process.env.PORT || 8787;
-app.listen(port, () => {
-  console.log(`AI Nudge server listening on http://localhost:${port}/nudge`);
-  console.log(`Health check: http://localhost:${port}/health`);
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn('⚠️  OPENAI_API_KEY not set - will use fallback rule-based nudges');
-  } else {
-    console.log('✅ OpenAI API key found - GPT-powered nudges enabled');
+// Malformed JSON bodies get the same structured 400 as schema errors
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid request payload', details: [{ field: '(body)', message: 'must be valid JSON' }] });
+  }
+  next(error);
+});
+
+// Writes pending sessions, assignments and log lines; sessions and assignments are saved in the
+// background, so this runs before shutdown
+function flushState() {
+  return Promise.all([sessions.flush(), studies.flush(), eventLog.flush(), outcomeLog.flush()]);
+}
+
+// Exported for the test suite (test/), which drives the app without listening on PORT, and for
+// scripts/replay.js, which replays payloads in-process
+module.exports = { app, llm, generatePersonalizedNudge, generateGenericNudge, generateReflection, streamWithGuardrails, replay, flushState };
+
+if (require.main === module) {
+  const port = process.env.PORT || 8787;
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, async () => {
+      await flushState();
+      process.exit(0);
+    });
   }
-});
\ No newline at end of file
+  app.listen(port, () => {
+    console.log(`AI Nudge server listening on http://localhost:${port}/nudge`);
+    console.log(`Health check: http://localhost:${port}/health`);
+    if (privacy.config.retentionDays) {
+      scheduleRetention(privacy.config.retentionDays, async (cutoff) => ({
+        events: await eventLog.purgeBefore(cutoff),
+        outcomes: await outcomeLog.purgeBefore(cutoff),
+        sessions: sessions.purgeBefore(cutoff),
+        assignments: studies.purgeBefore(cutoff)
+      }));
+    }
+    if (!privacy.config.policyPath) {
+      console.warn('⚠️  PRIVACY_POLICY_PATH not set - all participant fields are sent to the model and logged');
+    }
+    if (!access.enabled) {
+      console.warn('⚠️  STUDY_API_KEYS not set - nudge endpoints accept requests without a study key');
+    }
+    if (access.config.allowedOrigins.length === 0) {
+      console.warn('⚠️  ALLOWED_ORIGINS not set - any origin may call the nudge endpoints');
+    }
+    if (!llm.configured) {
+      console.warn('⚠️  OPENAI_API_KEY not set - will use fallback rule-based nudges');
+    } else {
+      console.log(`✅ LLM provider ${llm.name} (${llm.model}) enabled`);
+    }
+  });
+}
@@ -0,0 +1,167 @@
+// AI nudge client for Qualtrics, served by the nudge server at GET /client.js.
+//
+// In the survey header: <script src="https://<server>/client.js"></script>
+// In the question's JavaScript:
+//   Qualtrics.SurveyEngine.addOnReady(function () {
+//     NudgeClient.show(this, { target: '#nudge', studyKey: 'k3y-1' });
+//   });
+// and after the order is placed: NudgeClient.reportDecision('submitted');
+//
+// Payload fields are read from embedded data named after their payload path with underscores
+// (exec.side → exec_side, profile.cct → profile_cct); object and array fields hold JSON.
+(function () {
+  'use strict';
+
+  const VERSION = '__CLIENT_VERSION__';
+  // Filled in by the server from lib/schema.js: request schema per route, and its payload fields
+  const ROUTE_SCHEMAS = /*__ROUTE_SCHEMAS__*/ {};
+  const SCHEMA_FIELDS = /*__SCHEMA_FIELDS__*/ {};
+
+  const script = document.currentScript;
+  const DEFAULTS = {
+    baseUrl: script && script.src ? new URL(script.src).origin : '',
+    route: '/study-nudge',
+    studyId: null,
+    studyKey: null,
+    target: '#nudge',
+    timeoutMs: 8000,
+    // Payload path → embedded data name, for fields named differently in the survey
+    fieldNames: {},
+    // Extra payload fields (object, or function returning one) applied over embedded data
+    payload: null,
+    fallbackHtml: '',
+    reportDisplay: true,
+    onResult: null
+  };
+
+  // Last nudge shown on this page; also kept in embedded data for later pages
+  let last = null;
+
+  function engine() {
+    return window.Qualtrics && window.Qualtrics.SurveyEngine;
+  }
+
+  function getEmbedded(name) {
+    const se = engine();
+    return se && se.getEmbeddedData ? se.getEmbeddedData(name) : null;
+  }
+
+  function setEmbedded(name, value) {
+    const se = engine();
+    if (se && se.setEmbeddedData) se.setEmbeddedData(name, value === null || value === undefined ? '' : String(value));
+  }
+
+  function setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach((key) => {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  }
+
+  // Numbers and flags are sent as strings; the server coerces them
+  function buildPayload(options) {
+    const payload = {};
+    (SCHEMA_FIELDS[ROUTE_SCHEMAS[options.route]] || []).forEach((field) => {
+      const raw = getEmbedded(options.fieldNames[field.path] || field.path.replace(/\./g, '_'));
+      if (raw === null || raw === undefined || raw === '') return;
+      if (!field.json) return setPath(payload, field.path, raw);
+      try {
+        setPath(payload, field.path, typeof raw === 'string' ? JSON.parse(raw) : raw);
+      } catch (error) {
+        console.warn('NudgeClient: embedded data for ' + field.path + ' is not valid JSON');
+      }
+    });
+    const extra = typeof options.payload === 'function' ? options.payload(payload) : options.payload;
+    return Object.assign(payload, extra || {});
+  }
+
+  function url(options, route) {
+    return options.baseUrl + (options.studyId ? '/studies/' + encodeURIComponent(options.studyId) : '') + route;
+  }
+
+  async function post(options, route, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+    const headers = { 'Content-Type': 'application/json', 'X-Nudge-Client': VERSION };
+    if (options.studyKey) headers['X-Study-Key'] = options.studyKey;
+    try {
+      const response = await fetch(url(options, route), { method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(result.error || 'HTTP ' + response.status);
+      return result;
+    } catch (error) {
+      throw error.name === 'AbortError' ? new Error('Timed out after ' + options.timeoutMs + ' ms') : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function element(target) {
+    return typeof target === 'string' ? document.querySelector(target) : target;
+  }
+
+  // Requests a nudge and renders its suggestion_html in `target`. `question` is the Qualtrics
+  // question (`this`); its Next button is disabled until the nudge is shown. Resolves to the nudge,
+  // or null after a failure, when `fallbackHtml` is shown and `nudge_error` is set.
+  async function show(question, options) {
+    if (!question || typeof question.disableNextButton !== 'function') {
+      options = question;
+      question = null;
+    }
+    options = Object.assign({}, DEFAULTS, options);
+    const el = element(options.target);
+    const startedAt = Date.now();
+    if (question) question.disableNextButton();
+
+    let nudge = null;
+    let failure = null;
+    try {
+      nudge = await post(options, options.route, buildPayload(options));
+      if (el) el.innerHTML = nudge.suggestion_html || '';
+      const displayedAt = Date.now();
+      last = { nudgeId: nudge.nudge_id || null, displayedAt, options };
+      setEmbedded('nudge_id', nudge.nudge_id);
+      setEmbedded('nudge_model', nudge.model);
+      setEmbedded('nudge_displayed_at', displayedAt);
+      setEmbedded('nudge_time_to_display_ms', displayedAt - startedAt);
+      if (options.reportDisplay && nudge.nudge_id) {
+        post(options, '/nudge-outcome', { nudge_id: nudge.nudge_id, time_to_display_ms: displayedAt - startedAt })
+          .catch((error) => console.warn('NudgeClient: display report failed:', error.message));
+      }
+    } catch (error) {
+      failure = error;
+      nudge = null;
+      console.warn('NudgeClient: nudge request failed:', error.message);
+      if (el) el.innerHTML = options.fallbackHtml;
+      setEmbedded('nudge_error', error.message);
+    } finally {
+      if (question) question.enableNextButton();
+    }
+
+    if (typeof options.onResult === 'function') options.onResult(nudge, failure);
+    return nudge;
+  }
+
+  // Reports the participant's decision on the last nudge shown, on this page or an earlier one.
+  // `details` may carry changes, realized_pnl, or options such as studyKey for a later page.
+  function reportDecision(decision, details) {
+    details = details || {};
+    const nudgeId = last ? last.nudgeId : getEmbedded('nudge_id');
+    if (!nudgeId) return Promise.resolve(null);
+    const displayedAt = last ? last.displayedAt : Number(getEmbedded('nudge_displayed_at'));
+    const options = Object.assign({}, DEFAULTS, last ? last.options : {}, details.options);
+    const report = { nudge_id: nudgeId, decision };
+    if (details.changes) report.changes = details.changes;
+    if (details.realized_pnl !== undefined) report.realized_pnl = details.realized_pnl;
+    if (displayedAt) report.time_to_decision_ms = Date.now() - displayedAt;
+    return post(options, '/nudge-outcome', report).catch((error) => {
+      console.warn('NudgeClient: outcome report failed:', error.message);
+      return null;
+    });
+  }
+
+  window.NudgeClient = { version: VERSION, defaults: DEFAULTS, show, reportDecision, buildPayload: (options) => buildPayload(Object.assign({}, DEFAULTS, options)) };
+})();
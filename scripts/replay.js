@@ -0,0 +1,53 @@
+// Replay logged request bodies under a candidate prompt version/provider/model/seed and compare the
+// nudges with the baseline (the server's settings unless --baseline-* options are given).
+// Usage: node scripts/replay.js <payloads.ndjson> [--prompt-version v2] [--provider stub] [--model name] [--seed 42]
+//          [--baseline-prompt-version v1] [--baseline-provider ...] [--baseline-model ...] [--baseline-seed ...]
+//          [--kind personalized|generic] [--study pilot] [--json report.json]
+// Runs in-process with the server's configuration (LLM_*, PROMPTS_DIR, STUDIES_PATH); with
+// --provider stub and --baseline-provider stub it needs no network or API key.
+const fs = require('fs');
+
+const CONFIG_FLAGS = { '--prompt-version': 'prompt_version', '--provider': 'provider', '--model': 'model', '--seed': 'seed' };
+
+function parseArgs(argv) {
+  const args = { file: null, kind: 'personalized', study: null, json: null, baseline: {}, candidate: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (CONFIG_FLAGS[arg]) args.candidate[CONFIG_FLAGS[arg]] = argv[++i];
+    else if (arg.startsWith('--baseline-') && CONFIG_FLAGS[arg.replace('--baseline-', '--')]) args.baseline[CONFIG_FLAGS[arg.replace('--baseline-', '--')]] = argv[++i];
+    else if (arg === '--kind') args.kind = argv[++i];
+    else if (arg === '--study') args.study = argv[++i];
+    else if (arg === '--json') args.json = argv[++i];
+    else args.file = arg;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node scripts/replay.js <payloads.ndjson> [--prompt-version v] [--provider p] [--model m] [--seed n] [--baseline-...] [--kind k] [--study id] [--json out]');
+    process.exit(1);
+  }
+
+  // Loaded after argument checks: the server reads its configuration at require time
+  const { replay } = require('../mock-nudge-server');
+  const { formatReport } = require('../lib/replay');
+
+  const result = await replay(fs.readFileSync(args.file, 'utf8'), {
+    kind: args.kind,
+    study: args.study,
+    baseline: args.baseline,
+    candidate: args.candidate
+  });
+  process.stdout.write(formatReport(result, { errors: result.skipped }));
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(result, null, 2));
+    console.log(`\nFull report written to ${args.json}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Replay error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// Warm the nudge cache on a running server
+// Usage: node scripts/warm-cache.js <scenarios.json> [--url http://localhost:8787] [--study pilot] [--locale es] [--arms generic,enhanced] [--buckets low,moderate] [--refresh]
+// Requires ADMIN_TOKEN (the same token the server was started with).
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+function parseArgs(argv) {
+  const args = { file: null, url: process.env.NUDGE_SERVER_URL || 'http://localhost:8787', refresh: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--study') args.study = argv[++i];
+    else if (arg === '--locale') args.locale = argv[++i];
+    else if (arg === '--arms') args.arms = argv[++i].split(',');
+    else if (arg === '--buckets') args.buckets = argv[++i].split(',');
+    else if (arg === '--refresh') args.refresh = true;
+    else args.file = arg;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node scripts/warm-cache.js <scenarios.json> [--url URL] [--study id] [--locale code] [--arms a,b] [--buckets x,y] [--refresh]');
+    process.exit(1);
+  }
+  if (!process.env.ADMIN_TOKEN) {
+    console.error('ADMIN_TOKEN must be set');
+    process.exit(1);
+  }
+
+  const scenarios = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  console.log(`Warming ${args.url} with ${scenarios.length} scenario(s)...`);
+
+  const response = await fetch(`${args.url.replace(/\/$/, '')}/cache/warm`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${process.env.ADMIN_TOKEN}`
+    },
+    body: JSON.stringify({ scenarios, study: args.study, locale: args.locale, arms: args.arms, buckets: args.buckets, refresh: args.refresh })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    console.error(`Warm-up failed (${response.status}):`, result.error);
+    process.exit(1);
+  }
+
+  console.log(`Generated ${result.generated}, skipped ${result.skipped} (already cached), ${result.failed.length} failed; ${result.entries} entries in cache`);
+  result.failed.forEach((f) => console.warn('  failed:', JSON.stringify(f)));
+  if (result.failed.length > 0) process.exitCode = 2;
+}
+
+main().catch((error) => {
+  console.error('Warm-up error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+// Access control: lib/access.js units, then the middleware on a server with study keys, an origin
+// allowlist and a low participant rate limit
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAccessConfig, createRateLimiter, redactHeaders, createAccessControl } = require('../lib/access');
+const { startTestServer } = require('./helpers/server');
+const { BASIC_PAYLOAD } = require('./helpers/fixtures');
+
+// Runs one middleware against a minimal Express-like response; `passed` is whether it called next()
+function call(middleware, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+describe('access configuration', () => {
+  it('parses study keys and rejects malformed entries', () => {
+    const config = loadAccessConfig({ STUDY_API_KEYS: 'pilot:k3y-1, main:a:b', ALLOWED_ORIGINS: 'https://*.qualtrics.com,https://example.edu' });
+    assert.deepEqual(config.keys, [{ study: 'pilot', key: 'k3y-1' }, { study: 'main', key: 'a:b' }]);
+    assert.deepEqual(config.allowedOrigins, ['https://*.qualtrics.com', 'https://example.edu']);
+    assert.throws(() => loadAccessConfig({ STUDY_API_KEYS: 'nokey' }), /must be study:key/);
+    assert.throws(() => loadAccessConfig({ STUDY_API_KEYS: 'pilot:' }), /must be study:key/);
+  });
+
+  it('matches wildcard subdomains and exact origins only', () => {
+    const access = createAccessControl(loadAccessConfig({ ALLOWED_ORIGINS: 'https://*.qualtrics.com,https://example.edu' }));
+    assert.equal(access.isAllowedOrigin('https://uni.eu.qualtrics.com'), true);
+    assert.equal(access.isAllowedOrigin('https://example.edu'), true);
+    assert.equal(access.isAllowedOrigin('https://qualtrics.com'), false);
+    assert.equal(access.isAllowedOrigin('https://evil-qualtrics.com'), false);
+    assert.equal(access.isAllowedOrigin('https://uni.qualtrics.com.evil.net'), false);
+    assert.equal(access.isAllowedOrigin('http://example.edu'), false);
+  });
+
+  it('allows any origin without an allowlist', () => {
+    assert.equal(createAccessControl(loadAccessConfig({})).isAllowedOrigin('https://anything.test'), true);
+  });
+
+  it('counts hits per key in fixed windows', async () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 30 });
+    assert.deepEqual([1, 2, 3].map(() => limiter.hit('a').allowed), [true, true, false]);
+    assert.equal(limiter.hit('b').remaining, 1);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(limiter.hit('a').allowed, true);
+  });
+
+  it('limits each study key across participants', () => {
+    const access = createAccessControl(loadAccessConfig({ STUDY_API_KEYS: 'pilot:k3y-1', RATE_LIMIT_PER_KEY: '2' }));
+    const [, requireStudyKey, rateLimit] = access.middleware;
+    const request = (participant) => ({ get: (name) => (name === 'x-study-key' ? 'k3y-1' : undefined), body: { participant_id: participant }, ip: '127.0.0.1' });
+
+    const results = ['R_1', 'R_2', 'R_3'].map((participant) => {
+      const req = request(participant);
+      assert.equal(call(requireStudyKey, req).passed, true);
+      assert.equal(req.study, 'pilot');
+      return call(rateLimit, req);
+    });
+    assert.deepEqual(results.map((r) => r.passed), [true, true, false]);
+    assert.equal(results[2].res.statusCode, 429);
+    assert.equal(results[2].res.body.scope, 'key');
+  });
+
+  it('masks credentials in logged headers', () => {
+    assert.deepEqual(redactHeaders({ 'X-Study-Key': 'k3y-1', Authorization: 'Bearer t', 'content-type': 'application/json' }), {
+      'X-Study-Key': '[redacted]',
+      Authorization: '[redacted]',
+      'content-type': 'application/json'
+    });
+  });
+});
+
+describe('access middleware', () => {
+  let server;
+  const key = { 'X-Study-Key': 'k3y-1' };
+
+  before(async () => {
+    server = await startTestServer({
+      STUDY_API_KEYS: 'pilot:k3y-1',
+      ALLOWED_ORIGINS: 'https://*.qualtrics.com',
+      RATE_LIMIT_PER_PARTICIPANT: '3'
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('requires a valid study key', async () => {
+    const missing = await server.post('/rule-based-nudge', BASIC_PAYLOAD);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, 'Missing X-Study-Key header');
+
+    const invalid = await server.post('/rule-based-nudge', BASIC_PAYLOAD, { 'X-Study-Key': 'wrong' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.error, 'Invalid study key');
+
+    const ok = await server.post('/rule-based-nudge', { ...BASIC_PAYLOAD, participant_id: 'R_key' }, key);
+    assert.equal(ok.status, 200);
+  });
+
+  it('refuses origins outside the allowlist', async () => {
+    const refused = await server.post('/rule-based-nudge', { ...BASIC_PAYLOAD, participant_id: 'R_origin' }, { ...key, Origin: 'https://evil.example' });
+    assert.equal(refused.status, 403);
+    assert.deepEqual(refused.body, { error: 'Origin not allowed', origin: 'https://evil.example' });
+
+    const response = await fetch(`${server.baseURL}/rule-based-nudge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Origin: 'https://uni.qualtrics.com', ...key },
+      body: JSON.stringify({ ...BASIC_PAYLOAD, participant_id: 'R_origin' })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), 'https://uni.qualtrics.com');
+  });
+
+  it('rate-limits each participant with Retry-After', async () => {
+    const body = { ...BASIC_PAYLOAD, participant_id: 'R_busy' };
+    for (let i = 0; i < 3; i++) assert.equal((await server.post('/rule-based-nudge', body, key)).status, 200);
+
+    const response = await fetch(`${server.baseURL}/rule-based-nudge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...key },
+      body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) >= 1);
+    const limited = await response.json();
+    assert.equal(limited.scope, 'participant');
+    assert.equal(limited.limit, 3);
+
+    // Other participants keep their own budget
+    assert.equal((await server.post('/rule-based-nudge', { ...BASIC_PAYLOAD, participant_id: 'R_other' }, key)).status, 200);
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArms, loadAssignmentConfig, createAssigner } = require('../lib/assignment');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assignment-'));
+let files = 0;
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function assigner(env = {}) {
+  return createAssigner(loadAssignmentConfig({ ASSIGNMENT_PATH: path.join(dir, `assignments-${files++}.json`), ...env }));
+}
+
+const count = (arms) => arms.reduce((counts, arm) => ({ ...counts, [arm]: (counts[arm] || 0) + 1 }), {});
+
+describe('arm configuration', () => {
+  it('parses arm names and types', () => {
+    assert.deepEqual(parseArms('control, generic,rules:rule-based'), [
+      { name: 'control', type: 'none' },
+      { name: 'generic', type: 'generic' },
+      { name: 'rules', type: 'rule-based' }
+    ]);
+    assert.throws(() => parseArms('control,fancy'), /unknown type "fancy"/);
+  });
+
+  it('requires the block size to be a multiple of the number of arms', () => {
+    assert.equal(loadAssignmentConfig({}).blockSize, 6);
+    assert.throws(() => loadAssignmentConfig({ ASSIGNMENT_BLOCK_SIZE: '4' }), /multiple of the number of arms \(3\)/);
+  });
+});
+
+describe('block randomization', () => {
+  it('balances the arms within every block', () => {
+    const study = assigner();
+    const arms = Array.from({ length: 18 }, (_, i) => study.assign(`R_${i}`).arm);
+    for (let block = 0; block < 3; block++) {
+      assert.deepEqual(count(arms.slice(block * 6, block * 6 + 6)), { control: 2, generic: 2, enhanced: 2 });
+    }
+  });
+
+  it('is reproducible from the seed', () => {
+    const sequence = (env) => {
+      const study = assigner(env);
+      return Array.from({ length: 6 }, (_, i) => study.assign(`R_${i}`).arm);
+    };
+    assert.deepEqual(sequence({ ASSIGNMENT_SEED: 'a' }), sequence({ ASSIGNMENT_SEED: 'a' }));
+    const seeds = ['a', 'b', 'c', 'd'].map((seed) => sequence({ ASSIGNMENT_SEED: seed }).join());
+    assert.ok(new Set(seeds).size > 1);
+  });
+
+  it('keeps a participant in their first arm', () => {
+    const study = assigner();
+    const first = study.assign('R_1');
+    const again = study.assign('R_1');
+    assert.equal(first.sticky, false);
+    assert.equal(again.sticky, true);
+    assert.equal(again.arm, first.arm);
+    assert.equal(again.assigned_at, first.assigned_at);
+    assert.equal(study.assign('R_2').position, 1);
+  });
+
+  it('balances each CCT stratum separately', () => {
+    const study = assigner({ ASSIGNMENT_STRATIFY_BY: 'cct_bucket' });
+    const low = Array.from({ length: 6 }, (_, i) => study.assign(`L_${i}`, { cct_bucket: 'low' }));
+    const high = Array.from({ length: 6 }, (_, i) => study.assign(`H_${i}`, { profile: { cct: { total_score: 900 } } }));
+    assert.deepEqual(low.map((a) => a.position), [0, 1, 2, 3, 4, 5]);
+    assert.deepEqual(high.map((a) => a.position), [0, 1, 2, 3, 4, 5]);
+    assert.notEqual(high[0].stratum, 'low');
+    assert.deepEqual(count(low.map((a) => a.arm)), { control: 2, generic: 2, enhanced: 2 });
+    assert.deepEqual(count(high.map((a) => a.arm)), { control: 2, generic: 2, enhanced: 2 });
+  });
+
+  it('maps arm names to their types', () => {
+    const study = assigner({ STUDY_ARMS: 'control,rules:rule-based' });
+    assert.equal(study.armType('control'), 'none');
+    assert.equal(study.armType('rules'), 'rule-based');
+    assert.equal(study.armType('gone'), null);
+  });
+});
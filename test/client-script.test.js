@@ -0,0 +1,115 @@
+// Runs the served client script in a VM against fake Qualtrics, DOM and fetch globals
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { payloadFields, createClientScript } = require('../lib/client-script');
+
+const { source } = createClientScript({ version: '9.9.9' });
+
+function loadClient({ embedded = {}, respond }) {
+  const requests = [];
+  const element = { innerHTML: '' };
+  const button = { disabled: 0 };
+  const window = {
+    Qualtrics: {
+      SurveyEngine: {
+        getEmbeddedData: (name) => (name in embedded ? embedded[name] : null),
+        setEmbeddedData: (name, value) => { embedded[name] = value; }
+      }
+    }
+  };
+  const context = {
+    window,
+    console: { warn: () => {} },
+    document: { currentScript: { src: 'https://nudge.example.edu/client.js' }, querySelector: () => element },
+    URL,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    fetch: async (url, init) => {
+      const request = { url, headers: init.headers, body: JSON.parse(init.body) };
+      requests.push(request);
+      const { status = 200, body = {} } = await respond(request, init.signal);
+      return { ok: status < 400, status, json: async () => body };
+    }
+  };
+  vm.runInNewContext(source, context);
+  const question = { disableNextButton: () => button.disabled++, enableNextButton: () => button.disabled-- };
+  return { client: window.NudgeClient, requests, element, embedded, question, button };
+}
+
+const NUDGE = { model: 'gpt-4o-mini', suggestion_html: '<div>Consider the spread.</div>', suggestion_text: 'Consider the spread.', nudge_id: 'n-1', meta: {} };
+
+describe('payload fields', () => {
+  it('expands declared objects and keeps free-form objects and arrays as JSON fields', () => {
+    const fields = payloadFields({ exec: { type: 'object', fields: { side: { type: 'enum' } } }, cct: { type: 'object' }, trades: { type: 'array' }, sym: { type: 'string' } });
+    assert.deepEqual(fields, [
+      { path: 'exec.side', json: false },
+      { path: 'cct', json: true },
+      { path: 'trades', json: true },
+      { path: 'sym', json: false }
+    ]);
+  });
+});
+
+describe('client script', () => {
+  it('builds the payload from embedded data', () => {
+    const { client } = loadClient({
+      embedded: { exec_side: 'Buy', exec_qty: '100', sym: 'ACME', Last: '100.5', profile_cct: '{"total_score":250}', hot_condition: '1', portfolio_balance: '' },
+      respond: async () => ({})
+    });
+    const payload = client.buildPayload({ fieldNames: { last: 'Last' }, payload: { participant_id: 'R_1' } });
+    assert.equal(client.version, '9.9.9');
+    assert.deepEqual(JSON.parse(JSON.stringify(payload)), {
+      exec: { side: 'Buy', qty: '100' },
+      sym: 'ACME',
+      last: '100.5',
+      hot_condition: '1',
+      profile: { cct: { total_score: 250 } },
+      participant_id: 'R_1'
+    });
+  });
+
+  it('renders the nudge and reports display timing', async () => {
+    const { client, requests, element, embedded, question, button } = loadClient({
+      embedded: { exec_side: 'Sell', exec_qty: '5', sym: 'XYZ', last: '50' },
+      respond: async (request) => ({ body: request.url.endsWith('/nudge-outcome') ? { recorded: true } : NUDGE })
+    });
+    const nudge = await client.show(question, { studyId: 'pilot', studyKey: 'k3y' });
+
+    assert.equal(nudge.nudge_id, 'n-1');
+    assert.equal(element.innerHTML, NUDGE.suggestion_html);
+    assert.equal(button.disabled, 0);
+    assert.equal(requests[0].url, 'https://nudge.example.edu/studies/pilot/study-nudge');
+    assert.equal(requests[0].headers['X-Study-Key'], 'k3y');
+    assert.equal(requests[0].headers['X-Nudge-Client'], '9.9.9');
+    assert.equal(embedded.nudge_id, 'n-1');
+    assert.equal(requests[1].url, 'https://nudge.example.edu/studies/pilot/nudge-outcome');
+    assert.equal(requests[1].body.nudge_id, 'n-1');
+    assert.ok(requests[1].body.time_to_display_ms >= 0);
+
+    await client.reportDecision('modified', { changes: { qty: 3 } });
+    assert.equal(requests[2].body.decision, 'modified');
+    assert.deepEqual(requests[2].body.changes, { qty: 3 });
+    assert.ok(requests[2].body.time_to_decision_ms >= 0);
+  });
+
+  it('shows the fallback HTML after a timeout', async () => {
+    const { client, element, embedded } = loadClient({
+      respond: (request, signal) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' }))))
+    });
+    let result;
+    const nudge = await client.show({ timeoutMs: 20, fallbackHtml: '<div>Review your order.</div>', onResult: (n, error) => { result = error; } });
+
+    assert.equal(nudge, null);
+    assert.equal(element.innerHTML, '<div>Review your order.</div>');
+    assert.match(embedded.nudge_error, /Timed out after 20 ms/);
+    assert.match(result.message, /Timed out/);
+  });
+
+  it('surfaces the server error message', async () => {
+    const { client, embedded } = loadClient({ respond: async () => ({ status: 401, body: { error: 'Missing X-Study-Key header' } }) });
+    assert.equal(await client.show({ route: '/enhanced-nudge' }), null);
+    assert.equal(embedded.nudge_error, 'Missing X-Study-Key header');
+  });
+});
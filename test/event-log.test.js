@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSV_COLUMNS, toCsvRow } = require('../lib/event-log');
+
+const EVENT = {
+  event_id: 'e1',
+  timestamp: '2025-01-01T10:00:00.000Z',
+  route: '/study-nudge',
+  arm: 'enhanced',
+  study: 'pilot',
+  client_version: '1.0.0',
+  model: 'gpt-4o-mini',
+  prompt_version: 'v2',
+  prompt_hash: 'abc123def456',
+  usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+};
+
+const cell = (row, column) => row.split(',')[CSV_COLUMNS.indexOf(column)];
+
+describe('CSV export rows', () => {
+  it('includes the study so exports can be split by it', () => {
+    assert.equal(cell(toCsvRow(EVENT), 'study'), 'pilot');
+    assert.equal(cell(toCsvRow(EVENT), 'total_tokens'), '15');
+  });
+
+  it('includes the prompt version and hash', () => {
+    assert.equal(cell(toCsvRow(EVENT), 'prompt_version'), 'v2');
+    assert.equal(cell(toCsvRow(EVENT), 'prompt_hash'), 'abc123def456');
+  });
+
+  it('includes the served client script version', () => {
+    assert.equal(cell(toCsvRow(EVENT), 'client_version'), '1.0.0');
+  });
+});
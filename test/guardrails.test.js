@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkNudge, countWords, correctiveInstruction, DEFAULT_BANNED_TERMS } = require('../lib/guardrails');
+
+const options = { maxWords: 20, bannedTerms: DEFAULT_BANNED_TERMS };
+const failedChecks = (text) => checkNudge(text, options).failures.map((f) => f.check);
+
+describe('guardrails', () => {
+  it('passes a neutral nudge', () => {
+    const result = checkNudge('Consider the spread relative to your expected move. How does this order fit your plan?', options);
+    assert.equal(result.passed, true);
+    assert.equal(result.word_count, 15);
+  });
+
+  it('counts words, not symbols', () => {
+    assert.equal(countWords('Spread is $0.10 ↑ — about 10 bps'), 6);
+  });
+
+  it('flags each failed check', () => {
+    assert.deepEqual(failedChecks(''), ['empty']);
+    assert.deepEqual(failedChecks('You should buy now before the close.'), ['directive_advice']);
+    assert.deepEqual(failedChecks('This looks like a cognitive bias at work.'), ['banned_terms']);
+    assert.deepEqual(failedChecks('Consider the <script>spread</script> here.'), ['character_set']);
+    assert.deepEqual(failedChecks('word '.repeat(21).trim()), ['word_limit']);
+  });
+
+  it('names the failed checks in the corrective instruction', () => {
+    const { failures } = checkNudge('You should sell now, this is a bias.', options);
+    const instruction = correctiveInstruction(failures, options);
+    assert.match(instruction, /directive_advice \(You should sell\)/);
+    assert.match(instruction, /banned_terms/);
+    assert.match(instruction, /at most 20 words/);
+  });
+});
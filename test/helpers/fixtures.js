@@ -0,0 +1,58 @@
+// Request payloads shared by the tests, shaped like the Qualtrics client sends them
+
+const BASIC_PAYLOAD = {
+  exec: { side: 'Sell', qty: 5 },
+  sym: 'XYZ',
+  last: 50
+};
+
+const ENHANCED_PAYLOAD = {
+  exec: { side: 'Buy', qty: 100, ordType: 'Limit', ordPx: 100.4 },
+  sym: 'ACME',
+  last: 100.5,
+  bid: 100.45,
+  ask: 100.55,
+  fair_value: 100.6,
+  anchor_target: 100,
+  sentiment_pct: 75,
+  hot_condition: '1',
+  profile: {
+    cct: { total_score: 250, hot_score: 180, cold_score: 70, loss_aversion: 'high', gain_sensitivity: 'low' },
+    demographics: { age: 30, gender: 'F', education: 'BA', personal_income: 50000 },
+    experience: { trading_years: '1-2 years', confidence: 6, market_knowledge: 'medium' },
+    psychological_traits: { pre_mood: 'calm', pre_decision_fatigue: 'low', regret_avoidance: 4 }
+  },
+  portfolio: {
+    balance: 10000,
+    posQty: 50,
+    posPx: 98,
+    unrealizedPL: 125,
+    realizedPL: -20,
+    maxDrawdownPct: 3,
+    totalReturn: 0.012,
+    tradeCount: 4,
+    currentDrawdownPct: 1.5
+  },
+  scenario: { name: 'Earnings', session_tag: 'AM', news_head: 'Beats estimates', bias_focus: 'herding', timer_sec: 30 },
+  trading_context: { previous_trades_count: 4, previous_realized_pl: -20 }
+};
+
+// A finished scenario: averaging down, then selling part of the position at a gain while the rest
+// stays under water
+const REFLECTION_PAYLOAD = {
+  trades: [
+    { side: 'Buy', qty: 100, price: 50, sym: 'ACME' },
+    { side: 'Buy', qty: 50, price: 48, sym: 'ACME' },
+    { side: 'Buy', qty: 50, price: 46.5, sym: 'ACME' },
+    { side: 'Sell', qty: 50, price: 51, sym: 'ACME', realized_pl: 120 }
+  ],
+  trajectory: [
+    { at: '10:00', balance: 10000, unrealizedPL: 0, drawdownPct: 0 },
+    { at: '10:05', balance: 9700, unrealizedPL: -300, drawdownPct: 6.4 }
+  ],
+  portfolio: { balance: 9820, posQty: 150, unrealizedPL: -300, realizedPL: 120, tradeCount: 4 },
+  profile: ENHANCED_PAYLOAD.profile,
+  scenario: { name: 'Earnings' }
+};
+
+module.exports = { BASIC_PAYLOAD, ENHANCED_PAYLOAD, REFLECTION_PAYLOAD };
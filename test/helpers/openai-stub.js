@@ -0,0 +1,73 @@
+// Local stand-in for the OpenAI chat completions API
+// Replies are queued per test (text or HTTP error); every request body is kept for assertions.
+const http = require('http');
+
+const DEFAULT_REPLY = 'Consider the spread relative to your expected move. How does this order fit your plan?';
+
+function completionBody(request, text) {
+  const promptTokens = request.messages.reduce((n, m) => n + m.content.split(/\s+/).length, 0);
+  const completionTokens = text.split(/\s+/).length;
+  return {
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: request.model,
+    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  };
+}
+
+// Streams the reply word by word as chat.completion.chunk events, then the usage chunk.
+// A stalled reply stops after the first word and holds the connection until the caller aborts.
+function writeStream(res, request, text, { stall = false } = {}) {
+  const { usage } = completionBody(request, text);
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const chunk = (delta, extra = {}) => `data: ${JSON.stringify({ id: 'chatcmpl-test', object: 'chat.completion.chunk', model: request.model, choices: delta ? [{ index: 0, delta }] : [], ...extra })}\n\n`;
+  const pieces = text.match(/\S+\s*/g) || [];
+  if (stall) return res.write(chunk({ content: pieces[0] }));
+  for (const piece of pieces) res.write(chunk({ content: piece }));
+  res.write(chunk(null, { usage }));
+  res.end('data: [DONE]\n\n');
+}
+
+function startOpenAIStub() {
+  const replies = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (data) => { raw += data; });
+    req.on('end', () => {
+      const request = JSON.parse(raw || '{}');
+      requests.push(request);
+      const reply = replies.length > 0 ? replies.shift() : { text: DEFAULT_REPLY };
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: reply.message || 'stub error', type: 'server_error' } }));
+      }
+      if (request.stream) return writeStream(res, request, reply.text, reply);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(completionBody(request, reply.text)));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        reply: (text) => replies.push({ text }),
+        fail: (status, message) => replies.push({ status, message }),
+        // Next stream sends one word and then nothing (non-streamed requests get the full reply)
+        stall: () => replies.push({ text: DEFAULT_REPLY, stall: true }),
+        reset: () => {
+          replies.length = 0;
+          requests.length = 0;
+        },
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { DEFAULT_REPLY, startOpenAIStub };
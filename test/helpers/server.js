@@ -0,0 +1,58 @@
+// Boots the nudge server app against the OpenAI stub with its state files in a temp directory
+// The server reads its configuration from the environment at require time, so this must run
+// before anything requires mock-nudge-server.js (each test file runs in its own process).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startOpenAIStub } = require('./openai-stub');
+
+async function startTestServer(env = {}) {
+  const openai = await startOpenAIStub();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nudge-test-'));
+  Object.assign(process.env, {
+    LLM_PROVIDER: 'openai',
+    LLM_API_KEY: 'test-key',
+    LLM_BASE_URL: openai.baseURL,
+    LLM_MAX_RETRIES: '0',
+    BREAKER_FAILURE_THRESHOLD: '1000',
+    // Every test request comes from one IP
+    RATE_LIMIT_PER_PARTICIPANT: '1000',
+    NUDGE_LOG_PATH: path.join(dataDir, 'nudge-events.jsonl'),
+    ASSIGNMENT_PATH: path.join(dataDir, 'assignments.json'),
+    SESSION_PATH: path.join(dataDir, 'sessions.json'),
+    NUDGE_CACHE_PATH: path.join(dataDir, 'nudge-cache.json'),
+    OUTCOME_LOG_PATH: path.join(dataDir, 'nudge-outcomes.jsonl'),
+    ...env
+  });
+
+  const server = require('../../mock-nudge-server');
+  const listener = await new Promise((resolve) => {
+    const l = server.app.listen(0, '127.0.0.1', () => resolve(l));
+  });
+  const baseURL = `http://127.0.0.1:${listener.address().port}`;
+
+  async function post(route, body, headers = {}) {
+    const response = await fetch(baseURL + route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function get(route, headers = {}) {
+    const response = await fetch(baseURL + route, { headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function close() {
+    await new Promise((resolve) => listener.close(resolve));
+    await server.flushState();
+    await openai.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { ...server, openai, dataDir, baseURL, post, get, close };
+}
+
+module.exports = { startTestServer };
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJsonWriter, readJson } = require('../lib/json-file');
+const { createAssigner, loadAssignmentConfig } = require('../lib/assignment');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('JSON writer', () => {
+  it('writes a burst of changes once, with the state at write time', async () => {
+    const filePath = path.join(dir, 'nested', 'state.json');
+    const state = { count: 0 };
+    let snapshots = 0;
+    const writer = createJsonWriter(filePath, () => {
+      snapshots++;
+      return state;
+    }, { delayMs: 10 });
+
+    for (let i = 0; i < 5; i++) {
+      state.count++;
+      writer.schedule();
+    }
+    assert.equal(fs.existsSync(filePath), false);
+    await writer.flush();
+    assert.equal(snapshots, 1);
+    assert.deepEqual(readJson(filePath, null), { count: 5 });
+    assert.equal(readJson(`${filePath}.missing`, 'fallback'), 'fallback');
+  });
+
+  it('lets a new assigner over the same file continue from saved assignments', async () => {
+    const filePath = path.join(dir, 'assignments.json');
+    const config = loadAssignmentConfig({ ASSIGNMENT_PATH: filePath });
+    const first = createAssigner(config);
+    const { arm } = first.assign('R_1');
+    await first.flush();
+
+    const second = createAssigner(config);
+    assert.deepEqual({ arm: second.get('R_1').arm, sticky: second.assign('R_1').sticky }, { arm, sticky: true });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider, loadProviderConfig } = require('../lib/llm-providers');
+
+describe('LLM providers', () => {
+  it('uses an injected OpenAI client', async () => {
+    const calls = [];
+    const client = {
+      chat: {
+        completions: {
+          create: async (request) => {
+            calls.push(request);
+            return { model: 'injected-model', choices: [{ message: { content: ' Consider the spread. ' } }], usage: { prompt_tokens: 3, completion_tokens: 3, total_tokens: 6 } };
+          }
+        }
+      }
+    };
+    const provider = createProvider({ ...loadProviderConfig({}), client });
+    assert.equal(provider.configured, true);
+
+    const result = await provider.complete({ messages: [{ role: 'user', content: 'hi' }], maxTokens: 50, temperature: 0.2, model: 'gpt-test' });
+    assert.deepEqual(result, { text: 'Consider the spread.', usage: { prompt_tokens: 3, completion_tokens: 3, total_tokens: 6 }, provider: 'openai', model: 'injected-model' });
+    assert.equal(calls[0].model, 'gpt-test');
+    assert.equal(calls[0].max_tokens, 50);
+  });
+
+  it('stub provider is deterministic per seed', async () => {
+    const messages = [{ role: 'user', content: 'Buy 10 ACME' }];
+    const a = await createProvider(loadProviderConfig({ LLM_PROVIDER: 'stub' })).complete({ messages });
+    const b = await createProvider(loadProviderConfig({ LLM_PROVIDER: 'stub' })).complete({ messages });
+    assert.equal(a.text, b.text);
+    assert.equal(a.provider, 'stub');
+  });
+
+  it('sends LLM_SEED to OpenAI-compatible APIs only when it is an integer', async () => {
+    const calls = [];
+    const client = { chat: { completions: { create: async (request) => { calls.push(request); return { choices: [{ message: { content: 'ok' } }] }; } } } };
+    const messages = [{ role: 'user', content: 'hi' }];
+    for (const LLM_SEED of [undefined, '42', 'abc']) {
+      await createProvider({ ...loadProviderConfig({ LLM_SEED }), client }).complete({ messages });
+    }
+    assert.deepEqual(calls.map((c) => c.seed), [undefined, 42, undefined]);
+    assert.equal('seed' in calls[0], false);
+  });
+
+  it('fails a stream the SDK ended because of an abort', async () => {
+    const controller = new AbortController();
+    // Like the OpenAI SDK, this stream just stops once its signal aborts
+    async function* chunks() {
+      yield { choices: [{ delta: { content: 'Consider ' } }] };
+      controller.abort();
+    }
+    const client = { chat: { completions: { create: async () => chunks() } } };
+    const provider = createProvider({ ...loadProviderConfig({}), client });
+    const received = [];
+    await assert.rejects(async () => {
+      for await (const chunk of provider.stream({ messages: [], signal: controller.signal })) received.push(chunk);
+    }, /Request aborted/);
+    assert.deepEqual(received, [{ text: 'Consider ' }]);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ENGLISH, loadLocales } = require('../lib/locales');
+const { generateRuleBasedNudge } = require('../lib/rule-engine');
+const { buildCCTProfile } = require('../lib/cct');
+const { checkNudge, DEFAULT_BANNED_TERMS } = require('../lib/guardrails');
+const { ENHANCED_PAYLOAD } = require('./helpers/fixtures');
+
+const locales = loadLocales();
+
+describe('locales', () => {
+  it('loads the shipped translations next to English', () => {
+    assert.deepEqual(locales.codes, ['en', 'de', 'es', 'fr']);
+  });
+
+  it('resolves region tags and rejects languages without a translation', () => {
+    assert.equal(locales.resolve('es-MX'), 'es');
+    assert.equal(locales.resolve('FR_ca'), 'fr');
+    assert.equal(locales.resolve(undefined), 'en');
+    assert.equal(locales.resolve('zh'), null);
+  });
+
+  it('scales the word limit per language', () => {
+    assert.equal(locales.wordLimit(80, 'en'), 80);
+    assert.equal(locales.wordLimit(80, 'es'), 96);
+    assert.equal(locales.wordLimit(40, 'de'), 36);
+  });
+
+  it('translates rule-based nudges with the same category and template as English', () => {
+    const options = { personalized: true, cct: buildCCTProfile(ENHANCED_PAYLOAD.profile), category: 'fair_value_anchor' };
+    const english = generateRuleBasedNudge(ENHANCED_PAYLOAD, options);
+    const spanish = generateRuleBasedNudge(ENHANCED_PAYLOAD, { ...options, locale: locales.get('es') });
+
+    assert.equal(spanish.category, english.category);
+    assert.equal(spanish.template_index, english.template_index);
+    assert.match(spanish.text, /^Está colocando una orden de compra de 100 en ACME\./);
+    assert.doesNotMatch(spanish.text, /\{\w+\}/);
+  });
+
+  it('adds translated banned terms and directive phrasings to the guardrails', () => {
+    const { banned_terms: bannedTerms, directive_patterns: directivePatterns } = locales.get('es');
+    const options = { bannedTerms: [...DEFAULT_BANNED_TERMS, ...bannedTerms], directivePatterns };
+    const failed = (text) => checkNudge(text, options).failures.map((f) => f.check);
+    assert.deepEqual(failed('Considere el diferencial frente al movimiento esperado.'), []);
+    assert.deepEqual(failed('Este sesgo es común en el mercado.'), ['banned_terms']);
+    assert.deepEqual(failed('Usted debería vender esta posición.'), ['directive_advice']);
+  });
+
+  describe('validation', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locales-test-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('reports templates that do not line up with English', () => {
+      const broken = JSON.parse(JSON.stringify({ ...ENGLISH, locale: 'xx', language: 'Test' }));
+      broken.categories.herding_bias[0] = 'No percentage here.';
+      delete broken.categories.fomo;
+      delete broken.rule_based.sides.Sell;
+      fs.writeFileSync(path.join(dir, 'xx.json'), JSON.stringify(broken));
+
+      assert.throws(() => loadLocales(dir), (error) => {
+        for (const text of ['categories.herding_bias[0]: placeholders differ', 'categories.fomo: expected 3 templates', 'rule_based.sides.Sell is missing']) {
+          assert.ok(error.message.includes(text), text);
+        }
+        return true;
+      });
+    });
+  });
+});
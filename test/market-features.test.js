@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeMarketFeatures } = require('../lib/market-features');
+const { generateRuleBasedNudge } = require('../lib/rule-engine');
+const { BASIC_PAYLOAD, ENHANCED_PAYLOAD } = require('./helpers/fixtures');
+
+describe('market features', () => {
+  it('prices a limit order at its limit and measures it from the touch', () => {
+    const features = computeMarketFeatures(ENHANCED_PAYLOAD);
+    assert.equal(features.entry_price, 100.4);
+    assert.equal(features.entry_source, 'limit');
+    assert.equal(features.order_value, 10040);
+    assert.equal(features.spread, 0.1);
+    assert.equal(features.spread_bps, 10);
+    assert.equal(features.fair_value_gap_pct, -0.2);
+    assert.equal(features.analyst_target_gap_pct, 0.4);
+    assert.equal(features.limit_distance, -0.15);
+    assert.equal(features.limit_distance_bps, -14.9);
+    assert.equal(features.limit_marketable, false);
+    // A resting limit does not cross the spread
+    assert.equal(features.spread_cost, null);
+  });
+
+  it('prices market orders at the touch on their side', () => {
+    const buy = computeMarketFeatures({ ...ENHANCED_PAYLOAD, exec: { side: 'Buy', qty: 10, ordType: 'Market' } });
+    assert.equal(buy.entry_price, 100.55);
+    assert.equal(buy.entry_source, 'ask');
+    assert.equal(buy.spread_cost, 0.5);
+    assert.equal(buy.limit_distance, null);
+
+    const sell = computeMarketFeatures({ ...ENHANCED_PAYLOAD, exec: { side: 'Sell', qty: 30, ordType: 'Market' } });
+    assert.equal(sell.entry_price, 100.45);
+    assert.equal(sell.post_trade_position, 20);
+    assert.equal(sell.post_trade_exposure, 2009);
+    assert.equal(sell.post_trade_exposure_pct, 20.09);
+  });
+
+  it('sizes the order against the balance', () => {
+    const features = computeMarketFeatures(ENHANCED_PAYLOAD);
+    assert.equal(features.position_pct_of_balance, 100.4);
+    assert.equal(features.post_trade_position, 150);
+    assert.equal(features.post_trade_exposure, 15060);
+    assert.equal(features.post_trade_exposure_pct, 150.6);
+  });
+
+  it('leaves out sizing for market-only features and missing quotes', () => {
+    const features = computeMarketFeatures(ENHANCED_PAYLOAD, { portfolio: false });
+    assert.equal(features.position_pct_of_balance, null);
+    assert.equal(features.post_trade_exposure, null);
+
+    const basic = computeMarketFeatures(BASIC_PAYLOAD);
+    assert.equal(basic.entry_source, 'last');
+    assert.equal(basic.order_value, 250);
+    assert.equal(basic.spread_bps, null);
+    assert.equal(basic.fair_value_gap_pct, null);
+  });
+
+  it('feeds the fair-value template the entry-price gap', () => {
+    const payload = { ...BASIC_PAYLOAD, exec: { side: 'Buy', qty: 10 }, bid: 99.9, ask: 100.1, last: 100, fair_value: 95 };
+    const texts = [0, 1, 2].map((variant) => generateRuleBasedNudge(payload, { category: 'fair_value_anchor', variant }).text);
+    // A market buy fills at the ask ($100.10), not the last trade
+    assert.ok(texts.some((text) => text.includes('$5.10 (5.4%) above')));
+  });
+});
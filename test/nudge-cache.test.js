@@ -0,0 +1,82 @@
+// Nudge cache tests: warm-up through POST /cache/warm, then cache hits on the nudge routes
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/server');
+const { ENHANCED_PAYLOAD } = require('./helpers/fixtures');
+const { fingerprint } = require('../lib/nudge-cache');
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ NUDGE_CACHE_MODE: 'on', ADMIN_TOKEN: 'admin-test', EXPORT_TOKEN: 'export-test' });
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.openai.reset();
+});
+
+const userPrompt = (request) => request.messages.find((m) => m.role === 'user').content;
+const warm = (body) => server.post('/cache/warm', body, { Authorization: 'Bearer admin-test' });
+
+describe('nudge cache', () => {
+  it('requires the admin token to warm the cache', async () => {
+    const body = { scenarios: [ENHANCED_PAYLOAD], arms: ['generic'], buckets: ['high'] };
+    assert.equal((await server.post('/cache/warm', body, { Authorization: 'Bearer export-test' })).status, 401);
+    assert.equal(server.openai.requests.length, 0);
+  });
+
+  it('leaves quantity, order-size and portfolio figures out of warm-up prompts', async () => {
+    const { status, body } = await warm({ scenarios: [ENHANCED_PAYLOAD], arms: ['generic', 'enhanced'], buckets: ['high'] });
+    assert.equal(status, 200);
+    assert.equal(body.generated, 2);
+
+    assert.equal(server.openai.requests.length, 2);
+    for (const request of server.openai.requests) {
+      const prompt = userPrompt(request);
+      assert.match(prompt, /Trade: Buy n\/a shares of ACME/);
+      assert.doesNotMatch(prompt, /Order Value|Order Size|Post-Trade Position|cost of crossing|Balance=|Trading History/);
+      assert.doesNotMatch(prompt, /10040/);
+      assert.match(prompt, /Spread: \$0\.10/);
+    }
+  });
+
+  it('serves the warm-up text to an order of another size without quoting the first order', async () => {
+    await warm({ scenarios: [{ ...ENHANCED_PAYLOAD, sym: 'WARM' }], arms: ['generic'] });
+    assert.doesNotMatch(userPrompt(server.openai.requests[0]), /10040|Order Value/);
+
+    server.openai.reset();
+    const { status, body } = await server.post('/generic-nudge', { ...ENHANCED_PAYLOAD, sym: 'WARM', exec: { ...ENHANCED_PAYLOAD.exec, qty: 50 } });
+    assert.equal(status, 200);
+    assert.equal(body.meta.cache.status, 'hit');
+    assert.equal(server.openai.requests.length, 0);
+    assert.doesNotMatch(body.suggestion_text, /10040/);
+    assert.equal(body.meta.market_features.order_value, 5020);
+
+    // The hit is logged with the cached text
+    const response = await fetch(`${server.baseURL}/export/ndjson?route=/generic-nudge`, { headers: { Authorization: 'Bearer export-test' } });
+    const [event] = (await response.text()).trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(event.cache.status, 'hit');
+    assert.equal(event.output, body.suggestion_text);
+  });
+
+  it('keys limit orders by their limit price', async () => {
+    const options = { kind: 'generic', promptVersion: 'v1' };
+    const at = (ordType, ordPx) => fingerprint({ ...ENHANCED_PAYLOAD, exec: { ...ENHANCED_PAYLOAD.exec, ordType, ordPx } }, options).key;
+    assert.notEqual(at('Limit', 100.4), at('Limit', 95));
+    assert.equal(at('Limit', 100.4), at('Limit', '100.40'));
+    assert.equal(at('Market', 100.4), at('Market', 95));
+
+    await warm({ scenarios: [{ ...ENHANCED_PAYLOAD, sym: 'LIMIT' }], arms: ['generic'] });
+    assert.match(userPrompt(server.openai.requests[0]), /Limit Price: \$0\.15 \(14\.9 bps\) below the ask/);
+    server.openai.reset();
+    const { body } = await server.post('/generic-nudge', { ...ENHANCED_PAYLOAD, sym: 'LIMIT', exec: { ...ENHANCED_PAYLOAD.exec, ordPx: 95 } });
+    assert.equal(body.meta.market_features.limit_distance, -5.55);
+    // A miss: generated live from the participant's own limit price
+    assert.equal(server.openai.requests.length, 1);
+    assert.match(userPrompt(server.openai.requests[0]), /Limit Price: \$5\.55/);
+  });
+});
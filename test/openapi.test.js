@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { NUDGE_ROUTES, jsonSchema, buildOpenApiDocument } = require('../lib/openapi');
+
+describe('OpenAPI document', () => {
+  const doc = buildOpenApiDocument({ version: '9.9.9' });
+
+  it('describes every nudge route at the root and under /studies/{studyId}', () => {
+    assert.equal(doc.info.version, '9.9.9');
+    for (const route of NUDGE_ROUTES) {
+      assert.ok(doc.paths[route.path].post, route.path);
+      const scoped = doc.paths[`/studies/{studyId}${route.path}`].post;
+      assert.deepEqual(scoped.parameters, [{ $ref: '#/components/parameters/StudyId' }]);
+    }
+    const operationIds = Object.values(doc.paths).map((p) => p.post.operationId);
+    assert.equal(new Set(operationIds).size, operationIds.length);
+  });
+
+  it('generates request bodies from the declared schemas', () => {
+    const { PersonalizedNudgeRequest, GenericNudgeRequest, ReflectionRequest, OutcomeRequest } = doc.components.schemas;
+    assert.deepEqual(PersonalizedNudgeRequest.required, ['exec', 'sym', 'last']);
+    assert.deepEqual(PersonalizedNudgeRequest.properties.exec.required, ['side', 'qty']);
+    assert.deepEqual(PersonalizedNudgeRequest.properties.exec.properties.side.enum, ['Buy', 'Sell']);
+    assert.equal(PersonalizedNudgeRequest.properties.exec.properties.ordType.default, 'Market');
+    assert.equal(GenericNudgeRequest.properties.portfolio, undefined);
+    assert.equal(ReflectionRequest.properties.trades.minItems, 1);
+    assert.deepEqual(ReflectionRequest.properties.trades.items.required, ['side', 'qty', 'price']);
+    assert.ok(OutcomeRequest.properties.time_to_display_ms);
+  });
+
+  it('documents the error shapes and the stream routes', () => {
+    const enhanced = doc.paths['/enhanced-nudge'].post;
+    assert.deepEqual(Object.keys(enhanced.responses), ['200', '400', '401', '403', '404', '429', '500']);
+    assert.equal(enhanced.responses[429].content['application/json'].schema.$ref, '#/components/schemas/RateLimitError');
+    assert.ok(doc.paths['/study-nudge'].post.responses[409]);
+    assert.ok(doc.paths['/enhanced-nudge/stream'].post.responses[200].content['text/event-stream']);
+    assert.ok(doc.components.schemas.Error.properties.details);
+  });
+
+  it('requires the study key only when keys are configured', () => {
+    assert.deepEqual(doc.security, []);
+    assert.deepEqual(buildOpenApiDocument({ version: '1', studyKeys: true }).security, [{ StudyKey: [] }]);
+  });
+
+  it('converts field specs to JSON Schema', () => {
+    assert.deepEqual(jsonSchema({ type: 'number', min: 0, max: 100 }), { type: ['number', 'string'], minimum: 0, maximum: 100 });
+    assert.deepEqual(jsonSchema({ type: 'array', maxItems: 3, items: { type: 'string' } }), { type: 'array', items: { type: 'string' }, maxItems: 3 });
+    assert.deepEqual(jsonSchema({ type: 'object' }), { type: 'object' });
+    assert.equal(jsonSchema({ type: 'flag', default: false }).default, false);
+  });
+});
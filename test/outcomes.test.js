@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePayload } = require('../lib/schema');
+const { outcomeProblems, outcomeRecord, mergeOutcomes, createOutcomeAggregator, joinedRow } = require('../lib/outcomes');
+
+const nudgeEvent = (id, arm, bias) => ({ event_id: id, timestamp: '2025-01-01T10:00:00.000Z', study: 'default', arm, route: '/study-nudge', participant_id: 'p-1', meta: bias ? { bias_selected: bias } : {} });
+const normalized = (body) => normalizePayload('outcome', body).value;
+
+describe('outcome reports', () => {
+  it('requires a decision, realized P&L or display timing, and changes only for modified orders', () => {
+    assert.deepEqual(outcomeProblems(normalized({ nudge_id: 'n1' })).map((p) => p.field), ['decision']);
+    assert.deepEqual(outcomeProblems(normalized({ nudge_id: 'n1', decision: 'modified' })).map((p) => p.field), ['changes']);
+    assert.deepEqual(outcomeProblems(normalized({ nudge_id: 'n1', decision: 'submitted', changes: { qty: 5 } })).map((p) => p.field), ['changes']);
+    assert.deepEqual(outcomeProblems(normalized({ nudge_id: 'n1', realized_pnl: '3.5' })), []);
+    assert.deepEqual(outcomeProblems(normalized({ nudge_id: 'n1', time_to_display_ms: 640 })), []);
+  });
+
+  it('records the changed fields alongside the nudge they answer', () => {
+    const record = outcomeRecord(normalized({ nudge_id: 'n1', decision: 'Modified', changes: { side: 'sell', ordPx: '10.5' }, time_to_decision_ms: 900 }), nudgeEvent('n1', 'enhanced', 'overconfidence'));
+    assert.equal(record.decision, 'modified');
+    assert.deepEqual(record.changed_fields, ['side', 'ordPx']);
+    assert.deepEqual(record.changes, { side: 'Sell', ordPx: 10.5 });
+    assert.equal(record.arm, 'enhanced');
+    assert.equal(record.bias, 'overconfidence');
+    assert.equal(record.participant_id, 'p-1');
+  });
+
+  it('merges later reports over earlier ones', () => {
+    const merged = mergeOutcomes([
+      { decision: 'submitted', time_to_decision_ms: 1000, realized_pnl: null, timestamp: 'a' },
+      { decision: null, realized_pnl: 20, timestamp: 'b' }
+    ]);
+    assert.equal(merged.decision, 'submitted');
+    assert.equal(merged.realized_pnl, 20);
+    assert.equal(merged.reports, 2);
+    assert.equal(merged.reported_at, 'b');
+  });
+});
+
+describe('outcome aggregates', () => {
+  it('computes decision rates per arm and per bias over the nudges served', () => {
+    const outcomes = createOutcomeAggregator();
+    outcomes.addReport({ nudge_id: 'n1', time_to_display_ms: 700 });
+    outcomes.addReport({ nudge_id: 'n1', decision: 'cancelled', time_to_decision_ms: 3000 });
+    outcomes.addReport({ nudge_id: 'n2', decision: 'modified', changed_fields: ['qty'], time_to_decision_ms: 5000, realized_pnl: 10 });
+    outcomes.addReport({ nudge_id: 'n3', decision: 'submitted', time_to_decision_ms: 1000, realized_pnl: -4 });
+    outcomes.addNudge(nudgeEvent('n1', 'enhanced', 'loss_aversion'));
+    outcomes.addNudge(nudgeEvent('n2', 'enhanced', 'loss_aversion'));
+    outcomes.addNudge(nudgeEvent('n3', 'control', null));
+    outcomes.addNudge(nudgeEvent('n4', 'control', null));
+
+    const { overall, arms, biases } = outcomes.result();
+    assert.equal(overall.nudges, 4);
+    assert.equal(overall.report_rate, 0.75);
+    assert.equal(overall.time_to_display_p50_ms, 700);
+    assert.equal(arms.enhanced.cancel_rate, 0.5);
+    assert.equal(arms.enhanced.modify_rate, 0.5);
+    assert.deepEqual(arms.enhanced.changed_fields, { qty: 1 });
+    assert.equal(arms.enhanced.time_to_decision_p50_ms, 3000);
+    assert.equal(arms.control.nudges, 2);
+    assert.equal(arms.control.submit_rate, 1);
+    assert.equal(biases.loss_aversion.decisions_reported, 2);
+    assert.equal(biases.none.avg_realized_pnl, -4);
+    assert.equal(overall.avg_realized_pnl, 3);
+  });
+
+  it('joins export rows to the nudge text', () => {
+    const outcomes = createOutcomeAggregator();
+    outcomes.addReport({ nudge_id: 'n1', decision: 'submitted' });
+    const row = joinedRow({ ...nudgeEvent('n1', 'generic'), model: 'gpt', output: 'Consider the spread.' }, outcomes.outcomeFor('n1'));
+    assert.equal(row.nudge_id, 'n1');
+    assert.equal(row.output, 'Consider the spread.');
+    assert.equal(row.decision, 'submitted');
+    assert.equal(outcomes.outcomeFor('n2'), null);
+  });
+});
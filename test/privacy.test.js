@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPrivacyConfig, validatePolicy, createPrivacyFilter, scheduleRetention } = require('../lib/privacy');
+const { createEventLog } = require('../lib/event-log');
+const { createSessionStore, loadSessionConfig } = require('../lib/sessions');
+const { createAssignmentStore } = require('../lib/assignment');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-'));
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function filterWith(policy, env = {}) {
+  const policyPath = path.join(dir, `policy-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(policyPath, JSON.stringify(policy));
+  return createPrivacyFilter(loadPrivacyConfig({ PRIVACY_POLICY_PATH: policyPath, ...env }));
+}
+
+const BODY = {
+  participant_id: 'R_abc',
+  sym: 'ACME',
+  profile: {
+    demographics: { age: 30, gender: 'F', personal_income: 50000 },
+    experience: { confidence: 6 },
+    cct: { total_score: 250 }
+  }
+};
+
+describe('privacy policy', () => {
+  it('refuses to start in production without a policy file', () => {
+    assert.throws(() => createPrivacyFilter(loadPrivacyConfig({ NODE_ENV: 'production' })), /PRIVACY_POLICY_PATH must be set/);
+    assert.equal(createPrivacyFilter(loadPrivacyConfig({})).policy.version, 'none');
+  });
+
+  it('reports every problem in a policy', () => {
+    assert.throws(() => validatePolicy({ default: 'keep', fields: { 'profile.shoe_size': 'send', participant_id: 'drop', 'profile.demographics.age': 'hash' } }, {}), (error) => {
+      for (const text of ['"default" must be one of', 'unknown field "profile.shoe_size"', 'participant_id must be "send" or "hash"', 'PSEUDONYM_KEY is required']) {
+        assert.ok(error.message.includes(text), text);
+      }
+      return true;
+    });
+  });
+
+  it('sends only "send" fields to the model', () => {
+    const privacy = filterWith({ default: 'send', fields: { 'profile.demographics.age': 'log', 'profile.demographics.gender': 'drop', 'profile.demographics.personal_income': 'hash' } }, { PSEUDONYM_KEY: 'k' });
+    const visible = privacy.forModel(BODY);
+    assert.deepEqual(visible.profile.demographics, {});
+    assert.equal(visible.profile.experience.confidence, 6);
+    assert.equal(visible.profile.cct.total_score, 250);
+    assert.equal(visible.participant_id, 'R_abc');
+    // The request body itself is left alone
+    assert.equal(BODY.profile.demographics.age, 30);
+  });
+
+  it('logs "send" and "log" fields raw, "hash" fields pseudonymized and "drop" fields not at all', () => {
+    const privacy = filterWith({ default: 'send', fields: { 'profile.demographics.age': 'log', 'profile.demographics.gender': 'drop', 'profile.demographics.personal_income': 'hash' } }, { PSEUDONYM_KEY: 'k' });
+    assert.deepEqual(privacy.forLog(BODY), { age: 30, personal_income: privacy.pseudonymize(50000), confidence: 6 });
+  });
+
+  it('pseudonymizes participant_id with a keyed hash before anything is stored', () => {
+    const privacy = filterWith({ default: 'send', fields: { participant_id: 'hash' } }, { PSEUDONYM_KEY: 'k' });
+    const other = filterWith({ default: 'send', fields: { participant_id: 'hash' } }, { PSEUDONYM_KEY: 'other' });
+    const req = { body: { ...BODY } };
+    let passed = false;
+    privacy.pseudonymizeRequest(req, {}, () => { passed = true; });
+
+    assert.equal(passed, true);
+    assert.match(req.body.participant_id, /^[0-9a-f]{16}$/);
+    assert.equal(req.body.participant_id, privacy.pseudonymize('R_abc'));
+    assert.notEqual(req.body.participant_id, other.pseudonymize('R_abc'));
+  });
+});
+
+describe('retention', () => {
+  const old = new Date(Date.now() - 40 * 24 * 3600 * 1000).toISOString();
+  const cutoff = new Date(Date.now() - 30 * 24 * 3600 * 1000);
+
+  it('purges with a cutoff RETENTION_DAYS ago', async () => {
+    let received = null;
+    scheduleRetention(30, async (c) => {
+      received = c;
+      return {};
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(Math.abs(received.getTime() - cutoff.getTime()) < 1000);
+  });
+
+  it('drops old events, sessions and assignments and keeps recent ones', async () => {
+    const eventLog = createEventLog({ filePath: path.join(dir, 'events.jsonl') });
+    eventLog.record({ route: '/nudge', timestamp: old });
+    eventLog.record({ route: '/nudge' });
+    assert.equal(await eventLog.purgeBefore(cutoff), 1);
+    const remaining = [];
+    for await (const event of eventLog.read()) remaining.push(event);
+    assert.equal(remaining.length, 1);
+
+    const sessions = createSessionStore({ ...loadSessionConfig({}), filePath: path.join(dir, 'sessions.json') });
+    sessions.open({ participant_id: 'R_old' }).updated_at = old;
+    sessions.open({ participant_id: 'R_new' });
+    assert.equal(sessions.purgeBefore(cutoff), 1);
+    assert.equal(sessions.get('R_old:default'), null);
+    assert.ok(sessions.get('R_new:default'));
+    await sessions.flush();
+
+    const filePath = path.join(dir, 'assignments.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      participants: { R_old: { arm: 'control', assigned_at: old }, R_new: { arm: 'enhanced', assigned_at: new Date().toISOString() } },
+      strata: { all: { count: 2 } }
+    }));
+    const store = createAssignmentStore(filePath);
+    assert.equal(store.purgeBefore(cutoff), 1);
+    await store.flush();
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(saved.participants), ['R_new']);
+    assert.deepEqual(saved.strata, { all: { count: 2 } });
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePayload } = require('../lib/schema');
+const { buildCCTProfile } = require('../lib/cct');
+const { loadLocales } = require('../lib/locales');
+const { checkNudge } = require('../lib/guardrails');
+const { sessionStats, analyzeSession, generateRuleBasedReflection } = require('../lib/reflection');
+const { REFLECTION_PAYLOAD } = require('./helpers/fixtures');
+
+const session = normalizePayload('reflection', REFLECTION_PAYLOAD).value;
+const cct = buildCCTProfile(session.profile);
+
+describe('session statistics', () => {
+  it('summarizes trades, results and drawdown', () => {
+    const stats = sessionStats(session);
+    assert.equal(stats.trades, 4);
+    assert.equal(stats.buys, 3);
+    assert.equal(stats.sells, 1);
+    assert.equal(stats.winning_closes, 1);
+    assert.equal(stats.losing_closes, 0);
+    assert.equal(stats.realized_pnl, 120);
+    assert.equal(stats.unrealized_pnl, -300);
+    assert.equal(stats.max_drawdown_pct, 6.4);
+    assert.equal(stats.adds_at_lower_price, 2);
+    assert.equal(stats.direction_changes, 1);
+  });
+
+  it('sums per-trade P&L when no portfolio is sent', () => {
+    const stats = sessionStats({ trades: [{ side: 'Sell', qty: 1, price: 5, realized_pl: 10 }, { side: 'Sell', qty: 1, price: 4, realized_pl: -2.5 }] });
+    assert.equal(stats.realized_pnl, 7.5);
+    assert.equal(stats.unrealized_pnl, null);
+    assert.equal(stats.max_drawdown_pct, null);
+  });
+});
+
+describe('reflection patterns', () => {
+  it('maps what happened onto nudge categories, in rule order', () => {
+    const { patterns } = analyzeSession(session, { cct });
+    assert.deepEqual(patterns.map((p) => p.category), ['disposition_effect', 'loss_aversion', 'portfolio_risk', 'cct_risk_awareness']);
+    assert.equal(patterns[0].title, 'Disposition Effect Awareness');
+  });
+
+  it('only reports a study\'s enabled categories', () => {
+    const { patterns } = analyzeSession(session, { cct, categories: ['overtrading', 'portfolio_risk'] });
+    assert.deepEqual(patterns.map((p) => p.rule), ['max_drawdown_above_5pct']);
+  });
+
+  it('counts the simulator\'s trade count for overtrading', () => {
+    const { patterns } = analyzeSession({ ...session, portfolio: { tradeCount: 12 } });
+    assert.ok(patterns.some((p) => p.category === 'overtrading'));
+  });
+});
+
+describe('rule-based reflection', () => {
+  it('writes a summary, up to two patterns and a closing question', () => {
+    const reflection = generateRuleBasedReflection(analyzeSession(session, { cct }), { cct });
+    assert.equal(reflection.category, 'disposition_effect');
+    assert.deepEqual(reflection.patterns, ['disposition_effect', 'loss_aversion']);
+    assert.equal(reflection.text, 'This session you placed 4 trades: 3 buys and 1 sells. Your realized P&L was +$120.00. ' +
+      'Gains were taken on 1 closing trades while an unrealized loss of $300.00 stayed open. ' +
+      'The position was added to 2 times at prices below the previous buy. ' +
+      'Looking back, which decisions would you make the same way again?');
+    assert.equal(checkNudge(reflection.text).passed, true);
+  });
+
+  it('says so when no pattern stood out', () => {
+    const reflection = generateRuleBasedReflection(analyzeSession({ trades: [{ side: 'Buy', qty: 1, price: 10 }] }));
+    assert.equal(reflection.rule, 'no_pattern');
+    assert.match(reflection.text, /No single pattern stood out/);
+  });
+
+  it('translates the debrief', () => {
+    const spanish = loadLocales().get('es');
+    const reflection = generateRuleBasedReflection(analyzeSession(session, { cct }), { cct, locale: spanish });
+    assert.match(reflection.text, /^En esta sesión realizó 4 operaciones: 3 compras y 1 ventas\./);
+    assert.doesNotMatch(reflection.text, /\{\w+\}/);
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, formatHtml, createRenderer } = require('../lib/render');
+
+describe('render', () => {
+  it('escapes markup', () => {
+    assert.equal(escapeHtml('<img src=x onerror="alert(1)">'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+  });
+
+  it('bolds numbers and styles direction markers', () => {
+    const html = formatHtml('Spread is $0.10 (12 bps) ↑ and 5% of balance ⚠️');
+    assert.match(html, /<b>\$0\.10<\/b>/);
+    assert.match(html, /<b>12 bps<\/b>/);
+    assert.match(html, /<b>5%<\/b>/);
+    assert.match(html, /class="nudge-up"/);
+    assert.match(html, /class="nudge-warning"/);
+  });
+
+  it('does not bold digits inside words', () => {
+    assert.doesNotMatch(formatHtml('Ticker AB12 moved'), /<b>/);
+  });
+
+  it('renders text and html from the same body', () => {
+    const renderer = createRenderer();
+    const { suggestion_text, suggestion_html } = renderer.render('Check <this> at 10%', { arm: 'enhanced' });
+    assert.equal(suggestion_text, 'Check <this> at 10%');
+    assert.equal(suggestion_html, '<div><b>AI Trade Feedback:</b> Check &lt;this&gt; at <b>10%</b></div>');
+    assert.deepEqual(renderer.render('', { arm: 'enhanced' }), { suggestion_text: '', suggestion_html: '' });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReplayFile, wordDiff, runReplay, formatReport } = require('../lib/replay');
+
+const nudge = (text, meta = {}) => ({ suggestion_text: text, model: 'm', meta: { provider: 'stub', prompt_version: 'v1', ...meta } });
+
+describe('parseReplayFile', () => {
+  it('reads bare and wrapped bodies and reports bad lines', () => {
+    const text = [
+      JSON.stringify({ exec: { side: 'Buy', qty: 1 }, sym: 'ACME', last: 10 }),
+      '',
+      JSON.stringify({ kind: 'generic', body: { exec: { side: 'Sell', qty: 2 }, sym: 'XYZ', last: 5 } }),
+      '{not json',
+      JSON.stringify({ kind: 'reflection', body: {} })
+    ].join('\n');
+    const { records, errors } = parseReplayFile(text);
+    assert.deepEqual(records.map((r) => [r.line, r.kind, r.body.sym]), [[1, 'personalized', 'ACME'], [3, 'generic', 'XYZ']]);
+    assert.deepEqual(errors.map((e) => e.line), [4, 5]);
+    assert.match(errors[1].error, /unknown kind "reflection"/);
+  });
+
+  it('replays the logged request of exported events', () => {
+    const text = [
+      JSON.stringify({ event_id: 'e1', arm: 'generic', request: { sym: 'GEN' }, meta: { nudge_type: 'generic' } }),
+      JSON.stringify({ event_id: 'e2', arm: 'enhanced', request: { sym: 'ENH' }, meta: {} }),
+      JSON.stringify({ event_id: 'e3', arm: 'rules', request: { sym: 'RUL' }, meta: { nudge_type: 'rule-based' } }),
+      JSON.stringify({ event_id: 'e4', arm: 'enhanced', meta: {} })
+    ].join('\n');
+    const { records, errors } = parseReplayFile(text);
+    assert.deepEqual(records.map((r) => [r.line, r.kind, r.body.sym]), [[1, 'generic', 'GEN'], [2, 'personalized', 'ENH']]);
+    assert.deepEqual(errors.map((e) => e.line), [3, 4]);
+    assert.match(errors[0].error, /"rule-based" events have no model nudge/);
+    assert.match(errors[1].error, /no request body/);
+  });
+
+  it('applies the default kind to bare bodies', () => {
+    const { records } = parseReplayFile('{"sym":"A"}', { kind: 'generic' });
+    assert.equal(records[0].kind, 'generic');
+  });
+});
+
+describe('wordDiff', () => {
+  it('marks removed and added words', () => {
+    assert.equal(wordDiff('Consider the wide spread now', 'Consider the narrow spread'), 'Consider the [-wide-] {+narrow+} spread [-now-]');
+    assert.equal(wordDiff('same text', 'same text'), 'same text');
+  });
+});
+
+describe('runReplay', () => {
+  it('compares both configurations and totals the differences', async () => {
+    const records = [
+      { line: 1, kind: 'personalized', body: { sym: 'ACME', participant_id: 'p-1' } },
+      { line: 2, kind: 'personalized', body: { sym: 'XYZ' } },
+      { line: 3, kind: 'personalized', body: { sym: 'BAD' } }
+    ];
+    const generate = async (record, config) => {
+      if (record.body.sym === 'BAD') throw new Error('invalid payload');
+      if (config.prompt_version === 'v2' && record.line === 1) {
+        return nudge('Consider the narrow spread here.', { bias_selected: 'herding_bias', guardrails: { attempts: 2, failed_checks: [['word_limit']] } });
+      }
+      return nudge('Consider the wide spread here.', { bias_selected: 'loss_aversion' });
+    };
+
+    const result = await runReplay(records, { baseline: { prompt_version: 'v1' }, candidate: { prompt_version: 'v2' }, generate });
+    assert.equal(result.summary.records, 3);
+    assert.equal(result.summary.text_changed, 1);
+    assert.equal(result.summary.bias_changed, 1);
+    assert.equal(result.summary.baseline.nudges, 2);
+    assert.equal(result.summary.baseline.errors, 1);
+    assert.equal(result.summary.baseline.mean_word_count, 5);
+    assert.deepEqual(result.summary.candidate.guardrail_violations, { word_limit: 1 });
+
+    const [changed, unchanged, failed] = result.rows;
+    assert.equal(changed.diff, 'Consider the [-wide-] {+narrow+} spread here.');
+    assert.equal(unchanged.text_changed, false);
+    assert.equal(failed.baseline.ok, false);
+    assert.equal(failed.text_changed, undefined);
+    assert.doesNotMatch(JSON.stringify(result), /p-1/);
+
+    const report = formatReport(result, { errors: [{ line: 9, error: 'invalid JSON' }] });
+    assert.match(report, /^Replay of 3 payload\(s\)/);
+    assert.match(report, /candidate: prompt_version=v2/);
+    assert.match(report, /skipped line 9: invalid JSON/);
+    assert.match(report, /#2 personalized XYZ \(unchanged\)/);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadResilienceConfig, createResilientProvider } = require('../lib/resilience');
+
+// Sends nothing until the request is aborted
+const silentProvider = {
+  name: 'silent',
+  model: 'silent-model',
+  async *stream({ signal }) {
+    await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  }
+};
+
+const config = { ...loadResilienceConfig({}), failureThreshold: 1, cooldownMs: 60000 };
+
+async function drain(chunks) {
+  for await (const chunk of chunks) void chunk;
+}
+
+describe('resilient completions', () => {
+  it('keeps the half-open probe slot free when the deadline has already passed', async () => {
+    let failing = true;
+    const provider = {
+      name: 'flaky',
+      model: 'flaky-model',
+      async complete() {
+        if (failing) throw Object.assign(new Error('upstream error'), { status: 500 });
+        return { text: 'ok' };
+      }
+    };
+    const llm = createResilientProvider(provider, { ...config, maxRetries: 0, cooldownMs: 0 });
+    await assert.rejects(llm.complete({ messages: [] }), /upstream error/);
+    assert.equal(llm.breaker.stats().state, 'open');
+
+    await assert.rejects(llm.complete({ messages: [], deadline: Date.now() - 1 }), /LLM deadline exceeded/);
+    failing = false;
+    assert.deepEqual(await llm.complete({ messages: [] }), { text: 'ok' });
+    assert.equal(llm.breaker.stats().state, 'closed');
+  });
+});
+
+describe('resilient streams', () => {
+  it('counts a missed first-token budget as a provider failure', async () => {
+    const llm = createResilientProvider(silentProvider, config);
+    await assert.rejects(drain(llm.stream({ messages: [], firstTokenMs: 20 })), /No tokens within the 20ms first-token budget/);
+    assert.equal(llm.breaker.stats().state, 'open');
+    await assert.rejects(drain(llm.stream({ messages: [], firstTokenMs: 20 })), /circuit breaker open/);
+  });
+
+  it('does not trip the breaker when the caller aborts', async () => {
+    const llm = createResilientProvider(silentProvider, config);
+    const caller = new AbortController();
+    setTimeout(() => caller.abort(), 10);
+    await assert.rejects(drain(llm.stream({ messages: [], firstTokenMs: 1000, signal: caller.signal })));
+    assert.equal(llm.breaker.stats().state, 'closed');
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateRuleBasedNudge, selectCategory, extractFeatures } = require('../lib/rule-engine');
+const { selectBias } = require('../lib/bias-selection');
+const { BASIC_PAYLOAD, ENHANCED_PAYLOAD } = require('./helpers/fixtures');
+
+describe('rule engine', () => {
+  it('interpolates template placeholders into the text', () => {
+    const texts = [0, 1, 2].map((variant) => generateRuleBasedNudge(ENHANCED_PAYLOAD, { personalized: false, variant }).text);
+    assert.ok(texts.some((text) => text.includes('High investor buying activity (75%)')));
+    texts.forEach((text) => assert.doesNotMatch(text, /\{\w+\}|\$\{/));
+  });
+
+  it('is deterministic for identical payloads', () => {
+    const first = generateRuleBasedNudge(ENHANCED_PAYLOAD);
+    const second = generateRuleBasedNudge(structuredClone(ENHANCED_PAYLOAD));
+    assert.deepEqual(first, second);
+  });
+
+  it('skips personalized rules for the generic arm', () => {
+    const payload = { ...BASIC_PAYLOAD, portfolio: { currentDrawdownPct: 8 } };
+    assert.equal(selectCategory(extractFeatures(payload, null)).category, 'portfolio_risk');
+    assert.equal(selectCategory(extractFeatures(payload, null), { personalized: false }).category, 'execution_cost');
+  });
+
+  it('only picks enabled categories', () => {
+    const features = extractFeatures(ENHANCED_PAYLOAD, null);
+    assert.equal(selectCategory(features, { categories: ['decision_fatigue', 'fomo'] }).category, 'decision_fatigue');
+    assert.deepEqual(selectCategory(features, { categories: ['fomo'] }), { category: 'fomo', rule: 'default' });
+  });
+});
+
+describe('bias selection', () => {
+  it('rotates away from recently nudged biases', () => {
+    const first = selectBias(ENHANCED_PAYLOAD);
+    const next = selectBias(ENHANCED_PAYLOAD, { recent: [first.bias] });
+    assert.notEqual(next.bias, first.bias);
+    assert.equal(next.rotated, true);
+  });
+
+  it('respects enabled categories', () => {
+    const { bias, candidates } = selectBias(ENHANCED_PAYLOAD, { categories: ['cct_risk_awareness', 'execution_cost'] });
+    assert.ok(['cct_risk_awareness', 'execution_cost'].includes(bias));
+    candidates.forEach((c) => assert.ok(['cct_risk_awareness', 'execution_cost'].includes(c.bias)));
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePayload } = require('../lib/schema');
+const { ENHANCED_PAYLOAD } = require('./helpers/fixtures');
+
+describe('payload schema', () => {
+  it('coerces numeric strings, flags and enums', () => {
+    const { value, errors } = normalizePayload('personalized', {
+      exec: { side: 'sell', qty: '10', ordPx: 'market' },
+      sym: ' ACME ',
+      last: '100.50',
+      hot_condition: 'hot'
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(value.exec.side, 'Sell');
+    assert.equal(value.exec.qty, 10);
+    assert.equal(value.exec.ordPx, 'Market');
+    assert.equal(value.sym, 'ACME');
+    assert.equal(value.last, 100.5);
+    assert.equal(value.hot_condition, true);
+    assert.equal(value.bid, null);
+  });
+
+  it('collects field-level errors', () => {
+    const { errors } = normalizePayload('personalized', { exec: { side: 'Hold', qty: -1 }, last: 'abc', sentiment_pct: 101 });
+    assert.deepEqual(errors.map((e) => e.field).sort(), ['exec.qty', 'exec.side', 'last', 'sentiment_pct', 'sym']);
+  });
+
+  it('drops participant sections for the generic schema but reports them as sent', () => {
+    const { value, sections } = normalizePayload('generic', ENHANCED_PAYLOAD);
+    assert.equal(value.profile, undefined);
+    assert.equal(value.portfolio, undefined);
+    assert.deepEqual(sections, { profile: true, portfolio: true, scenario: true, trading_context: true });
+  });
+
+  it('coerces array items and reports them by index', () => {
+    const { value, errors } = normalizePayload('reflection', { trades: [{ side: 'buy', qty: '3', price: '10.5' }, { qty: 1 }, null] });
+    assert.deepEqual(value.trades[0], { side: 'Buy', qty: 3, price: 10.5, sym: null, at: null, realized_pl: null });
+    assert.deepEqual(errors.map((e) => e.field), ['trades[1].side', 'trades[1].price', 'trades[2]']);
+    assert.deepEqual(normalizePayload('reflection', { trades: [] }).errors, [{ field: 'trades', message: 'must have at least 1 item(s)' }]);
+  });
+
+  it('rejects non-object bodies', () => {
+    assert.deepEqual(normalizePayload('generic', []).errors, [{ field: '(body)', message: 'must be a JSON object' }]);
+  });
+});
@@ -0,0 +1,567 @@
+// Route tests: the app runs in-process against a local stub of the OpenAI API
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/server');
+const { DEFAULT_REPLY } = require('./helpers/openai-stub');
+const { createResilientProvider } = require('../lib/resilience');
+const { validateStudies } = require('../lib/studies');
+const { loadAssignmentConfig } = require('../lib/assignment');
+const { BASIC_PAYLOAD, ENHANCED_PAYLOAD, REFLECTION_PAYLOAD } = require('./helpers/fixtures');
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ ADMIN_TOKEN: 'admin-test' });
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.openai.reset();
+});
+
+const userPrompt = (request) => request.messages.find((m) => m.role === 'user').content;
+
+describe('GET /health', () => {
+  it('reports the provider and prompt versions', async () => {
+    const { status, body } = await server.get('/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.provider, 'openai');
+    assert.equal(body.circuit_breaker.state, 'closed');
+    assert.ok(body.prompt_versions.includes('v1'));
+  });
+});
+
+describe('POST /enhanced-nudge', () => {
+  it('returns the model text on the success path', async () => {
+    server.openai.reply('Consider how this order changes your exposure. What would make you revisit it?');
+    const { status, body } = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+
+    assert.equal(status, 200);
+    assert.equal(body.suggestion_text, 'Consider how this order changes your exposure. What would make you revisit it?');
+    assert.match(body.suggestion_html, /^<div><b>AI Trade Feedback:<\/b> /);
+    assert.equal(body.meta.provider, 'openai');
+    assert.equal(body.meta.prompt_version, 'v1');
+    assert.equal(body.meta.guardrails.passed, true);
+    assert.ok(body.meta.tokens_used > 0);
+    assert.equal(body.meta.fallback, undefined);
+
+    assert.equal(server.openai.requests.length, 1);
+    const request = server.openai.requests[0];
+    assert.equal(request.temperature, 0.7);
+    assert.equal(request.max_tokens, 200);
+    assert.deepEqual(request.messages.map((m) => m.role), ['system', 'user']);
+  });
+
+  it('includes portfolio context only for enhanced payloads', async () => {
+    await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    await server.post('/enhanced-nudge', BASIC_PAYLOAD);
+
+    const [enhanced, basic] = server.openai.requests.map(userPrompt);
+    assert.match(enhanced, /PORTFOLIO CONTEXT:/);
+    assert.match(enhanced, /Balance=\$10000/);
+    assert.match(enhanced, /Headline: Beats estimates/);
+    assert.doesNotMatch(basic, /PORTFOLIO CONTEXT:/);
+    assert.match(basic, /Investor Profile: Unknown Unknown/);
+  });
+
+  it('reads a positive hot minus cold difference as more risk-taking under pressure', async () => {
+    await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    assert.match(userPrompt(server.openai.requests[0]), /Hot\/Cold Difference \(hot minus cold\): 110 \(more risk-taking under pressure\)/);
+  });
+
+  it('gives the model the computed order math and logs it in meta', async () => {
+    const { body } = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    assert.equal(body.meta.market_features.order_value, 10040);
+    assert.equal(body.meta.market_features.post_trade_exposure_pct, 150.6);
+
+    const prompt = userPrompt(server.openai.requests[0]);
+    assert.match(prompt, /ORDER MATH/);
+    assert.match(prompt, /Order Value: \$10040\.00 \(100 x \$100\.40 limit price\)/);
+    assert.match(prompt, /Limit Price: \$0\.15 \(14\.9 bps\) below the ask, resting/);
+    assert.match(prompt, /Post-Trade Position: 150 shares, exposure \$15060\.00 \(150\.60% of balance\)/);
+  });
+
+  it('falls back to a rule-based nudge when the API fails', async () => {
+    server.openai.fail(500, 'upstream exploded');
+    const { status, body } = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+
+    assert.equal(status, 200);
+    assert.equal(body.model, 'fallback-rule-based');
+    assert.equal(body.meta.fallback, true);
+    assert.match(body.meta.error, /upstream exploded/);
+    assert.equal(body.meta.enhanced_payload, true);
+    assert.equal(body.meta.category, body.meta.bias_selected);
+    assert.match(body.suggestion_text, /^You are placing 100 Buy on ACME\./);
+  });
+
+  it('reports basic payloads as such in the fallback', async () => {
+    server.openai.fail(503);
+    const { body } = await server.post('/enhanced-nudge', BASIC_PAYLOAD);
+    assert.equal(body.meta.fallback, true);
+    assert.equal(body.meta.enhanced_payload, false);
+  });
+
+  it('regenerates after a guardrail failure and falls back once retries run out', async () => {
+    server.openai.reply('Watch out for your bias here.');
+    const retried = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    assert.equal(retried.body.suggestion_text, DEFAULT_REPLY);
+    assert.equal(retried.body.meta.guardrails.attempts, 2);
+    assert.deepEqual(retried.body.meta.guardrails.failed_checks[0], ['banned_terms']);
+
+    server.openai.reset();
+    for (let i = 0; i < 3; i++) server.openai.reply('Watch out for your bias here.');
+    const failed = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    assert.equal(failed.body.model, 'fallback-rule-based');
+    assert.equal(failed.body.meta.guardrails.attempts, 3);
+  });
+
+  it('escapes model output in the HTML rendering', async () => {
+    server.openai.reply('Consider the <b>spread</b> of 20 bps before you commit to this order size?');
+    const { body } = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    // Angle brackets fail the character-set guardrail, so the second (default) reply is served
+    assert.equal(body.suggestion_text, DEFAULT_REPLY);
+    assert.doesNotMatch(body.suggestion_html, /<b>spread<\/b>/);
+  });
+});
+
+describe('POST /generic-nudge', () => {
+  it('sends market data only', async () => {
+    const { status, body } = await server.post('/generic-nudge', ENHANCED_PAYLOAD);
+    assert.equal(status, 200);
+    assert.equal(body.suggestion_text, DEFAULT_REPLY);
+    assert.equal(body.meta.nudge_type, 'generic');
+    assert.equal(body.meta.sections_present.profile, true);
+
+    const prompt = userPrompt(server.openai.requests[0]);
+    assert.match(prompt, /ACME/);
+    assert.doesNotMatch(prompt, /Investor Profile|PORTFOLIO CONTEXT|Beats estimates|of balance/);
+    assert.equal(body.meta.market_features.position_pct_of_balance, null);
+  });
+
+  it('falls back to market rules when the API fails', async () => {
+    server.openai.fail(500);
+    const { body } = await server.post('/generic-nudge', ENHANCED_PAYLOAD);
+    assert.equal(body.model, 'fallback-rule-based');
+    assert.equal(body.meta.nudge_type, 'generic');
+    // Sentiment is 75%, so the herding rule fires and its template interpolates the percentage
+    assert.equal(body.meta.category, 'herding_bias');
+    assert.doesNotMatch(body.suggestion_text, /\$\{|\{pct\}/);
+  });
+});
+
+describe('POST /nudge (legacy)', () => {
+  it('generates a personalized nudge', async () => {
+    const { status, body } = await server.post('/nudge', ENHANCED_PAYLOAD);
+    assert.equal(status, 200);
+    assert.equal(body.suggestion_text, DEFAULT_REPLY);
+    assert.ok(body.meta.bias_selected);
+  });
+});
+
+describe('malformed payloads', () => {
+  for (const route of ['/enhanced-nudge', '/generic-nudge', '/nudge']) {
+    it(`${route} rejects missing and invalid fields with field-level details`, async () => {
+      const { status, body } = await server.post(route, { exec: { qty: 'lots' }, sym: 'ACME', sentiment_pct: 150 });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid request payload');
+      const fields = body.details.map((d) => d.field);
+      assert.ok(fields.includes('exec.side'));
+      assert.ok(fields.includes('exec.qty'));
+      assert.ok(fields.includes('last'));
+      assert.equal(server.openai.requests.length, 0);
+    });
+  }
+
+  it('rejects invalid JSON', async () => {
+    const { status, body } = await server.post('/enhanced-nudge', '{"exec": ');
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [{ field: '(body)', message: 'must be valid JSON' }]);
+  });
+
+  it('coerces numeric strings', async () => {
+    const { status } = await server.post('/enhanced-nudge', { ...BASIC_PAYLOAD, last: '50.25', exec: { side: 'buy', qty: '3' } });
+    assert.equal(status, 200);
+    assert.match(userPrompt(server.openai.requests[0]), /Trade: Buy 3 shares of XYZ/);
+  });
+});
+
+describe('locales', () => {
+  it('keeps the English prompt and adds an output-language instruction', async () => {
+    const { status, body } = await server.post('/enhanced-nudge', { ...ENHANCED_PAYLOAD, locale: 'es-MX' });
+    assert.equal(status, 200);
+    assert.equal(body.meta.locale, 'es');
+    assert.match(body.suggestion_html, /^<div><b>Comentario de IA sobre la operación:<\/b> /);
+
+    const [system, user] = server.openai.requests[0].messages;
+    assert.match(system.content, /Write the feedback in Spanish/);
+    assert.match(user.content, /MAXIMUM 96 WORDS/);
+  });
+
+  it('serves the translated fallback when the API fails', async () => {
+    server.openai.fail(500);
+    const { body } = await server.post('/enhanced-nudge', { ...ENHANCED_PAYLOAD, locale: 'de' });
+    assert.equal(body.model, 'fallback-rule-based');
+    assert.equal(body.meta.locale, 'de');
+    assert.match(body.suggestion_text, /^Sie platzieren eine Kauforder über 100 Stück ACME\./);
+  });
+
+  it('records English when no locale is given', async () => {
+    const { body } = await server.post('/generic-nudge', BASIC_PAYLOAD);
+    assert.equal(body.meta.locale, 'en');
+    assert.doesNotMatch(server.openai.requests[0].messages[0].content, /Write the feedback in/);
+  });
+
+  it('rejects languages without a translation', async () => {
+    const { status, body } = await server.post('/rule-based-nudge', { ...BASIC_PAYLOAD, locale: 'zh' });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, 'locale');
+  });
+});
+
+describe('POST /assign and /study-nudge', () => {
+  it('assigns sticky arms, balanced within a block', async () => {
+    const arms = [];
+    for (let i = 0; i < 6; i++) {
+      const { status, body } = await server.post('/assign', { participant_id: `A_${i}` });
+      assert.equal(status, 200);
+      assert.equal(body.sticky, false);
+      arms.push(body.arm);
+    }
+    assert.deepEqual(arms.slice().sort(), ['control', 'control', 'enhanced', 'enhanced', 'generic', 'generic']);
+
+    const again = await server.post('/assign', { participant_id: 'A_0' });
+    assert.equal(again.body.sticky, true);
+    assert.equal(again.body.arm, arms[0]);
+  });
+
+  it('validates participant_id', async () => {
+    const missing = await server.post('/assign', {});
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details, [{ field: 'participant_id', message: 'is required' }]);
+
+    const object = await server.post('/assign', { participant_id: { id: 1 } });
+    assert.equal(object.status, 400);
+    assert.deepEqual(object.body.details, [{ field: 'participant_id', message: 'must be a string' }]);
+  });
+
+  it('serves the assigned arm, with no nudge and no model call for control', async () => {
+    const assigned = {};
+    for (let i = 0; i < 6; i++) {
+      const { body } = await server.post('/assign', { participant_id: `S_${i}` });
+      assigned[body.arm] = `S_${i}`;
+    }
+
+    server.openai.reset();
+    const control = await server.post('/study-nudge', { ...ENHANCED_PAYLOAD, participant_id: assigned.control });
+    assert.equal(control.status, 200);
+    assert.equal(control.body.model, 'none');
+    assert.equal(control.body.suggestion_html, '');
+    assert.equal(control.body.meta.arm, 'control');
+    assert.equal(control.body.meta.arm_type, 'none');
+    assert.equal(server.openai.requests.length, 0);
+
+    const enhanced = await server.post('/study-nudge', { ...ENHANCED_PAYLOAD, participant_id: assigned.enhanced });
+    assert.equal(enhanced.body.meta.arm, 'enhanced');
+    assert.equal(enhanced.body.suggestion_text, DEFAULT_REPLY);
+    assert.equal(server.openai.requests.length, 1);
+  });
+});
+
+describe('POST /reflection', () => {
+  it('sends the session and its observed patterns to the model', async () => {
+    const { status, body } = await server.post('/reflection', REFLECTION_PAYLOAD);
+    assert.equal(status, 200);
+    assert.equal(body.suggestion_text, DEFAULT_REPLY);
+    assert.ok(body.nudge_id);
+    assert.equal(body.meta.nudge_type, 'reflection');
+    assert.equal(body.meta.bias_selected, 'disposition_effect');
+    assert.equal(body.meta.session_stats.trades, 4);
+    assert.equal(body.meta.guardrails.passed, true);
+
+    const prompt = userPrompt(server.openai.requests[0]);
+    assert.match(prompt, /SESSION SUMMARY \(Earnings\)/);
+    assert.match(prompt, /4\. Sell 50 ACME @ \$51\.00, realized P&L \+\$120\.00/);
+    assert.match(prompt, /- Disposition Effect \(rule: realized_gains_held_losses\): Gains were taken on 1 closing trades/);
+    assert.match(prompt, /- Overtrading: /);
+  });
+
+  it('labels patterns without banned terms, so echoing a label passes the guardrails', async () => {
+    await server.post('/reflection', REFLECTION_PAYLOAD);
+    const prompt = userPrompt(server.openai.requests[0]);
+    assert.doesNotMatch(prompt, /\bbias\b/i);
+    const labels = prompt.split('PATTERN VOCABULARY')[1].match(/^- [^:]+/gm).map((line) => line.slice(2));
+    assert.ok(labels.includes('Herding'));
+
+    server.openai.reset();
+    const echo = `Across four orders, your trading showed ${labels.slice(0, 3).join(', ')} patterns. What shaped your exits?`;
+    server.openai.reply(echo);
+    const { body } = await server.post('/reflection', REFLECTION_PAYLOAD);
+    assert.equal(body.suggestion_text, echo);
+    assert.equal(body.meta.guardrails.passed, true);
+    assert.equal(body.meta.guardrails.attempts, 1);
+  });
+
+  it('applies the nudge guardrails and falls back to the rule-based debrief', async () => {
+    for (let i = 0; i < 3; i++) server.openai.reply('You should sell now to lock in gains.');
+    const { body } = await server.post('/reflection', { ...REFLECTION_PAYLOAD, locale: 'de' });
+    assert.equal(body.model, 'fallback-rule-based');
+    assert.equal(body.meta.guardrails.attempts, 3);
+    assert.equal(body.meta.category, 'disposition_effect');
+    assert.match(body.suggestion_text, /^In dieser Sitzung haben Sie 4 Orders platziert/);
+  });
+
+  it('requires a trade list', async () => {
+    const { status, body } = await server.post('/reflection', { portfolio: REFLECTION_PAYLOAD.portfolio });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, 'trades');
+    assert.equal(server.openai.requests.length, 0);
+  });
+});
+
+describe('study admin', () => {
+  const admin = { Authorization: 'Bearer admin-test' };
+
+  it('caps the recent-nudges list and falls back to 20 on junk', async () => {
+    for (let i = 0; i < 25; i++) await server.post('/rule-based-nudge', BASIC_PAYLOAD);
+
+    const junk = await server.get('/admin/stats?recent=lots', admin);
+    assert.equal(junk.status, 200);
+    assert.equal(junk.body.recent.length, 20);
+    assert.equal((await server.get('/admin/stats?recent=3', admin)).body.recent.length, 3);
+    assert.equal((await server.get('/admin/recent?limit=abc', admin)).body.length, 20);
+    assert.ok((await server.get('/admin/recent?limit=100000', admin)).body.length <= 500);
+  });
+
+  it('inspects and resets sessions with the admin token', async () => {
+    await server.post('/enhanced-nudge', { ...ENHANCED_PAYLOAD, session_id: 'S_admin' });
+    assert.equal((await server.get('/sessions/S_admin')).status, 401);
+
+    const { status, body } = await server.get('/sessions/S_admin', admin);
+    assert.equal(status, 200);
+    assert.equal(body.nudges.length, 1);
+
+    const reset = await fetch(`${server.baseURL}/sessions/S_admin`, { method: 'DELETE', headers: admin });
+    assert.deepEqual(await reset.json(), { session_id: 'S_admin', reset: true });
+    assert.equal((await server.get('/sessions/S_admin', admin)).status, 404);
+  });
+});
+
+describe('nudge outcomes', () => {
+  const admin = { Authorization: 'Bearer admin-test' };
+
+  it('joins reported decisions to the served nudge and aggregates them per arm and bias', async () => {
+    const enhanced = await server.post('/enhanced-nudge', ENHANCED_PAYLOAD);
+    const generic = await server.post('/generic-nudge', ENHANCED_PAYLOAD);
+    assert.ok(enhanced.body.nudge_id);
+    assert.notEqual(enhanced.body.nudge_id, generic.body.nudge_id);
+
+    const modified = await server.post('/nudge-outcome', {
+      nudge_id: enhanced.body.nudge_id,
+      decision: 'modified',
+      changes: { qty: '50' },
+      time_to_decision_ms: 4200
+    });
+    assert.equal(modified.status, 200);
+    assert.equal(modified.body.recorded, true);
+    // The realized P&L arrives later in a second report
+    await server.post('/nudge-outcome', { nudge_id: enhanced.body.nudge_id, realized_pnl: -12.5 });
+    await server.post('/nudge-outcome', { nudge_id: generic.body.nudge_id, decision: 'cancelled', time_to_decision_ms: 1800 });
+
+    const { status, body } = await server.get('/nudge-outcome', admin);
+    assert.equal(status, 200);
+    const enhancedArm = body.arms.enhanced;
+    assert.equal(enhancedArm.modified, 1);
+    assert.equal(enhancedArm.modify_rate, 1);
+    assert.deepEqual(enhancedArm.changed_fields, { qty: 1 });
+    assert.equal(enhancedArm.avg_realized_pnl, -12.5);
+    assert.equal(body.arms.generic.cancel_rate, 1);
+    assert.ok(body.biases[enhanced.body.meta.bias_selected].decisions_reported >= 1);
+    assert.equal(body.biases.none.cancelled, 1);
+  });
+
+  it('rejects unknown nudges and incomplete reports', async () => {
+    const unknown = await server.post('/nudge-outcome', { nudge_id: 'no-such-nudge', decision: 'submitted' });
+    assert.equal(unknown.status, 404);
+
+    const { body: nudge } = await server.post('/generic-nudge', BASIC_PAYLOAD);
+    const missing = await server.post('/nudge-outcome', { nudge_id: nudge.nudge_id, decision: 'modified' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.details[0].field, 'changes');
+
+    const invalid = await server.post('/nudge-outcome', { nudge_id: nudge.nudge_id, decision: 'abandoned' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'decision');
+  });
+
+  it('requires the admin token for the aggregates', async () => {
+    const { status } = await server.get('/nudge-outcome');
+    assert.equal(status, 401);
+  });
+});
+
+describe('streamed generation', () => {
+  it('tolerates a stream that ends without a usage chunk', async () => {
+    const provider = createResilientProvider({
+      name: 'no-usage',
+      model: 'no-usage-model',
+      async *stream() {
+        yield { text: 'Consider the spread against your expected move. ' };
+        yield { text: 'What would change your plan?' };
+      }
+    });
+    const trace = {};
+    const tokens = [];
+    const { completion, text } = await server.streamWithGuardrails([{ role: 'user', content: 'x' }], trace, { onToken: (t) => tokens.push(t), provider });
+
+    assert.equal(text, 'Consider the spread against your expected move. What would change your plan?');
+    assert.equal(tokens.length, 2);
+    assert.deepEqual(trace.usage, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+    assert.equal(completion.model, 'no-usage-model');
+    assert.equal(completion.usage.total_tokens, 0);
+  });
+});
+
+describe('API contract and client script', () => {
+  it('documents every route on the nudge router', async () => {
+    const { status, body } = await server.get('/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.info.version, require('../package.json').version);
+
+    const routers = server.app._router.stack.filter((layer) => layer.handle.stack);
+    const served = new Set(routers.flatMap((layer) => layer.handle.stack.filter((l) => l.route?.methods.post).map((l) => l.route.path)));
+    assert.ok(served.size > 0);
+    for (const route of served) assert.ok(body.paths[route]?.post, route);
+  });
+
+  it('serves the versioned client script with the payload fields filled in', async () => {
+    const response = await fetch(`${server.baseURL}/client.js`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /javascript/);
+    assert.equal(response.headers.get('x-client-version'), require('../package.json').version);
+    const source = await response.text();
+    assert.ok(!source.includes('__CLIENT_VERSION__'));
+    assert.match(source, /"path":"exec\.side"/);
+    assert.ok(response.headers.get('etag'));
+  });
+
+  it('records the client version and display timing', async () => {
+    const { body: nudge } = await server.post('/generic-nudge', BASIC_PAYLOAD, { 'X-Nudge-Client': '1.0.0' });
+    const display = await server.post('/nudge-outcome', { nudge_id: nudge.nudge_id, time_to_display_ms: 850 });
+    assert.equal(display.status, 200);
+
+    const events = fs.readFileSync(path.join(server.dataDir, 'nudge-events.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(events.find((e) => e.event_id === nudge.nudge_id).client_version, '1.0.0');
+    const { body } = await server.get('/nudge-outcome', { Authorization: 'Bearer admin-test' });
+    assert.ok(body.overall.time_to_display_p50_ms > 0);
+  });
+});
+
+describe('POST /replay', () => {
+  const replay = (query, body, headers = { Authorization: 'Bearer admin-test' }) => fetch(`${server.baseURL}/replay${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-ndjson', ...headers },
+    body
+  });
+  const ndjson = [ENHANCED_PAYLOAD, BASIC_PAYLOAD].map((p) => JSON.stringify(p)).join('\n') + '\n{broken';
+
+  it('requires the admin token', async () => {
+    const response = await replay('', ndjson, { Authorization: 'Bearer wrong' });
+    assert.equal(response.status, 401);
+  });
+
+  it('compares the server settings against a candidate provider', async () => {
+    const response = await replay('?provider=stub&seed=7', ndjson);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.equal(body.summary.records, 2);
+    assert.deepEqual(body.skipped.map((s) => s.line), [3]);
+    assert.deepEqual(body.candidate, { prompt_version: null, provider: 'stub', model: null, seed: '7' });
+    assert.equal(body.rows[0].baseline.provider, 'openai');
+    assert.equal(body.rows[0].candidate.provider, 'stub');
+    assert.equal(body.rows[0].baseline.text, DEFAULT_REPLY);
+    // Only the baseline reaches the OpenAI API, once per payload
+    assert.equal(server.openai.requests.length, 2);
+  });
+
+  it('renders the text report', async () => {
+    const response = await replay('?kind=generic&format=text', ndjson);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /^Replay of 2 payload\(s\)\nbaseline : server defaults/);
+  });
+
+  it('replays logged events on its own circuit breaker', async () => {
+    const served = await server.post('/generic-nudge', { ...ENHANCED_PAYLOAD, participant_id: 'R_logged' });
+    await server.flushState();
+    const event = fs.readFileSync(path.join(server.dataDir, 'nudge-events.jsonl'), 'utf8').trim().split('\n')
+      .map((line) => JSON.parse(line))
+      .find((e) => e.event_id === served.body.nudge_id);
+    assert.equal(event.request.sym, 'ACME');
+    assert.equal(event.request.profile, undefined);
+
+    server.openai.reset();
+    server.openai.fail(500, 'replay outage');
+    server.openai.fail(500, 'replay outage');
+    const live = server.llm.breaker.stats();
+    const response = await replay('', `${JSON.stringify(event)}\n`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.rows[0].kind, 'generic');
+    assert.equal(body.rows[0].baseline.fallback, true);
+    assert.equal(server.openai.requests.length, 2);
+    assert.deepEqual(server.llm.breaker.stats(), live);
+  });
+
+  it('rejects unknown prompt versions and non-NDJSON bodies', async () => {
+    const unknown = await replay('?baseline_prompt_version=v99', ndjson);
+    assert.equal(unknown.status, 400);
+    assert.match((await unknown.json()).error, /v99/);
+
+    const json = await replay('', JSON.stringify(ENHANCED_PAYLOAD), { Authorization: 'Bearer admin-test', 'Content-Type': 'application/json' });
+    assert.equal(json.status, 415);
+  });
+});
+
+describe('generators', () => {
+  it('generatePersonalizedNudge fills the trace for the event log', async () => {
+    const trace = {};
+    const nudge = await server.generatePersonalizedNudge(ENHANCED_PAYLOAD, { trace });
+    assert.equal(nudge.suggestion_text, DEFAULT_REPLY);
+    assert.equal(trace.output, DEFAULT_REPLY);
+    assert.equal(trace.messages.length, 2);
+    assert.equal(trace.usage.total_tokens, nudge.meta.tokens_used);
+    assert.ok(trace.prompt_hash);
+  });
+
+  it('lists only the study\'s enabled categories in the personalized prompt', async () => {
+    const { studies } = validateStudies({ studies: { focus: { arms: ['enhanced'], categories: ['loss_aversion', 'portfolio_risk'] } } }, { promptVersions: ['v1'], baseAssignment: loadAssignmentConfig({ ASSIGNMENT_PATH: path.join(server.dataDir, 'assignments.json') }) });
+    const study = studies.get('focus');
+    const categories = (prompt) => prompt.split('AVAILABLE NUDGE CATEGORIES:\n')[1].split('\n\n')[0];
+
+    await server.generatePersonalizedNudge(ENHANCED_PAYLOAD, { study, useCache: false });
+    assert.equal(categories(userPrompt(server.openai.requests[0])), [
+      '- Loss Aversion: Consider risk tolerance vs. potential losses',
+      '- Portfolio Risk Management: Address drawdown, position sizing, performance patterns',
+      '- Behavioral Patterns: Use hot/cold CCT differences and trading history'
+    ].join('\n'));
+
+    // Portfolio risk needs portfolio context
+    await server.generatePersonalizedNudge(BASIC_PAYLOAD, { study, useCache: false });
+    assert.equal(categories(userPrompt(server.openai.requests[1])).trim(), '- Loss Aversion: Consider risk tolerance vs. potential losses');
+  });
+
+  it('generateGenericNudge falls back without throwing', async () => {
+    server.openai.fail(429, 'rate limited');
+    const trace = {};
+    const nudge = await server.generateGenericNudge(BASIC_PAYLOAD, { trace });
+    assert.equal(nudge.meta.fallback, true);
+    assert.match(nudge.meta.error, /rate limited/);
+    assert.equal(trace.output, nudge.suggestion_text);
+  });
+});
@@ -0,0 +1,114 @@
+// SSE routes on a server whose circuit breaker opens after a single provider failure
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/server');
+const { BASIC_PAYLOAD, ENHANCED_PAYLOAD } = require('./helpers/fixtures');
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ BREAKER_FAILURE_THRESHOLD: '1', BREAKER_COOLDOWN_MS: '60000' });
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.openai.reset();
+});
+
+// Posts to a streaming route and collects its events; with `until`, disconnects after the first event of that type
+async function stream(route, body, { until = null } = {}) {
+  const response = await fetch(server.baseURL + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m)[1];
+      events.push({ event, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) });
+      // Leaving the loop cancels the body, which closes the connection
+      if (event === until) return events;
+    }
+  }
+  return events;
+}
+
+// The session's logged event, once the server has written it
+async function loggedEvent(sessionId) {
+  const filePath = path.join(server.dataDir, 'nudge-events.jsonl');
+  for (let i = 0; i < 100; i++) {
+    await server.flushState();
+    const lines = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean) : [];
+    const event = lines.map((line) => JSON.parse(line)).find((e) => e.session_id === sessionId);
+    if (event) return event;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`no event logged for ${sessionId}`);
+}
+
+function savedSession(sessionId) {
+  return JSON.parse(fs.readFileSync(path.join(server.dataDir, 'sessions.json'), 'utf8'))[sessionId];
+}
+
+describe('streaming routes', () => {
+  it('logs a client disconnect as aborted without a fallback', async () => {
+    server.openai.stall();
+    const events = await stream('/enhanced-nudge/stream', { ...ENHANCED_PAYLOAD, session_id: 'S_gone' }, { until: 'token' });
+    assert.deepEqual(events.map((e) => e.event), ['start', 'token']);
+
+    const event = await loggedEvent('S_gone');
+    assert.equal(event.model, 'aborted');
+    assert.equal(event.fallback, false);
+    assert.equal(event.meta.aborted, true);
+    assert.equal(event.output, null);
+    // No nudge was served, so the session has the trade but no nudge to rotate away from
+    assert.equal(savedSession('S_gone').trades.length, 1);
+    assert.deepEqual(savedSession('S_gone').nudges, []);
+    // A caller abort is not a provider failure, even with a threshold of one
+    assert.equal(server.llm.breaker.stats().state, 'closed');
+  });
+
+  it('streams the model text and ends with the final nudge', async () => {
+    const events = await stream('/generic-nudge/stream', { ...BASIC_PAYLOAD, session_id: 'S_ok' });
+    assert.equal(events[0].event, 'start');
+    assert.ok(events.filter((e) => e.event === 'token').length > 1);
+    const final = events[events.length - 1];
+    assert.equal(final.event, 'final');
+    assert.equal(final.data.meta.streamed, true);
+    assert.equal(final.data.meta.fallback, undefined);
+    assert.equal(final.data.nudge_id, (await loggedEvent('S_ok')).event_id);
+  });
+
+  it('serves the rule-based nudge without calling the provider while the breaker is open', async () => {
+    server.openai.fail(500, 'upstream exploded');
+    const failed = await stream('/generic-nudge/stream', { ...BASIC_PAYLOAD, session_id: 'S_trip' });
+    assert.equal(failed[failed.length - 1].data.meta.fallback, true);
+    assert.equal(server.llm.breaker.stats().state, 'open');
+
+    server.openai.reset();
+    const events = await stream('/enhanced-nudge/stream', { ...ENHANCED_PAYLOAD, session_id: 'S_open' });
+    assert.deepEqual(events.map((e) => e.event), ['start', 'final']);
+    const final = events[1].data;
+    assert.equal(final.model, 'fallback-rule-based');
+    assert.equal(final.meta.fallback, true);
+    assert.match(final.meta.error, /circuit breaker open/);
+    assert.ok(final.suggestion_text);
+    assert.equal(server.openai.requests.length, 0);
+
+    const event = await loggedEvent('S_open');
+    assert.equal(event.fallback, true);
+    assert.equal(savedSession('S_open').nudges[0].fallback, true);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateStudies, createStudyRegistry } = require('../lib/studies');
+const { loadAssignmentConfig } = require('../lib/assignment');
+
+const options = { promptVersions: ['v1'], baseAssignment: loadAssignmentConfig({ ASSIGNMENT_PATH: '/tmp/assignments.json' }) };
+
+describe('study configuration', () => {
+  it('fills defaults', () => {
+    const { studies, defaultStudy } = validateStudies({ studies: { pilot: { arms: ['control', 'enhanced'] } } }, options);
+    const pilot = studies.get('pilot');
+    assert.equal(defaultStudy, 'pilot');
+    assert.deepEqual(pilot.arms.map((a) => a.type), ['none', 'enhanced']);
+    assert.deepEqual(pilot.model, { name: null, temperature: 0.7, max_tokens: 200 });
+    assert.equal(pilot.max_words, 80);
+    assert.equal(pilot.fallback, 'rule-based');
+    assert.equal(pilot.locale, 'en');
+    assert.equal(pilot.assignment.filePath, '/tmp/assignments-pilot.json');
+  });
+
+  it('reports every problem at once', () => {
+    assert.throws(() => validateStudies({
+      default_study: 'missing',
+      studies: { main: { arms: ['x:weird'], categories: ['nope'], prompt_version: 'v9', max_words: 0, fallback: 'retry' } }
+    }, options), (error) => {
+      for (const text of ['unknown type "weird"', 'unknown category "nope"', 'prompt version "v9"', 'max_words', 'fallback', 'default_study "missing"']) {
+        assert.ok(error.message.includes(text), text);
+      }
+      return true;
+    });
+  });
+
+  it('accepts only locales with a translation', () => {
+    const withLocales = { ...options, locales: ['en', 'es'] };
+    assert.equal(validateStudies({ studies: { a: { arms: ['generic'], locale: 'es' } } }, withLocales).studies.get('a').locale, 'es');
+    assert.throws(() => validateStudies({ studies: { a: { arms: ['generic'], locale: 'ja' } } }, withLocales), /a\.locale: "ja" has no translation/);
+  });
+
+  it('requires a study when several are defined and none is the default', () => {
+    const { defaultStudy } = validateStudies({ studies: { a: { arms: ['generic'] }, b: { arms: ['enhanced'] } } }, options);
+    assert.equal(defaultStudy, null);
+  });
+});
+
+describe('study selection', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'studies-test-'));
+  const filePath = path.join(dir, 'studies.json');
+  fs.writeFileSync(filePath, JSON.stringify({ default_study: 'a', studies: { a: { arms: ['generic'] }, b: { arms: ['enhanced'] } } }));
+  const registry = createStudyRegistry({ filePath, reloadIntervalMs: 60000 }, { promptVersions: ['v1'] });
+  fs.unwatchFile(filePath);
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function select(overrides) {
+    const req = { params: {}, body: {}, ...overrides };
+    let result = null;
+    const res = { status: (code) => ({ json: (body) => { result = { code, body }; } }) };
+    registry.selectStudy(req, res, () => { result = { study: req.studyConfig.id }; });
+    return result;
+  }
+
+  it('uses the path, then the body, then the study key, then the default', () => {
+    assert.deepEqual(select({ params: { studyId: 'b' } }), { study: 'b' });
+    assert.deepEqual(select({ body: { study_id: 'b' } }), { study: 'b' });
+    assert.deepEqual(select({ study: 'b' }), { study: 'b' });
+    assert.deepEqual(select({}), { study: 'a' });
+  });
+
+  it('refuses unknown studies and studies outside the key', () => {
+    assert.equal(select({ params: { studyId: 'zzz' } }).code, 404);
+    assert.equal(select({ study: 'a', body: { study_id: 'b' } }).code, 403);
+  });
+});
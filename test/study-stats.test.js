@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { average, rate, createStatsAggregator } = require('../lib/study-stats');
+const { percentile } = require('../lib/resilience');
+
+const event = (minute, arm, overrides = {}) => ({
+  timestamp: `2025-01-01T10:${String(minute).padStart(2, '0')}:00.000Z`,
+  route: '/study-nudge',
+  arm,
+  model: 'gpt-4o-mini',
+  fallback: false,
+  latency_ms: 100 * (minute + 1),
+  usage: { total_tokens: 50 },
+  output: 'Consider the spread before you commit.',
+  meta: { bias_selected: 'loss_aversion' },
+  ...overrides
+});
+
+describe('study statistics', () => {
+  it('computes nearest-rank percentiles, averages and rates', () => {
+    assert.equal(percentile([], 50), null);
+    assert.equal(percentile([30, 10, 20, 40], 50), 20);
+    assert.equal(percentile([30, 10, 20, 40], 95), 40);
+    assert.equal(average([1, 2, 4]), 2.3);
+    assert.equal(average([]), null);
+    assert.equal(rate(1, 3), 0.333);
+    assert.equal(rate(0, 0), null);
+  });
+
+  it('summarizes overall, per arm and per interval', () => {
+    const stats = createStatsAggregator({ interval: 'hour' });
+    stats.add(event(0, 'enhanced'));
+    stats.add(event(1, 'enhanced', { fallback: true, model: 'fallback-rule-based', usage: null, meta: { category: 'execution_cost' } }));
+    stats.add(event(2, 'control', { model: 'none', output: '', usage: null, meta: {} }));
+    const result = stats.result();
+
+    assert.equal(result.from, '2025-01-01T10:00:00.000Z');
+    assert.equal(result.to, '2025-01-01T10:02:00.000Z');
+    assert.equal(result.overall.requests, 3);
+    assert.equal(result.overall.fallback_rate, 0.333);
+    assert.equal(result.overall.total_tokens, 50);
+    assert.equal(result.overall.latency_p50_ms, 200);
+    // The empty control response doesn't count towards word length
+    assert.equal(result.overall.avg_word_count, 6);
+    assert.deepEqual(result.overall.biases, { loss_aversion: 1 });
+    assert.deepEqual(Object.keys(result.arms), ['enhanced', 'control']);
+    assert.equal(result.arms.enhanced.fallbacks, 1);
+    assert.deepEqual(result.series.map((s) => [s.start, s.requests]), [['2025-01-01T10:00:00.000Z', 3]]);
+    assert.deepEqual(result.recent.map((r) => r.bias), [null, 'execution_cost', 'loss_aversion']);
+  });
+
+  it('counts aborted streams but leaves them out of the fallback rate', () => {
+    const stats = createStatsAggregator();
+    stats.add(event(0, 'enhanced', { fallback: true, model: 'fallback-rule-based' }));
+    stats.add(event(1, 'enhanced'));
+    stats.add(event(2, 'enhanced', { model: 'aborted', output: null, usage: null, meta: { aborted: true } }));
+    const { overall } = stats.result();
+    assert.equal(overall.requests, 3);
+    assert.equal(overall.aborted, 1);
+    assert.equal(overall.errors, 0);
+    assert.equal(overall.fallback_rate, 0.5);
+  });
+
+  it('keeps only the most recent nudges', () => {
+    const stats = createStatsAggregator({ recentLimit: 2 });
+    for (let minute = 0; minute < 5; minute++) stats.add(event(minute, 'generic'));
+    assert.deepEqual(stats.result().recent.map((r) => r.timestamp.slice(14, 16)), ['04', '03']);
+  });
+
+  it('rejects unknown intervals', () => {
+    assert.throws(() => createStatsAggregator({ interval: 'week' }), /interval must be one of hour, day/);
+  });
+});